@@ -0,0 +1,59 @@
+// Anthropic Messages API provider
+const axios = require('axios');
+const { readEventStream, parseJson } = require('./streaming');
+
+const DEFAULT_BASE_URL = 'https://api.anthropic.com/v1';
+
+function createAnthropicProvider({ apiKey, baseUrl = DEFAULT_BASE_URL }) {
+  const url = `${baseUrl.replace(/\/$/, '')}/messages`;
+
+  const headers = {
+    'Content-Type': 'application/json',
+    'x-api-key': apiKey,
+    'anthropic-version': '2023-06-01'
+  };
+
+  const buildBody = ({ model, system, messages, maxTokens }) => ({
+    model,
+    max_tokens: maxTokens,
+    ...(system && { system }),
+    messages
+  });
+
+  return {
+    name: 'anthropic',
+
+    isConfigured() {
+      return !!apiKey;
+    },
+
+    async complete(request) {
+      const response = await axios.post(url, buildBody(request), {
+        headers,
+        signal: request.signal
+      });
+      return response.data.content[0].text;
+    },
+
+    async *stream(request) {
+      const response = await axios.post(url, { ...buildBody(request), stream: true }, {
+        headers,
+        responseType: 'stream',
+        signal: request.signal
+      });
+
+      for await (const { data } of readEventStream(response.data)) {
+        const payload = parseJson(data);
+        if (!payload) continue;
+
+        if (payload.type === 'content_block_delta' && payload.delta?.type === 'text_delta') {
+          yield payload.delta.text;
+        } else if (payload.type === 'error') {
+          throw new Error(payload.error?.message || 'Anthropic stream error');
+        }
+      }
+    }
+  };
+}
+
+module.exports = { createAnthropicProvider };
@@ -0,0 +1,88 @@
+// Record/replay wrapper - saves real provider exchanges to fixture files keyed by request hash
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+class FixtureNotFoundError extends Error {
+  constructor(hash, fixturePath) {
+    super(`No recorded fixture for request ${hash} (expected ${fixturePath}). Re-run with LLM_FIXTURE_MODE=record.`);
+    this.name = 'FixtureNotFoundError';
+    this.hash = hash;
+  }
+}
+
+// Only what determines the reply goes into the hash - not the provider or abort signal,
+// so fixtures recorded against a real backend replay on machines without credentials
+function hashRequest({ task = 'chat', model, system, messages, maxTokens }) {
+  const canonical = JSON.stringify({ task, model, system: system || null, messages, maxTokens });
+  return crypto.createHash('sha256').update(canonical).digest('hex').substring(0, 16);
+}
+
+function createFixtureProvider(provider, { mode, fixturesDir }) {
+  const fixturePath = (hash) => path.join(fixturesDir, `${hash}.json`);
+
+  const readFixture = (request) => {
+    const hash = hashRequest(request);
+    const file = fixturePath(hash);
+    if (!fs.existsSync(file)) {
+      throw new FixtureNotFoundError(hash, file);
+    }
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  };
+
+  const writeFixture = (request, chunks) => {
+    const hash = hashRequest(request);
+    const { signal, ...recordedRequest } = request;
+
+    fs.mkdirSync(fixturesDir, { recursive: true });
+    fs.writeFileSync(fixturePath(hash), JSON.stringify({
+      hash,
+      provider: provider.name,
+      recordedAt: new Date().toISOString(),
+      request: recordedRequest,
+      response: chunks.join(''),
+      chunks
+    }, null, 2));
+    console.log(`Recorded LLM fixture ${hash}`);
+  };
+
+  return {
+    name: `${provider.name} (${mode})`,
+
+    isConfigured() {
+      return mode === 'replay' || provider.isConfigured();
+    },
+
+    async complete(request) {
+      if (mode === 'replay') {
+        return readFixture(request).response;
+      }
+
+      const text = await provider.complete(request);
+      writeFixture(request, [text]);
+      return text;
+    },
+
+    async *stream(request) {
+      if (mode === 'replay') {
+        const fixture = readFixture(request);
+        yield* (fixture.chunks || [fixture.response]);
+        return;
+      }
+
+      // Interrupted streams are not recorded - only complete exchanges become fixtures
+      const chunks = [];
+      for await (const chunk of provider.stream(request)) {
+        chunks.push(chunk);
+        yield chunk;
+      }
+      writeFixture(request, chunks);
+    }
+  };
+}
+
+module.exports = {
+  FixtureNotFoundError,
+  createFixtureProvider,
+  hashRequest
+};
@@ -0,0 +1,179 @@
+// LLM provider registry and per-task model selection
+const path = require('path');
+const { createAnthropicProvider } = require('./anthropic');
+const { createOpenAIProvider } = require('./openai');
+const { createOllamaProvider } = require('./ollama');
+const { createMockProvider } = require('./mock');
+const { createFixtureProvider } = require('./fixtures');
+
+const PROVIDER_FACTORIES = {
+  anthropic: () => createAnthropicProvider({
+    apiKey: process.env.CLAUDE_API_KEY,
+    baseUrl: process.env.ANTHROPIC_BASE_URL
+  }),
+  openai: () => createOpenAIProvider({
+    apiKey: process.env.OPENAI_API_KEY,
+    baseUrl: process.env.OPENAI_BASE_URL
+  }),
+  ollama: () => createOllamaProvider({
+    baseUrl: process.env.OLLAMA_BASE_URL
+  }),
+  mock: () => createMockProvider({
+    templatesFile: process.env.MOCK_RESPONSES_FILE,
+    streamDelayMs: parseInt(process.env.MOCK_STREAM_DELAY_MS, 10) || 20
+  })
+};
+
+// Fallback models per provider when CHAT_MODEL / UTILITY_MODEL are not set
+const DEFAULT_MODELS = {
+  anthropic: { chat: 'claude-3-haiku-20240307', utility: 'claude-3-haiku-20240307' },
+  openai: { chat: 'gpt-4o-mini', utility: 'gpt-4o-mini' },
+  ollama: { chat: 'llama3.1', utility: 'llama3.1' },
+  mock: { chat: 'mock-chat', utility: 'mock-utility' }
+};
+
+// Context window (in tokens) of each provider's default chat model when CONTEXT_WINDOW_TOKENS is not set
+const DEFAULT_CONTEXT_WINDOWS = {
+  anthropic: 200000,
+  openai: 128000,
+  ollama: 8192,
+  mock: 200000
+};
+
+const DEFAULT_PROVIDER = (process.env.LLM_PROVIDER || 'anthropic').toLowerCase();
+
+if (!PROVIDER_FACTORIES[DEFAULT_PROVIDER]) {
+  throw new Error(`Unknown LLM_PROVIDER "${DEFAULT_PROVIDER}". Expected one of: ${Object.keys(PROVIDER_FACTORIES).join(', ')}`);
+}
+
+// Main thread model, and the cheaper one used for naming and condensing
+const CHAT_MODEL = process.env.CHAT_MODEL || DEFAULT_MODELS[DEFAULT_PROVIDER].chat;
+const UTILITY_MODEL = process.env.UTILITY_MODEL || DEFAULT_MODELS[DEFAULT_PROVIDER].utility;
+
+const CONTEXT_WINDOW = parseInt(process.env.CONTEXT_WINDOW_TOKENS, 10) || DEFAULT_CONTEXT_WINDOWS[DEFAULT_PROVIDER];
+
+// Models clients may request for /api/chat
+const ALLOWED_MODELS = Array.from(new Set([
+  CHAT_MODEL,
+  UTILITY_MODEL,
+  ...(process.env.ALLOWED_MODELS || '').split(',').map(model => model.trim()).filter(Boolean)
+]));
+
+// record: call the real provider and save each exchange; replay: serve saved exchanges only
+const FIXTURE_MODE = (process.env.LLM_FIXTURE_MODE || '').toLowerCase() || null;
+const FIXTURES_DIR = path.resolve(__dirname, '..', process.env.LLM_FIXTURES_DIR || 'fixtures/llm');
+
+if (FIXTURE_MODE && !['record', 'replay'].includes(FIXTURE_MODE)) {
+  throw new Error(`Unknown LLM_FIXTURE_MODE "${FIXTURE_MODE}". Expected record or replay`);
+}
+
+const providers = new Map();
+
+class ModelNotAllowedError extends Error {
+  constructor(model) {
+    super(`Model "${model}" is not allowed. Allowed models: ${ALLOWED_MODELS.join(', ')}`);
+    this.name = 'ModelNotAllowedError';
+    this.model = model;
+  }
+}
+
+class FixtureRecordingError extends Error {
+  constructor(providerNames) {
+    super(`Cannot record fixtures without credentials for LLM provider(s): ${providerNames.join(', ')}. Recording would save mock replies as real exchanges`);
+    this.name = 'FixtureRecordingError';
+    this.providerNames = providerNames;
+  }
+}
+
+// Providers without credentials fall back to the mock so the app still runs offline,
+// but only outside fixture modes. Replay never touches the network, so it wraps the
+// real provider as-is; record refuses to save mock output under a real model's hash.
+function createProvider(name) {
+  const provider = PROVIDER_FACTORIES[name]();
+
+  if (FIXTURE_MODE === 'replay') {
+    return createFixtureProvider(provider, { mode: FIXTURE_MODE, fixturesDir: FIXTURES_DIR });
+  }
+
+  if (FIXTURE_MODE === 'record') {
+    if (!provider.isConfigured()) {
+      throw new FixtureRecordingError([name]);
+    }
+    return createFixtureProvider(provider, { mode: FIXTURE_MODE, fixturesDir: FIXTURES_DIR });
+  }
+
+  return provider.isConfigured() ? provider : PROVIDER_FACTORIES.mock();
+}
+
+function getProvider(name = DEFAULT_PROVIDER) {
+  if (!providers.has(name)) {
+    providers.set(name, createProvider(name));
+  }
+  return providers.get(name);
+}
+
+// "openai:gpt-4o" routes a model to a specific provider; bare names use LLM_PROVIDER.
+// Only known provider prefixes count, so Ollama tags like "llama3.1:8b" stay intact.
+function parseModelSpec(spec) {
+  const separator = spec.indexOf(':');
+  if (separator > 0) {
+    const prefix = spec.slice(0, separator).toLowerCase();
+    if (PROVIDER_FACTORIES[prefix]) {
+      return { providerName: prefix, model: spec.slice(separator + 1) };
+    }
+  }
+  return { providerName: DEFAULT_PROVIDER, model: spec };
+}
+
+// Picks provider + model for a task. Only 'chat' honours a client-requested model,
+// and only when it is whitelisted; every other task uses the utility model.
+function resolveModel(task, requestedModel = null) {
+  let spec = task === 'chat' ? CHAT_MODEL : UTILITY_MODEL;
+
+  if (task === 'chat' && requestedModel) {
+    if (!ALLOWED_MODELS.includes(requestedModel)) {
+      throw new ModelNotAllowedError(requestedModel);
+    }
+    spec = requestedModel;
+  }
+
+  const { providerName, model } = parseModelSpec(spec);
+  return { provider: getProvider(providerName), model, spec };
+}
+
+function getModelConfig() {
+  return {
+    provider: DEFAULT_PROVIDER,
+    chatModel: CHAT_MODEL,
+    utilityModel: UTILITY_MODEL,
+    allowedModels: ALLOWED_MODELS,
+    contextWindow: CONTEXT_WINDOW,
+    fixtureMode: FIXTURE_MODE
+  };
+}
+
+// Providers referenced by the model config that are missing credentials (and so run as mock)
+function getUnconfiguredProviders() {
+  if (FIXTURE_MODE === 'replay') {
+    return [];
+  }
+  const names = new Set(ALLOWED_MODELS.map(spec => parseModelSpec(spec).providerName));
+  return Array.from(names).filter(name => !PROVIDER_FACTORIES[name]().isConfigured());
+}
+
+// Record mode has no mock fallback, so every provider it may call needs credentials up front
+if (FIXTURE_MODE === 'record') {
+  const unconfigured = getUnconfiguredProviders();
+  if (unconfigured.length > 0) {
+    throw new FixtureRecordingError(unconfigured);
+  }
+}
+
+module.exports = {
+  ModelNotAllowedError,
+  FixtureRecordingError,
+  getProvider,
+  resolveModel,
+  getModelConfig,
+  getUnconfiguredProviders
+};
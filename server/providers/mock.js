@@ -0,0 +1,160 @@
+// Deterministic offline provider - templated replies, no network access
+const fs = require('fs');
+
+// Placeholders: {{lastUserMessage}}, {{messageCount}}, {{selectedText}}, {{topic}} (a short title from the
+// selected text or last user message, used by the naming templates)
+const DEFAULT_TEMPLATES = {
+  chat: `**Mock response** to: "{{lastUserMessage}}"
+
+This reply comes from the offline mock provider, so it is the same every time you ask the same thing.
+
+- Messages in context: **{{messageCount}}**
+- Set \`LLM_PROVIDER\` and an API key to talk to a real model`,
+  'branch-name': '{{topic}}',
+  'conversation-name': '{{topic}}'
+};
+
+// Synthesis for /api/merge-branch, built from the branch's own messages
+function buildMergeSummary({ branchTitle = 'branch', messages = [] } = {}) {
+  const questions = messages
+    .filter(msg => msg.sender === 'user' || msg.role === 'user')
+    .map(msg => `- ${toTopic(msg.content, 6)}`);
+
+  return [
+    `**Mock synthesis of "${branchTitle}"**`,
+    '',
+    questions.length > 0 ? 'Explored in this branch:' : 'This branch added no new questions.',
+    ...questions,
+    '',
+    `Messages merged: **${messages.length}**`
+  ].join('\n');
+}
+
+// Summary for /api/summarize-context, listing the questions asked so far
+function buildContextSummary({ messages = [], selectedText = '' } = {}) {
+  const questions = messages
+    .filter(msg => msg.sender === 'user' || msg.role === 'user')
+    .map(msg => `- ${toTopic(msg.content, 6)}`);
+
+  return [
+    '**Mock summary of the earlier conversation**',
+    '',
+    ...(questions.length > 0 ? questions : ['- No questions yet']),
+    ...(selectedText ? ['', `Branch focus: ${toTopic(selectedText, 6)}`] : [])
+  ].join('\n');
+}
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'about', 'are', 'can', 'do', 'does', 'for', 'how', 'i', 'in', 'is', 'it',
+  'me', 'my', 'of', 'on', 'or', 'please', 'tell', 'the', 'this', 'to', 'what', 'why', 'with', 'you'
+]);
+
+// Loads template overrides from MOCK_RESPONSES_FILE, if set
+function loadTemplates(templatesFile) {
+  if (!templatesFile) {
+    return DEFAULT_TEMPLATES;
+  }
+  const overrides = JSON.parse(fs.readFileSync(templatesFile, 'utf8'));
+  return { ...DEFAULT_TEMPLATES, ...overrides };
+}
+
+// Builds a short Title Case name from the first meaningful words of a text
+function toTopic(text, maxWords = 3) {
+  const words = (text || '')
+    .replace(/[^\w\s'-]/g, ' ')
+    .split(/\s+/)
+    .filter(word => word && !STOP_WORDS.has(word.toLowerCase()))
+    .slice(0, maxWords);
+
+  if (words.length === 0) {
+    return 'Mock Topic';
+  }
+  return words.map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase()).join(' ');
+}
+
+function render(template, values) {
+  return template.replace(/\{\{(\w+)\}\}/g, (_, key) => (values[key] !== undefined ? String(values[key]) : ''));
+}
+
+// One outline item per user message, in the JSON shape /api/condense expects
+function buildCondensedOutline(messages = []) {
+  const items = messages
+    .filter(msg => msg.sender === 'user')
+    .map((msg, index) => ({
+      id: `summary_${index + 1}`,
+      title: `Asked about ${toTopic(msg.content, 5).toLowerCase()}`,
+      sourceMessageId: msg.id,
+      children: []
+    }));
+
+  if (items.length === 0 && messages.length > 0) {
+    items.push({ id: 'summary_1', title: 'Conversation summary', sourceMessageId: messages[0].id, children: [] });
+  }
+  return JSON.stringify(items);
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      return reject(signal.reason);
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+function createMockProvider({ templatesFile, streamDelayMs = 20 } = {}) {
+  const templates = loadTemplates(templatesFile);
+
+  const reply = ({ task = 'chat', messages = [], context = {} }) => {
+    if (task === 'condense') {
+      return buildCondensedOutline(context.messages);
+    }
+    if (task === 'merge') {
+      return buildMergeSummary(context);
+    }
+    if (task === 'context-summary') {
+      return buildContextSummary(context);
+    }
+
+    const lastUserMessage = [...messages].reverse().find(msg => msg.role === 'user')?.content || '';
+    const values = {
+      lastUserMessage: lastUserMessage.length > 120 ? `${lastUserMessage.slice(0, 120)}...` : lastUserMessage,
+      messageCount: messages.length,
+      selectedText: context.selectedText || '',
+      topic: toTopic(context.selectedText || context.lastUserMessage || context.conversationContext || lastUserMessage)
+    };
+
+    return render(templates[task] || templates.chat, values);
+  };
+
+  return {
+    name: 'mock',
+
+    isConfigured() {
+      return true;
+    },
+
+    async complete(request) {
+      return reply(request);
+    },
+
+    // Streams word by word so the UI's streaming path gets exercised offline
+    async *stream(request) {
+      const chunks = reply(request).match(/\S+\s*|\s+/g) || [];
+      for (const chunk of chunks) {
+        await wait(streamDelayMs, request.signal);
+        yield chunk;
+      }
+    }
+  };
+}
+
+module.exports = { createMockProvider };
@@ -0,0 +1,51 @@
+// Local Ollama-style provider (/api/chat with newline-delimited JSON streaming)
+const axios = require('axios');
+const { readJsonLines } = require('./streaming');
+
+const DEFAULT_BASE_URL = 'http://localhost:11434';
+
+function createOllamaProvider({ baseUrl = DEFAULT_BASE_URL }) {
+  const url = `${baseUrl.replace(/\/$/, '')}/api/chat`;
+
+  const buildBody = ({ model, system, messages, maxTokens }, stream) => ({
+    model,
+    messages: system ? [{ role: 'system', content: system }, ...messages] : messages,
+    stream,
+    options: { num_predict: maxTokens }
+  });
+
+  return {
+    name: 'ollama',
+
+    // Runs locally - there is no key to configure
+    isConfigured() {
+      return true;
+    },
+
+    async complete(request) {
+      const response = await axios.post(url, buildBody(request, false), {
+        signal: request.signal
+      });
+      return response.data.message?.content || '';
+    },
+
+    async *stream(request) {
+      const response = await axios.post(url, buildBody(request, true), {
+        responseType: 'stream',
+        signal: request.signal
+      });
+
+      for await (const payload of readJsonLines(response.data)) {
+        if (payload.error) {
+          throw new Error(payload.error);
+        }
+        if (payload.message?.content) {
+          yield payload.message.content;
+        }
+        if (payload.done) return;
+      }
+    }
+  };
+}
+
+module.exports = { createOllamaProvider };
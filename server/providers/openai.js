@@ -0,0 +1,64 @@
+// OpenAI-compatible Chat Completions provider (OpenAI, vLLM, LM Studio, OpenRouter, ...)
+const axios = require('axios');
+const { readEventStream, parseJson } = require('./streaming');
+
+const DEFAULT_BASE_URL = 'https://api.openai.com/v1';
+
+function createOpenAIProvider({ apiKey, baseUrl = DEFAULT_BASE_URL }) {
+  const url = `${baseUrl.replace(/\/$/, '')}/chat/completions`;
+
+  const headers = {
+    'Content-Type': 'application/json',
+    ...(apiKey && { Authorization: `Bearer ${apiKey}` })
+  };
+
+  // The system prompt travels as the first message rather than a separate field
+  const buildBody = ({ model, system, messages, maxTokens }) => ({
+    model,
+    max_tokens: maxTokens,
+    messages: system ? [{ role: 'system', content: system }, ...messages] : messages
+  });
+
+  return {
+    name: 'openai',
+
+    // Self-hosted OpenAI-compatible servers usually run without a key
+    isConfigured() {
+      return !!apiKey || baseUrl !== DEFAULT_BASE_URL;
+    },
+
+    async complete(request) {
+      const response = await axios.post(url, buildBody(request), {
+        headers,
+        signal: request.signal
+      });
+      return response.data.choices[0].message.content || '';
+    },
+
+    async *stream(request) {
+      const response = await axios.post(url, { ...buildBody(request), stream: true }, {
+        headers,
+        responseType: 'stream',
+        signal: request.signal
+      });
+
+      for await (const { data } of readEventStream(response.data)) {
+        if (data === '[DONE]') return;
+
+        const payload = parseJson(data);
+        if (!payload) continue;
+
+        if (payload.error) {
+          throw new Error(payload.error.message || 'OpenAI stream error');
+        }
+
+        const text = payload.choices?.[0]?.delta?.content;
+        if (text) {
+          yield text;
+        }
+      }
+    }
+  };
+}
+
+module.exports = { createOpenAIProvider };
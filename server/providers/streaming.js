@@ -0,0 +1,70 @@
+// Helpers for reading streamed HTTP responses from LLM backends
+
+// Splits buffered SSE text into complete events, returning the unparsed remainder
+function parseEventStream(buffer) {
+  const blocks = buffer.split(/\r?\n\r?\n/);
+  const rest = blocks.pop();
+
+  const events = blocks.map(block => {
+    let event = 'message';
+    const dataLines = [];
+    block.split(/\r?\n/).forEach(line => {
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).trim());
+      }
+    });
+    return { event, data: dataLines.join('\n') };
+  }).filter(evt => evt.data);
+
+  return { events, rest };
+}
+
+// Yields { event, data } for each Server-Sent Event on a Node readable stream
+async function* readEventStream(stream) {
+  let buffer = '';
+  stream.setEncoding('utf8');
+
+  for await (const chunk of stream) {
+    const parsed = parseEventStream(buffer + chunk);
+    buffer = parsed.rest;
+    yield* parsed.events;
+  }
+}
+
+// Yields each non-empty line of a newline-delimited JSON stream, parsed
+async function* readJsonLines(stream) {
+  let buffer = '';
+  stream.setEncoding('utf8');
+
+  for await (const chunk of stream) {
+    const lines = (buffer + chunk).split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.trim()) {
+        yield JSON.parse(line);
+      }
+    }
+  }
+
+  if (buffer.trim()) {
+    yield JSON.parse(buffer);
+  }
+}
+
+// Parses an SSE data payload, returning null for keep-alives and malformed chunks
+function parseJson(data) {
+  try {
+    return JSON.parse(data);
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  parseEventStream,
+  readEventStream,
+  readJsonLines,
+  parseJson
+};
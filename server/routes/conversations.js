@@ -0,0 +1,95 @@
+// REST routes for persisted conversation trees
+const crypto = require('crypto');
+const express = require('express');
+
+// Same shape as the client's generators (src/utils/idGenerator.js), used when a POST omits the ID
+function generateId(prefix) {
+  return `${prefix}_${Date.now()}_${crypto.randomBytes(6).toString('base64url')}`;
+}
+
+// POST bodies may carry their own ID (e.g. a retried sync); otherwise the server assigns one
+function withId(body, prefix) {
+  return body?.id === undefined ? { ...body, id: generateId(prefix) } : body;
+}
+
+// Wraps an async handler so store errors map to their HTTP status
+function handle(operation) {
+  return async (req, res) => {
+    try {
+      const result = await operation(req, res);
+      if (result === null) {
+        return res.status(204).end();
+      }
+      res.json(result);
+    } catch (error) {
+      const status = error.statusCode || 500;
+      if (status === 500) {
+        console.error('Storage error:', error);
+      }
+      res.status(status).json({
+        error: status === 500 ? 'Storage error' : error.message,
+        success: false
+      });
+    }
+  };
+}
+
+function createConversationsRouter(store) {
+  const router = express.Router();
+
+  // Conversations - ?expand=full returns whole trees instead of summaries
+  router.get('/', handle((req) => (
+    req.query.expand === 'full' ? store.listConversations() : store.listConversationSummaries()
+  )));
+  router.post('/', handle(async (req, res) => {
+    const conversation = withId(req.body, 'conv');
+    res.status(201);
+    return store.putConversation(conversation.id, conversation);
+  }));
+  router.get('/:conversationId', handle((req) => store.getConversation(req.params.conversationId)));
+  router.put('/:conversationId', handle((req) => store.putConversation(req.params.conversationId, req.body)));
+  router.patch('/:conversationId', handle((req) => store.patchConversation(req.params.conversationId, req.body)));
+  router.delete('/:conversationId', handle(async (req) => {
+    await store.deleteConversation(req.params.conversationId);
+    return null;
+  }));
+
+  // Branches
+  router.get('/:conversationId/branches', handle((req) => store.listBranches(req.params.conversationId)));
+  router.post('/:conversationId/branches', handle(async (req, res) => {
+    const branch = withId(req.body, 'branch');
+    res.status(201);
+    return store.putBranch(req.params.conversationId, branch.id, branch);
+  }));
+  router.get('/:conversationId/branches/:branchId', handle((req) => (
+    store.getBranch(req.params.conversationId, req.params.branchId)
+  )));
+  router.put('/:conversationId/branches/:branchId', handle((req) => (
+    store.putBranch(req.params.conversationId, req.params.branchId, req.body)
+  )));
+  router.patch('/:conversationId/branches/:branchId', handle((req) => (
+    store.patchBranch(req.params.conversationId, req.params.branchId, req.body)
+  )));
+  router.delete('/:conversationId/branches/:branchId', handle((req) => (
+    store.deleteBranch(req.params.conversationId, req.params.branchId)
+  )));
+
+  // Messages
+  router.get('/:conversationId/branches/:branchId/messages', handle((req) => (
+    store.listMessages(req.params.conversationId, req.params.branchId)
+  )));
+  router.post('/:conversationId/branches/:branchId/messages', handle(async (req, res) => {
+    res.status(201);
+    return store.addMessage(req.params.conversationId, req.params.branchId, withId(req.body, 'msg'));
+  }));
+  router.patch('/:conversationId/branches/:branchId/messages/:messageId', handle((req) => (
+    store.patchMessage(req.params.conversationId, req.params.branchId, req.params.messageId, req.body)
+  )));
+  router.delete('/:conversationId/branches/:branchId/messages/:messageId', handle((req) => (
+    store.deleteMessage(req.params.conversationId, req.params.branchId, req.params.messageId)
+  )));
+
+  return router;
+}
+
+module.exports = { createConversationsRouter };
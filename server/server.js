@@ -2,8 +2,28 @@ const express = require('express');
 const cors = require('cors');
 const axios = require('axios');
 const crypto = require('crypto');
+const path = require('path');
 require('dotenv').config();
 
+// --mock and --replay stand in for LLM_PROVIDER=mock / LLM_FIXTURE_MODE=replay so the
+// npm scripts don't depend on POSIX inline env syntax. Set before the providers load.
+const cliFlags = new Set(process.argv.slice(2));
+if (cliFlags.has('--mock')) {
+  process.env.LLM_PROVIDER = 'mock';
+}
+if (cliFlags.has('--replay')) {
+  process.env.LLM_FIXTURE_MODE = 'replay';
+}
+
+const { createJsonStore } = require('./storage/jsonStore');
+const { createConversationsRouter } = require('./routes/conversations');
+const {
+  ModelNotAllowedError,
+  resolveModel,
+  getModelConfig,
+  getUnconfiguredProviders
+} = require('./providers');
+
 const app = express();
 const PORT = process.env.PORT || 3001;
 
@@ -12,81 +32,267 @@ app.use(cors({
   origin: ['http://localhost:5173', 'http://localhost:5174', 'http://localhost:5175'], // Vite dev server
   credentials: true
 }));
-app.use(express.json());
+// Whole conversation trees are PUT during sync, so allow larger bodies than the 100kb default
+app.use(express.json({ limit: '10mb' }));
+
+// Conversation storage
+const DATA_DIR = path.resolve(__dirname, process.env.DATA_DIR || 'data');
+const store = createJsonStore({ dataDir: DATA_DIR });
+app.use('/api/conversations', createConversationsRouter(store));
 
-// Claude API configuration
-const CLAUDE_API_URL = 'https://api.anthropic.com/v1/messages';
-const CLAUDE_API_KEY = process.env.CLAUDE_API_KEY;
+// LLM provider configuration (see providers/index.js for the env variables)
+const unconfiguredProviders = getUnconfiguredProviders();
 
-if (!CLAUDE_API_KEY) {
-  console.error('CLAUDE_API_KEY environment variable is required');
-  process.exit(1);
+if (unconfiguredProviders.length > 0) {
+  console.warn(`Missing credentials for LLM provider(s): ${unconfiguredProviders.join(', ')} - serving mock responses instead`);
+  console.warn('Set CLAUDE_API_KEY (anthropic) or OPENAI_API_KEY / OPENAI_BASE_URL (openai) for real responses');
 }
 
-// Utility function to format messages for Claude API
-function formatMessagesForClaude(messages) {
+// Utility function to format messages for the chat providers
+// Accepts both stored messages ({ sender }) and pre-formatted ones ({ role })
+function formatChatMessages(messages) {
   return messages.map(msg => ({
-    role: msg.sender === 'user' ? 'user' : 'assistant',
+    role: msg.role || (msg.sender === 'user' ? 'user' : 'assistant'),
     content: msg.content
   }));
 }
 
+// Default system prompt for the main chat thread. Conversations and branches
+// add their own instructions (personas) on top of it.
+const CHAT_SYSTEM_PROMPT = `You are Claude, a helpful and knowledgeable AI assistant in a chat app where conversations branch into side threads.
+
+- Answer accurately and say so when you are unsure or lack information.
+- Format responses in Markdown: short paragraphs, lists for multiple items and **bold** for key terms where they help readability.
+- Follow the conversation's own instructions below, if any, unless they ask you to act unsafely.`;
+
+// Longest conversation or branch system prompt accepted from the client
+const MAX_SYSTEM_PROMPT_LENGTH = 8000;
+
+// Returns the client's system prompt, or throws on malformed input
+function parseSystemPrompt(systemPrompt) {
+  if (systemPrompt === undefined || systemPrompt === null) return '';
+  if (typeof systemPrompt !== 'string' || systemPrompt.length > MAX_SYSTEM_PROMPT_LENGTH) {
+    throw new Error(`System prompt must be a string of at most ${MAX_SYSTEM_PROMPT_LENGTH} characters`);
+  }
+  return systemPrompt.trim();
+}
+
+// Limits for branch content referenced with @mentions
+const MAX_REFERENCES = 5;
+const MAX_REFERENCE_LENGTH = 20000;
+
+// Returns the referenced branches as { label, content } pairs, or throws on malformed input
+function parseReferences(references) {
+  if (references === undefined || references === null) return [];
+  if (!Array.isArray(references) || references.length > MAX_REFERENCES) {
+    throw new Error(`References must be an array of at most ${MAX_REFERENCES} items`);
+  }
+
+  return references.map(reference => {
+    if (!reference || typeof reference.label !== 'string' || typeof reference.content !== 'string') {
+      throw new Error('Each reference needs a string label and content');
+    }
+    return {
+      label: reference.label.slice(0, 200),
+      content: reference.content.slice(0, MAX_REFERENCE_LENGTH)
+    };
+  });
+}
+
+// Merges the conversation's instructions into the default chat system prompt and
+// appends referenced branches as labelled blocks
+function buildChatSystemPrompt({ systemPrompt = '', references = [] } = {}) {
+  const base = systemPrompt
+    ? `${CHAT_SYSTEM_PROMPT}\n\nInstructions for this conversation:\n\n${systemPrompt}`
+    : CHAT_SYSTEM_PROMPT;
+  if (references.length === 0) return base;
+
+  const blocks = references
+    .map(reference => `<reference label="${reference.label.replace(/"/g, "'")}">\n${reference.content}\n</reference>`)
+    .join('\n\n');
+
+  return `${base}
+
+The user referenced other conversation branches with @mentions. Their content is below; draw on it when the user's messages refer to them.
+
+${blocks}`;
+}
+
+// Rough token count (about 4 characters per token), enough to reject requests
+// that clearly can't fit the model's context window before calling the provider
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+function estimateChatTokens({ system, messages, maxTokens }) {
+  return estimateTokens(system) + (Number(maxTokens) || 0) +
+    messages.reduce((total, message) => total + estimateTokens(message.content) + 4, 0);
+}
+
+// Aborts the outbound LLM request if the browser disconnects before we finish responding
+function abortOnDisconnect(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+  return controller;
+}
+
+// Writes a single Server-Sent Event to the response
+function sendEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Streams a chat response to the client as Server-Sent Events
+async function streamChatResponse(res, { provider, model, system, messages, maxTokens, signal }) {
+  const deltas = provider.stream({
+    task: 'chat',
+    model,
+    system,
+    messages: formatChatMessages(messages),
+    maxTokens,
+    signal
+  })[Symbol.asyncIterator]();
+
+  // Wait for the first delta so connection errors can still be sent as a JSON 500
+  let next;
+  try {
+    next = await deltas.next();
+  } catch (error) {
+    if (axios.isCancel(error)) {
+      console.log('Client disconnected before the stream started - request cancelled');
+      return;
+    }
+    console.error(`${provider.name} stream error:`, error.response?.status || error.message);
+    return res.status(500).json({
+      error: 'Failed to get response from Claude',
+      details: error.message,
+      success: false
+    });
+  }
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+
+  let fullText = '';
+
+  try {
+    while (!next.done) {
+      fullText += next.value;
+      sendEvent(res, 'delta', { text: next.value });
+      next = await deltas.next();
+    }
+
+    console.log(`${provider.name} stream completed, length:`, fullText.length);
+    sendEvent(res, 'done', { response: fullText });
+  } catch (error) {
+    if (signal.aborted) {
+      console.log('Client disconnected - cancelled stream after', fullText.length, 'characters');
+      return;
+    }
+    console.error(`${provider.name} stream error:`, error.message);
+    sendEvent(res, 'error', { error: 'Stream interrupted' });
+  }
+
+  res.end();
+}
+
+// Lists the models clients may pin a conversation to
+app.get('/api/models', (req, res) => {
+  const { provider, chatModel, utilityModel, allowedModels, contextWindow } = getModelConfig();
+
+  res.json({
+    provider,
+    defaultModel: chatModel,
+    utilityModel,
+    models: allowedModels,
+    contextWindow,
+    success: true
+  });
+});
+
 // Chat endpoint - main conversation with Claude
 app.post('/api/chat', async (req, res) => {
   try {
-    const { messages, maxTokens = 2000 } = req.body;
+    const controller = abortOnDisconnect(res);
+    const { messages, maxTokens = 2000, stream = false, model: requestedModel = null } = req.body;
 
     if (!messages || !Array.isArray(messages)) {
       return res.status(400).json({ error: 'Messages array is required' });
     }
 
-    console.log('Sending request to Claude API with', messages.length, 'messages');
-
-    const systemPrompt = `You are Claude, an intelligent and highly knowledgeable AI assistant. Provide exceptionally comprehensive, detailed, and thorough responses while maintaining excellent formatting and readability.
-
-Response Quality Guidelines:
-- ALWAYS provide extensive, detailed answers that go beyond surface-level information
-- Give comprehensive explanations with rich context, multiple examples, and nuanced perspectives
-- NEVER artificially shorten responses - prioritize being maximally helpful and informative
-- Include extensive background information, historical context, and multiple viewpoints
-- Elaborate on implications, connections, and broader significance of topics
-- Provide step-by-step explanations and detailed reasoning
-- Add relevant tangential information that enhances understanding
-
-Formatting Guidelines:
-- Start with a clear, direct answer followed by detailed elaboration
-- Use **frequent paragraph breaks** every 2-3 sentences for excellent readability
-- Use **bullet points or numbered lists** extensively when presenting multiple items or concepts
-- Use **bold text liberally** for key terms, concepts, important points, and emphasis
-- Structure responses with logical flow, clear organization, and smooth transitions
-- Maintain an engaging, conversational yet authoritative tone
-- End with synthesis, conclusions, or broader implications when appropriate
-
-Your primary goal is to be extraordinarily helpful through rich, detailed, well-structured responses that demonstrate deep knowledge and provide maximum value to the user. Err on the side of being too comprehensive rather than too brief.`;
-
-    const response = await axios.post(CLAUDE_API_URL, {
-      model: 'claude-3-haiku-20240307',
-      max_tokens: maxTokens,
-      system: systemPrompt,
-      messages: formatMessagesForClaude(messages)
-    }, {
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': CLAUDE_API_KEY,
-        'anthropic-version': '2023-06-01'
+    let references;
+    let systemPrompt;
+    try {
+      references = parseReferences(req.body.references);
+      systemPrompt = parseSystemPrompt(req.body.systemPrompt);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    const system = buildChatSystemPrompt({ systemPrompt, references });
+
+    if (requestedModel !== null && typeof requestedModel !== 'string') {
+      return res.status(400).json({ error: 'Model must be a string' });
+    }
+
+    let target;
+    try {
+      target = resolveModel('chat', requestedModel);
+    } catch (error) {
+      if (error instanceof ModelNotAllowedError) {
+        return res.status(400).json({ error: error.message, success: false });
       }
-    });
+      throw error;
+    }
+
+    const { contextWindow } = getModelConfig();
+    const estimatedTokens = estimateChatTokens({ system, messages, maxTokens });
+    if (estimatedTokens > contextWindow) {
+      return res.status(413).json({
+        error: `Request is about ${estimatedTokens} tokens, more than the ${contextWindow}-token context window`,
+        estimatedTokens,
+        contextWindow,
+        success: false
+      });
+    }
 
-    const claudeResponse = response.data.content[0].text;
-    console.log('Claude API response received, length:', claudeResponse.length);
+    const { provider, model } = target;
+    console.log(`Sending request to ${provider.name} (${model}) with`, messages.length, 'messages',
+      references.length > 0 ? `and ${references.length} referenced branch(es)` : '', systemPrompt ? '(custom system prompt)' : '',
+      stream ? '(streaming)' : '');
+
+    if (stream) {
+      return await streamChatResponse(res, { provider, model, system, messages, maxTokens, signal: controller.signal });
+    }
+
+    const claudeResponse = await provider.complete({
+      task: 'chat',
+      model,
+      system,
+      messages: formatChatMessages(messages),
+      maxTokens,
+      signal: controller.signal
+    });
+    console.log('Chat response received, length:', claudeResponse.length);
 
     res.json({ 
       response: claudeResponse,
+      model: target.spec,
       success: true 
     });
 
   } catch (error) {
-    console.error('Claude API Error:', error.response?.data || error.message);
+    if (axios.isCancel(error)) {
+      console.log('Client disconnected - cancelled LLM request');
+      return;
+    }
+
+    console.error('LLM provider error:', error.response?.data || error.message);
     
     // Return detailed error for debugging
     res.status(500).json({ 
@@ -100,6 +306,7 @@ Your primary goal is to be extraordinarily helpful through rich, detailed, well-
 // Branch name generation endpoint
 app.post('/api/generate-branch-name', async (req, res) => {
   try {
+    const controller = abortOnDisconnect(res);
     const { lastUserMessage, lastAssistantMessage, selectedText } = req.body;
 
     if (!lastUserMessage || !lastAssistantMessage) {
@@ -129,19 +336,17 @@ Respond with only the branch name, no additional text.`;
 
     console.log('Generating branch name for conversation...');
 
-    const response = await axios.post(CLAUDE_API_URL, {
-      model: 'claude-3-haiku-20240307',
-      max_tokens: 20,
-      messages: [{ role: 'user', content: nameGenerationPrompt }]
-    }, {
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': CLAUDE_API_KEY,
-        'anthropic-version': '2023-06-01'
-      }
+    const { provider, model } = resolveModel('utility');
+    const responseText = await provider.complete({
+      model,
+      maxTokens: 20,
+      task: 'branch-name',
+      context: { lastUserMessage, lastAssistantMessage, selectedText },
+      messages: [{ role: 'user', content: nameGenerationPrompt }],
+      signal: controller.signal
     });
 
-    let branchName = response.data.content[0].text.trim();
+    let branchName = responseText.trim();
     
     // Clean up the response - remove quotes and ensure reasonable length
     branchName = branchName.replace(/['"]/g, '');
@@ -157,6 +362,11 @@ Respond with only the branch name, no additional text.`;
     });
 
   } catch (error) {
+    if (axios.isCancel(error)) {
+      console.log('Client disconnected - cancelled LLM request');
+      return;
+    }
+
     console.error('Branch name generation error:', error.response?.data || error.message);
     
     // Fallback to default name
@@ -190,6 +400,7 @@ function generateStableId(title, sourceMessageId) {
 // Conversation name generation endpoint
 app.post('/api/generate-conversation-name', async (req, res) => {
   try {
+    const controller = abortOnDisconnect(res);
     const { conversationContext } = req.body;
 
     if (!conversationContext) {
@@ -206,19 +417,17 @@ Respond with only the conversation title, no additional text.`;
 
     console.log('Generating conversation name...');
 
-    const response = await axios.post(CLAUDE_API_URL, {
-      model: 'claude-3-haiku-20240307',
-      max_tokens: 20,
-      messages: [{ role: 'user', content: nameGenerationPrompt }]
-    }, {
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': CLAUDE_API_KEY,
-        'anthropic-version': '2023-06-01'
-      }
+    const { provider, model } = resolveModel('utility');
+    const responseText = await provider.complete({
+      model,
+      maxTokens: 20,
+      task: 'conversation-name',
+      context: { conversationContext },
+      messages: [{ role: 'user', content: nameGenerationPrompt }],
+      signal: controller.signal
     });
 
-    let conversationName = response.data.content[0].text.trim();
+    let conversationName = responseText.trim();
     
     // Clean up the response - remove quotes and ensure reasonable length
     conversationName = conversationName.replace(/['\"]/g, '');
@@ -234,6 +443,11 @@ Respond with only the conversation title, no additional text.`;
     });
 
   } catch (error) {
+    if (axios.isCancel(error)) {
+      console.log('Client disconnected - cancelled LLM request');
+      return;
+    }
+
     console.error('Conversation name generation error:', error.response?.data || error.message);
     
     // Fallback to default name
@@ -248,6 +462,7 @@ Respond with only the conversation title, no additional text.`;
 // Chat condensing endpoint - generates summary outline of conversation
 app.post('/api/condense', async (req, res) => {
   try {
+    const controller = abortOnDisconnect(res);
     const { messages } = req.body;
 
     if (!messages || !Array.isArray(messages)) {
@@ -280,20 +495,18 @@ Rules:
 
     const userContent = messages.map(m => `[${m.sender.toUpperCase()} ${m.id}]\n${m.content}`).join('\n\n');
 
-    const response = await axios.post(CLAUDE_API_URL, {
-      model: 'claude-3-haiku-20240307',
-      max_tokens: 1200,
+    const { provider, model } = resolveModel('utility');
+    const responseText = await provider.complete({
+      model,
+      maxTokens: 1200,
+      task: 'condense',
+      context: { messages },
       system: systemPrompt,
-      messages: [{ role: 'user', content: userContent }]
-    }, {
-      headers: {
-        'Content-Type': 'application/json',
-        'x-api-key': CLAUDE_API_KEY,
-        'anthropic-version': '2023-06-01'
-      }
+      messages: [{ role: 'user', content: userContent }],
+      signal: controller.signal
     });
 
-    const text = response.data.content[0].text.trim();
+    const text = responseText.trim();
     
     // Create message lookup for timestamps
     const messageMap = new Map();
@@ -368,6 +581,11 @@ Rules:
     });
 
   } catch (error) {
+    if (axios.isCancel(error)) {
+      console.log('Client disconnected - cancelled LLM request');
+      return;
+    }
+
     console.error('Condensing error:', error.response?.data || error.message);
     
     res.status(500).json({ 
@@ -378,17 +596,150 @@ Rules:
   }
 });
 
+// Branch merge endpoint - synthesizes what a branch concluded so it can be appended to its parent
+app.post('/api/merge-branch', async (req, res) => {
+  try {
+    const controller = abortOnDisconnect(res);
+    const { messages, branchTitle = 'Branch', parentTitle = 'Main Channel', model: requestedModel = null } = req.body;
+
+    if (!messages || !Array.isArray(messages) || messages.length === 0) {
+      return res.status(400).json({ error: 'Branch messages are required', success: false });
+    }
+
+    // The synthesis ends up in the main thread, so it uses the conversation's chat model
+    let target;
+    try {
+      target = resolveModel('chat', requestedModel);
+    } catch (error) {
+      if (error instanceof ModelNotAllowedError) {
+        return res.status(400).json({ error: error.message, success: false });
+      }
+      throw error;
+    }
+
+    const systemPrompt = `You merge an exploratory side branch of a conversation back into its parent thread ("${parentTitle}").
+Write a concise synthesis of what the branch "${branchTitle}" established:
+- Lead with the conclusion or answer the branch reached, in one or two sentences.
+- Follow with the key findings, decisions or caveats as short bullet points.
+- Mention open questions only if the branch left something unresolved.
+- Write it so the parent thread can continue from it without reading the branch. Use Markdown; no preamble.`;
+
+    const transcript = messages
+      .map(m => `${(m.sender || m.role) === 'user' ? 'USER' : 'ASSISTANT'}: ${m.content}`)
+      .join('\n\n');
+
+    console.log(`Merging branch "${branchTitle}" (${messages.length} messages) with ${target.provider.name} (${target.model})`);
+
+    const summary = await target.provider.complete({
+      model: target.model,
+      maxTokens: 800,
+      task: 'merge',
+      context: { branchTitle, parentTitle, messages },
+      system: systemPrompt,
+      messages: [{ role: 'user', content: `Branch transcript:\n\n${transcript}` }],
+      signal: controller.signal
+    });
+
+    res.json({
+      summary: summary.trim(),
+      success: true
+    });
+
+  } catch (error) {
+    if (axios.isCancel(error)) {
+      console.log('Client disconnected - cancelled LLM request');
+      return;
+    }
+
+    console.error('Branch merge error:', error.response?.data || error.message);
+    res.status(500).json({
+      error: 'Failed to synthesize branch',
+      details: error.message,
+      success: false
+    });
+  }
+});
+
+// Condenses a new branch's ancestor history for its "summary" context policy
+app.post('/api/summarize-context', async (req, res) => {
+  try {
+    const controller = abortOnDisconnect(res);
+    const { messages, selectedText = '' } = req.body;
+
+    if (!messages || !Array.isArray(messages) || messages.length === 0) {
+      return res.status(400).json({ error: 'Messages are required', success: false });
+    }
+
+    const { provider, model } = resolveModel('context-summary');
+
+    const systemPrompt = `You summarize the conversation that led up to a new branch, so the branch can continue without the full history.
+- Keep the facts, decisions, constraints and terminology the branch will need.
+- Drop greetings, repetition and tangents.
+- Write at most a few short paragraphs or bullet points in Markdown; no preamble.${selectedText ? '\n- The branch focuses on a passage the user selected; make sure the summary explains what it refers to.' : ''}`;
+
+    const transcript = messages
+      .map(m => `${(m.sender || m.role) === 'user' ? 'USER' : 'ASSISTANT'}: ${m.content}`)
+      .join('\n\n');
+
+    console.log(`Summarizing ${messages.length} messages of branch context with ${provider.name} (${model})`);
+
+    const summary = await provider.complete({
+      model,
+      maxTokens: 600,
+      task: 'context-summary',
+      context: { messages, selectedText },
+      system: systemPrompt,
+      messages: [{
+        role: 'user',
+        content: `Conversation so far:\n\n${transcript}${selectedText ? `\n\nSelected passage:\n"${selectedText}"` : ''}`
+      }],
+      signal: controller.signal
+    });
+
+    res.json({
+      summary: summary.trim(),
+      success: true
+    });
+
+  } catch (error) {
+    if (axios.isCancel(error)) {
+      console.log('Client disconnected - cancelled LLM request');
+      return;
+    }
+
+    console.error('Context summary error:', error.response?.data || error.message);
+    res.status(500).json({
+      error: 'Failed to summarize branch context',
+      details: error.message,
+      success: false
+    });
+  }
+});
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
+  const { provider, chatModel, utilityModel, fixtureMode } = getModelConfig();
+  const unconfigured = getUnconfiguredProviders();
+
   res.json({ 
     status: 'healthy', 
     timestamp: new Date().toISOString(),
-    apiKeyConfigured: !!CLAUDE_API_KEY
+    apiKeyConfigured: unconfigured.length === 0,
+    mockProviders: unconfigured,
+    provider,
+    chatModel,
+    utilityModel,
+    fixtureMode
   });
 });
 
 app.listen(PORT, () => {
   console.log(`Claude Branching API Server running on port ${PORT}`);
   console.log(`Health check: http://localhost:${PORT}/api/health`);
-  console.log(`API Key configured: ${CLAUDE_API_KEY ? 'Yes' : 'No'}`);
+  const { provider, chatModel, utilityModel, fixtureMode } = getModelConfig();
+  console.log(`LLM provider: ${provider} (chat: ${chatModel}, utility: ${utilityModel})`);
+  if (fixtureMode) {
+    console.log(`LLM fixtures: ${fixtureMode} mode`);
+  }
+  console.log(`Conversation data: ${DATA_DIR}`);
 });
\ No newline at end of file
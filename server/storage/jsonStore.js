@@ -0,0 +1,290 @@
+// Durable JSON file store for conversation trees - one file per conversation
+const fs = require('fs/promises');
+const path = require('path');
+
+// IDs become file names, so only allow the characters our generators produce
+const ID_PATTERN = /^[A-Za-z0-9_-]{1,100}$/;
+
+// Conversation fields the client may not overwrite through PATCH
+const PROTECTED_CONVERSATION_FIELDS = ['id', 'branches', 'createdAt', 'updatedAt'];
+const PROTECTED_BRANCH_FIELDS = ['id', 'messages', 'createdAt'];
+const PROTECTED_MESSAGE_FIELDS = ['id', 'timestamp'];
+
+class NotFoundError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'NotFoundError';
+    this.statusCode = 404;
+  }
+}
+
+class StoreValidationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StoreValidationError';
+    this.statusCode = 400;
+  }
+}
+
+function assertId(id, label) {
+  if (typeof id !== 'string' || !ID_PATTERN.test(id)) {
+    throw new StoreValidationError(`Invalid ${label} ID`);
+  }
+}
+
+function omit(object, keys) {
+  return Object.fromEntries(Object.entries(object || {}).filter(([key]) => !keys.includes(key)));
+}
+
+function summarize(conversation) {
+  return {
+    id: conversation.id,
+    title: conversation.title,
+    createdAt: conversation.createdAt,
+    updatedAt: conversation.updatedAt,
+    branchCount: conversation.branches.length,
+    messageCount: conversation.branches.reduce((total, branch) => total + branch.messages.length, 0),
+    trashedAt: conversation.trashedAt || null,
+    tags: conversation.tags || [],
+    folder: conversation.folder || null,
+    pinned: Boolean(conversation.pinned)
+  };
+}
+
+function normalizeBranch(branch) {
+  assertId(branch?.id, 'branch');
+  return {
+    ...branch,
+    parentBranchId: branch.parentBranchId || null,
+    parentMessageId: branch.parentMessageId || null,
+    messages: Array.isArray(branch.messages) ? branch.messages : []
+  };
+}
+
+function createJsonStore({ dataDir }) {
+  const conversationsDir = path.join(dataDir, 'conversations');
+  const locks = new Map();
+
+  const fileFor = (conversationId) => {
+    assertId(conversationId, 'conversation');
+    return path.join(conversationsDir, `${conversationId}.json`);
+  };
+
+  // Serializes read-modify-write cycles per conversation so concurrent requests don't lose updates
+  const withLock = (conversationId, operation) => {
+    const previous = locks.get(conversationId) || Promise.resolve();
+    const next = previous.catch(() => {}).then(operation);
+    locks.set(conversationId, next);
+    next.finally(() => {
+      if (locks.get(conversationId) === next) {
+        locks.delete(conversationId);
+      }
+    }).catch(() => {});
+    return next;
+  };
+
+  const read = async (conversationId) => {
+    try {
+      return JSON.parse(await fs.readFile(fileFor(conversationId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new NotFoundError(`Conversation ${conversationId} not found`);
+      }
+      throw error;
+    }
+  };
+
+  // Write to a temp file and rename so a crash never leaves a half-written conversation
+  const write = async (conversation) => {
+    conversation.updatedAt = new Date().toISOString();
+    await fs.mkdir(conversationsDir, { recursive: true });
+    const file = fileFor(conversation.id);
+    const tempFile = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(conversation, null, 2));
+    await fs.rename(tempFile, file);
+    return conversation;
+  };
+
+  const update = (conversationId, mutate) => withLock(conversationId, async () => {
+    const conversation = await read(conversationId);
+    const result = mutate(conversation);
+    await write(conversation);
+    return result === undefined ? conversation : result;
+  });
+
+  const findBranch = (conversation, branchId) => {
+    const branch = conversation.branches.find(b => b.id === branchId);
+    if (!branch) {
+      throw new NotFoundError(`Branch ${branchId} not found`);
+    }
+    return branch;
+  };
+
+  const findMessage = (branch, messageId) => {
+    const message = branch.messages.find(m => m.id === messageId);
+    if (!message) {
+      throw new NotFoundError(`Message ${messageId} not found`);
+    }
+    return message;
+  };
+
+  return {
+    // Conversations
+
+    async listConversations() {
+      let files;
+      try {
+        files = await fs.readdir(conversationsDir);
+      } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+      }
+
+      const conversations = await Promise.all(files
+        .filter(file => file.endsWith('.json'))
+        .map(file => read(path.basename(file, '.json'))));
+
+      return conversations.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+    },
+
+    async listConversationSummaries() {
+      return (await this.listConversations()).map(summarize);
+    },
+
+    getConversation(conversationId) {
+      return read(conversationId);
+    },
+
+    // Creates or fully replaces a conversation tree
+    putConversation(conversationId, data) {
+      if (data?.id && data.id !== conversationId) {
+        throw new StoreValidationError('Conversation ID in body does not match URL');
+      }
+      if (!data || typeof data.title !== 'string' || !data.title.trim()) {
+        throw new StoreValidationError('Conversation title is required');
+      }
+
+      return withLock(conversationId, async () => {
+        const branches = (Array.isArray(data.branches) ? data.branches : []).map(normalizeBranch);
+        return write({
+          ...data,
+          id: conversationId,
+          createdAt: data.createdAt || new Date().toISOString(),
+          branches
+        });
+      });
+    },
+
+    patchConversation(conversationId, fields) {
+      return update(conversationId, (conversation) => {
+        Object.assign(conversation, omit(fields, PROTECTED_CONVERSATION_FIELDS));
+      });
+    },
+
+    deleteConversation(conversationId) {
+      return withLock(conversationId, async () => {
+        try {
+          await fs.unlink(fileFor(conversationId));
+        } catch (error) {
+          if (error.code === 'ENOENT') {
+            throw new NotFoundError(`Conversation ${conversationId} not found`);
+          }
+          throw error;
+        }
+      });
+    },
+
+    // Branches
+
+    async listBranches(conversationId) {
+      return (await read(conversationId)).branches;
+    },
+
+    async getBranch(conversationId, branchId) {
+      return findBranch(await read(conversationId), branchId);
+    },
+
+    // Creates or fully replaces a branch, including its messages
+    putBranch(conversationId, branchId, data) {
+      if (data?.id && data.id !== branchId) {
+        throw new StoreValidationError('Branch ID in body does not match URL');
+      }
+      const branch = normalizeBranch({ createdAt: new Date().toISOString(), isActive: true, ...data, id: branchId });
+
+      return update(conversationId, (conversation) => {
+        const index = conversation.branches.findIndex(b => b.id === branchId);
+        if (index === -1) {
+          conversation.branches.push(branch);
+        } else {
+          conversation.branches[index] = branch;
+        }
+        return branch;
+      });
+    },
+
+    patchBranch(conversationId, branchId, fields) {
+      return update(conversationId, (conversation) => {
+        const branch = findBranch(conversation, branchId);
+        Object.assign(branch, omit(fields, PROTECTED_BRANCH_FIELDS));
+        return branch;
+      });
+    },
+
+    deleteBranch(conversationId, branchId) {
+      return update(conversationId, (conversation) => {
+        findBranch(conversation, branchId);
+        conversation.branches = conversation.branches.filter(b => b.id !== branchId);
+        return null;
+      });
+    },
+
+    // Messages
+
+    async listMessages(conversationId, branchId) {
+      return (await this.getBranch(conversationId, branchId)).messages;
+    },
+
+    addMessage(conversationId, branchId, message) {
+      assertId(message?.id, 'message');
+      if (typeof message.content !== 'string') {
+        throw new StoreValidationError('Message content is required');
+      }
+
+      return update(conversationId, (conversation) => {
+        const branch = findBranch(conversation, branchId);
+        const stored = { timestamp: new Date().toISOString(), ...message };
+        const index = branch.messages.findIndex(m => m.id === message.id);
+        // Re-posting a message (e.g. a retried sync) replaces it instead of duplicating it
+        if (index === -1) {
+          branch.messages.push(stored);
+        } else {
+          branch.messages[index] = stored;
+        }
+        return stored;
+      });
+    },
+
+    patchMessage(conversationId, branchId, messageId, fields) {
+      return update(conversationId, (conversation) => {
+        const message = findMessage(findBranch(conversation, branchId), messageId);
+        Object.assign(message, omit(fields, PROTECTED_MESSAGE_FIELDS));
+        return message;
+      });
+    },
+
+    deleteMessage(conversationId, branchId, messageId) {
+      return update(conversationId, (conversation) => {
+        const branch = findBranch(conversation, branchId);
+        findMessage(branch, messageId);
+        branch.messages = branch.messages.filter(m => m.id !== messageId);
+        return null;
+      });
+    }
+  };
+}
+
+module.exports = {
+  NotFoundError,
+  StoreValidationError,
+  createJsonStore
+};
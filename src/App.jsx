@@ -1,25 +1,61 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import ChatInterface from './components/ChatInterface';
+import IntegrityReportDialog from './components/IntegrityReportDialog';
 import ConversationManager from './utils/conversationManager';
+import ClaudeApiService from './utils/claudeApi';
+import { config } from './config/index.js';
+import RemoteStorageBackend from './utils/remoteStorage';
+import { RequestAbortedError } from './utils/errorHandling';
 import './styles.css';
 
-const conversationManager = new ConversationManager();
+const conversationManager = new ConversationManager({
+  remote: config.features.remoteStorage ? new RemoteStorageBackend() : null
+});
+const claudeApi = new ClaudeApiService();
 
 function App() {
   const [currentConversation, setCurrentConversation] = useState(null);
   const [messages, setMessages] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [conversationUpdate, setConversationUpdate] = useState(0);
+  const [streamingContent, setStreamingContent] = useState(null);
+  const [interruptedReply, setInterruptedReply] = useState(null);
+  const [availableModels, setAvailableModels] = useState({ models: [], defaultModel: null });
+  const [storageError, setStorageError] = useState(null);
+  const [integrityReports, setIntegrityReports] = useState([]);
+  const [integrityReportOpen, setIntegrityReportOpen] = useState(false);
+  const [regeneratingMessageId, setRegeneratingMessageId] = useState(null);
+  const abortControllerRef = useRef(null);
+  const initializedRef = useRef(false);
 
   useEffect(() => {
+    claudeApi.getModels().then(models => {
+      // Budget requests against the chat model's context window
+      conversationManager.setContextWindow(models.contextWindow);
+      setAvailableModels(models);
+    });
+  }, []);
+
+  useEffect(() => {
+    if (initializedRef.current) return;
+    initializedRef.current = true;
+    initialize();
+  }, []);
+
+  const initialize = async () => {
     // Check URL parameters for specific branch/conversation
     const urlParams = new URLSearchParams(window.location.search);
     const branchId = urlParams.get('branch');
     const conversationId = urlParams.get('conversation');
     
-    // Try to load existing conversation or create new one
-    const loaded = conversationManager.loadFromStorage();
-    if (!loaded) {
+    // Load the local copy, then reconcile it with the server store
+    await conversationManager.loadFromStorage();
+    await conversationManager.syncWithRemote();
+    setStorageError(conversationManager.storageError);
+    setIntegrityReports(conversationManager.integrityReports);
+
+    // Create a conversation if neither source had one
+    if (!conversationManager.getCurrentConversation()) {
       const newConversation = conversationManager.createConversation("Chat with Claude");
       setCurrentConversation(newConversation);
     } else {
@@ -46,11 +82,107 @@ function App() {
         setMessages(currentBranch.messages);
       }
     }
-  }, []);
+  };
 
-  const sendMessage = async (content) => {
+  // Resolves with Claude's full reply to a branch, streaming partial text into the pending bubble when enabled.
+  // The history is trimmed to the context window and sent with the branch's system prompt;
+  // @mentioned branches are sent along as references.
+  const requestAssistantReply = async (branchId, signal, messages = null) => {
+    // Conversations pinned to a model override config.claude.model
+    const model = conversationManager.getCurrentConversation()?.model || null;
+    const { history, references, systemPrompt } = await conversationManager.prepareChatRequest(branchId, { messages });
+
+    if (!config.features.streamingResponses) {
+      return claudeApi.sendMessage(history, config.claude.maxTokens, { signal, model, references, systemPrompt });
+    }
+
+    setStreamingContent('');
+    return new Promise((resolve, reject) => {
+      claudeApi.streamMessage(
+        history,
+        (token) => setStreamingContent(prev => (prev || '') + token),
+        resolve,
+        (errorMessage, error) => reject(error || new Error(errorMessage)),
+        { signal, model, references, systemPrompt }
+      );
+    });
+  };
+
+  // Aborts the in-flight request; the server cancels its upstream call when we disconnect
+  const stopGeneration = () => {
+    abortControllerRef.current?.abort();
+  };
+
+  // Commits the partial text of a stopped reply as an "interrupted" message
+  const keepInterruptedReply = () => {
+    if (!interruptedReply) return;
+
+    try {
+      conversationManager.addMessage(interruptedReply.content, 'assistant', interruptedReply.branchId, { interrupted: true });
+      if (conversationManager.currentBranch === interruptedReply.branchId) {
+        setMessages([...conversationManager.getCurrentBranch().messages]);
+      }
+    } catch (error) {
+      console.error('Failed to keep interrupted response:', error);
+    } finally {
+      setInterruptedReply(null);
+    }
+  };
+
+  const discardInterruptedReply = () => {
+    setInterruptedReply(null);
+  };
+
+  const changeConversationModel = (model) => {
+    try {
+      conversationManager.setConversationModel(model || null);
+      setConversationUpdate(prev => prev + 1);
+    } catch (error) {
+      console.error('Failed to change conversation model:', error);
+    }
+  };
+
+  // Requests Claude's reply to a branch's history and commits it to that branch.
+  // Resolves with the reply text, or null if it was stopped or failed.
+  const generateReply = async (branchId) => {
     setIsLoading(true);
-    
+    setInterruptedReply(null);
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    try {
+      // The branch's context policy decides how much inherited history is sent
+      const response = await requestAssistantReply(branchId, controller.signal);
+
+      // Only commit Claude's response once the stream has completed
+      conversationManager.addMessage(response, 'assistant', branchId);
+      setStreamingContent(null);
+      if (conversationManager.currentBranch === branchId) {
+        setMessages([...conversationManager.getCurrentBranch().messages]);
+      }
+      return response;
+    } catch (error) {
+      if (error instanceof RequestAbortedError) {
+        // Offer to keep whatever arrived before the user pressed Stop
+        if (error.partialText && error.partialText.trim()) {
+          setInterruptedReply({ content: error.partialText, branchId });
+        }
+      } else {
+        console.error('Error sending message:', error);
+      }
+      return null;
+    } finally {
+      abortControllerRef.current = null;
+      setStreamingContent(null);
+      setIsLoading(false);
+    }
+  };
+
+  const sendMessage = async (content) => {
+    let branchId;
+    let isFirstMessage;
+
     try {
       // Ensure we have an active conversation
       if (!conversationManager.getCurrentConversation()) {
@@ -59,79 +191,196 @@ function App() {
       }
       
       // Add user message
-      const userMessage = conversationManager.addMessage(content, 'user');
+      conversationManager.addMessage(content, 'user');
+      branchId = conversationManager.currentBranch;
       const currentBranch = conversationManager.getCurrentBranch();
       setMessages([...currentBranch.messages]);
 
       // Check if this is the first message in the conversation to auto-generate name
-      const isFirstMessage = currentBranch.messages.length === 1;
-
-      // Send to Claude API
-      const response = await fetch('http://localhost:3001/api/chat', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-        },
-        body: JSON.stringify({
-          messages: currentBranch.messages,
-          maxTokens: 1000
-        })
-      });
+      isFirstMessage = currentBranch.messages.length === 1;
+    } catch (error) {
+      console.error('Error sending message:', error);
+      return;
+    }
 
-      const data = await response.json();
-      
-      if (data.success) {
-        // Add Claude's response
-        const assistantMessage = conversationManager.addMessage(data.response, 'assistant');
-        const updatedBranch = conversationManager.getCurrentBranch();
-        setMessages([...updatedBranch.messages]);
-
-        // Auto-generate conversation name after first exchange
-        if (isFirstMessage) {
-          console.log('First message detected, generating conversation name...');
-          try {
-            const nameResponse = await fetch('http://localhost:3001/api/generate-conversation-name', {
-              method: 'POST',
-              headers: { 'Content-Type': 'application/json' },
-              body: JSON.stringify({
-                conversationContext: `${content} ${data.response}`
-              })
-            });
-            
-            const nameData = await nameResponse.json();
-            console.log('Name generation response:', nameData);
-            
-            if (nameData.success && nameData.conversationName) {
-              // Update conversation title
-              const conversation = conversationManager.getCurrentConversation();
-              if (conversation) {
-                console.log('Updating conversation title from', conversation.title, 'to', nameData.conversationName);
-                conversation.title = nameData.conversationName;
-                conversationManager._saveToStorage();
-                // Force component re-render to show new name
-                setConversationUpdate(prev => prev + 1);
-              }
-            }
-          } catch (error) {
-            console.log('Failed to auto-generate conversation name:', error);
+    // Send to Claude API
+    const response = await generateReply(branchId);
+
+    // Auto-generate conversation name after first exchange
+    if (response && isFirstMessage) {
+      console.log('First message detected, generating conversation name...');
+      try {
+        const nameResponse = await fetch('http://localhost:3001/api/generate-conversation-name', {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({
+            conversationContext: `${content} ${response}`
+          })
+        });
+        
+        const nameData = await nameResponse.json();
+        console.log('Name generation response:', nameData);
+        
+        if (nameData.success && nameData.conversationName) {
+          // Update conversation title
+          const conversation = conversationManager.getCurrentConversation();
+          if (conversation) {
+            console.log('Updating conversation title from', conversation.title, 'to', nameData.conversationName);
+            conversationManager.renameConversation(conversation.id, nameData.conversationName);
+            // Force component re-render to show new name
+            setConversationUpdate(prev => prev + 1);
           }
         }
-      } else {
-        console.error('Claude API error:', data.error);
+      } catch (error) {
+        console.log('Failed to auto-generate conversation name:', error);
+      }
+    }
+  };
+
+  // Samples another reply for an assistant message and stores it as a variant.
+  // A stopped regeneration is dropped; the existing variants stay as they were.
+  const regenerateMessage = async (messageId) => {
+    const branchId = conversationManager.currentBranch;
+    const branch = conversationManager.getCurrentBranch();
+    const index = branch ? branch.messages.findIndex(message => message.id === messageId) : -1;
+    if (index === -1) return;
+
+    setIsLoading(true);
+    setInterruptedReply(null);
+    setRegeneratingMessageId(messageId);
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+
+    try {
+      // Only the history before the message is sent
+      const response = await requestAssistantReply(branchId, controller.signal, branch.messages.slice(0, index));
+
+      conversationManager.addMessageVariant(messageId, response, branchId);
+      if (conversationManager.currentBranch === branchId) {
+        setMessages([...conversationManager.getCurrentBranch().messages]);
       }
     } catch (error) {
-      console.error('Error sending message:', error);
+      if (!(error instanceof RequestAbortedError)) {
+        console.error('Error regenerating response:', error);
+      }
+    } finally {
+      abortControllerRef.current = null;
+      setStreamingContent(null);
+      setRegeneratingMessageId(null);
+      setIsLoading(false);
+    }
+  };
+
+  // Saves an edit as a sibling branch from that point. Edited user messages
+  // get a fresh reply; edited assistant messages wait for the user to continue.
+  const editMessage = async (messageId, content) => {
+    let result;
+    try {
+      result = conversationManager.editMessage(messageId, content);
+    } catch (error) {
+      console.error('Failed to edit message:', error);
+      throw error;
+    }
+
+    setMessages([...result.branch.messages]);
+    setConversationUpdate(prev => prev + 1);
+
+    if (result.message.sender === 'user') {
+      await generateReply(result.branch.id);
+    }
+  };
+
+  // Sends one follow-up to several branches of the current conversation (compare mode).
+  // Resolves with one { branchId, error } entry per branch.
+  const broadcastMessage = async (content, branchIds) => {
+    setIsLoading(true);
+    setInterruptedReply(null);
+
+    const controller = new AbortController();
+    abortControllerRef.current = controller;
+    const model = conversationManager.getCurrentConversation()?.model || null;
+
+    const refreshBranch = (branchId) => {
+      if (conversationManager.currentBranch === branchId) {
+        setMessages([...conversationManager.getCurrentBranch().messages]);
+      }
+      setConversationUpdate(prev => prev + 1);
+    };
+
+    try {
+      const results = await Promise.allSettled(branchIds.map(async (branchId) => {
+        conversationManager.addMessage(content, 'user', branchId);
+        refreshBranch(branchId);
+
+        const { history, references, systemPrompt } = await conversationManager.prepareChatRequest(branchId);
+        const response = await claudeApi.sendMessage(history, config.claude.maxTokens, {
+          signal: controller.signal,
+          model,
+          references,
+          systemPrompt
+        });
+
+        conversationManager.addMessage(response, 'assistant', branchId);
+        refreshBranch(branchId);
+      }));
+
+      return results.map((result, index) => {
+        if (result.status === 'rejected' && !(result.reason instanceof RequestAbortedError)) {
+          console.error(`Error sending follow-up to branch ${branchIds[index]}:`, result.reason);
+        }
+        return {
+          branchId: branchIds[index],
+          error: result.status === 'rejected' ? result.reason.message : null
+        };
+      });
     } finally {
+      abortControllerRef.current = null;
       setIsLoading(false);
     }
   };
 
   return (
     <div className="app">
+      {storageError && (
+        <div className="storage-error-banner" role="alert">
+          <span>⚠️ {storageError}</span>
+          <button onClick={() => setStorageError(null)} title="Dismiss">×</button>
+        </div>
+      )}
+      {!storageError && integrityReports.length > 0 && (
+        <div className="storage-error-banner" role="status">
+          <span>
+            🛠 Repaired {integrityReports.reduce((total, report) => total + report.issues.length, 0)} problem(s) in {integrityReports.length} saved conversation(s)
+          </span>
+          <button className="banner-link" onClick={() => setIntegrityReportOpen(true)}>Details</button>
+          <button onClick={() => setIntegrityReports([])} title="Dismiss">×</button>
+        </div>
+      )}
+      {integrityReportOpen && (
+        <IntegrityReportDialog
+          reports={integrityReports}
+          onClose={() => {
+            setIntegrityReportOpen(false);
+            setIntegrityReports([]);
+          }}
+        />
+      )}
       <ChatInterface 
         messages={messages}
         onSendMessage={sendMessage}
+        onBroadcastMessage={broadcastMessage}
+        onEditMessage={editMessage}
+        onRegenerateMessage={regenerateMessage}
+        regeneratingMessageId={regeneratingMessageId}
         isLoading={isLoading}
+        streamingContent={streamingContent}
+        onStopGeneration={stopGeneration}
+        interruptedReply={interruptedReply}
+        onKeepInterruptedReply={keepInterruptedReply}
+        onDiscardInterruptedReply={discardInterruptedReply}
+        availableModels={availableModels}
+        onModelChange={changeConversationModel}
         conversationManager={conversationManager}
         onMessagesUpdate={setMessages}
         conversationUpdate={conversationUpdate}
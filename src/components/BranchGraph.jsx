@@ -0,0 +1,281 @@
+import React, { useState, useRef, useEffect, useCallback } from 'react';
+import {
+  GRAPH_NODE_WIDTH,
+  GRAPH_NODE_HEIGHT,
+  GRAPH_TEXT_FORMATS,
+  layoutBranchGraph,
+  exportBranchGraph,
+  formatRecency,
+  truncateLabel
+} from '../utils/branchGraph';
+import { downloadFile, toFileBaseName } from '../utils/exporters';
+
+const MIN_ZOOM = 0.2;
+const MAX_ZOOM = 3;
+
+// Pointer travel in pixels before a press on a node counts as a drag
+const DRAG_THRESHOLD = 4;
+
+// Colours are SVG attributes rather than CSS so exported SVGs look the same
+const COLORS = {
+  node: '#ffffff',
+  current: '#e7f1ff',
+  border: '#dee2e6',
+  accent: '#007bff',
+  merged: '#1e7b34',
+  dropTarget: '#ffc107',
+  edge: '#adb5bd',
+  text: '#333333',
+  muted: '#666666'
+};
+
+const clampZoom = (k) => Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, k));
+
+const BranchGraph = ({ conversation, currentBranchId, onSwitchBranch, onReparentBranch, onClose }) => {
+  const svgRef = useRef(null);
+  const [view, setView] = useState({ x: 0, y: 0, k: 1 });
+  // { nodeId (null when panning), startX, startY, origin, moved, dx, dy, targetId }
+  const [drag, setDrag] = useState(null);
+
+  const layout = layoutBranchGraph(conversation);
+  const nodesById = new Map(layout.nodes.map(node => [node.id, node]));
+
+  const fitToView = useCallback(() => {
+    const svg = svgRef.current;
+    if (!svg) return;
+    const k = clampZoom(Math.min(svg.clientWidth / layout.width, svg.clientHeight / layout.height, 1.25));
+    setView({
+      k,
+      x: (svg.clientWidth - layout.width * k) / 2,
+      y: Math.max(0, (svg.clientHeight - layout.height * k) / 2)
+    });
+  }, [layout.width, layout.height]);
+
+  // Fit once when opened; later changes keep the user's pan and zoom
+  useEffect(() => {
+    fitToView();
+  }, []);
+
+  // React's wheel listener is passive, so zooming needs a native one to stop page scroll
+  useEffect(() => {
+    const svg = svgRef.current;
+    const handleWheel = (event) => {
+      event.preventDefault();
+      const rect = svg.getBoundingClientRect();
+      const px = event.clientX - rect.left;
+      const py = event.clientY - rect.top;
+      setView(prev => {
+        const k = clampZoom(prev.k * Math.exp(-event.deltaY * 0.0015));
+        return { k, x: px - (px - prev.x) * (k / prev.k), y: py - (py - prev.y) * (k / prev.k) };
+      });
+    };
+    svg.addEventListener('wheel', handleWheel, { passive: false });
+    return () => svg.removeEventListener('wheel', handleWheel);
+  }, []);
+
+  const zoomBy = (factor) => {
+    const svg = svgRef.current;
+    const cx = svg.clientWidth / 2;
+    const cy = svg.clientHeight / 2;
+    setView(prev => {
+      const k = clampZoom(prev.k * factor);
+      return { k, x: cx - (cx - prev.x) * (k / prev.k), y: cy - (cy - prev.y) * (k / prev.k) };
+    });
+  };
+
+  const toGraphPoint = (event) => {
+    const rect = svgRef.current.getBoundingClientRect();
+    return {
+      x: (event.clientX - rect.left - view.x) / view.k,
+      y: (event.clientY - rect.top - view.y) / view.k
+    };
+  };
+
+  const nodeAt = (point, excludeId) => layout.nodes.find(node => (
+    node.id !== excludeId &&
+    point.x >= node.x && point.x <= node.x + GRAPH_NODE_WIDTH &&
+    point.y >= node.y && point.y <= node.y + GRAPH_NODE_HEIGHT
+  ));
+
+  const handlePointerDown = (event, nodeId = null) => {
+    if (event.button !== 0) return;
+    event.stopPropagation();
+    svgRef.current.setPointerCapture(event.pointerId);
+    setDrag({ nodeId, startX: event.clientX, startY: event.clientY, origin: view, moved: false, dx: 0, dy: 0, targetId: null });
+  };
+
+  const handlePointerMove = (event) => {
+    if (!drag) return;
+    const dx = event.clientX - drag.startX;
+    const dy = event.clientY - drag.startY;
+    const moved = drag.moved || Math.hypot(dx, dy) > DRAG_THRESHOLD;
+
+    if (!drag.nodeId) {
+      setView({ ...drag.origin, x: drag.origin.x + dx, y: drag.origin.y + dy });
+      setDrag({ ...drag, moved });
+      return;
+    }
+
+    // The main branch can't move, so dragging it does nothing
+    const target = moved && drag.nodeId !== 'main' ? nodeAt(toGraphPoint(event), drag.nodeId) : null;
+    setDrag({ ...drag, moved, dx: dx / view.k, dy: dy / view.k, targetId: target ? target.id : null });
+  };
+
+  const handlePointerUp = () => {
+    if (!drag) return;
+    const { nodeId, moved, targetId } = drag;
+    setDrag(null);
+
+    if (!nodeId) return;
+    if (!moved) {
+      onSwitchBranch(nodeId);
+    } else if (targetId) {
+      onReparentBranch(nodeId, targetId);
+    }
+  };
+
+  const handleExportSvg = () => {
+    const clone = svgRef.current.cloneNode(true);
+    clone.removeAttribute('class');
+    clone.setAttribute('width', layout.width);
+    clone.setAttribute('height', layout.height);
+    clone.setAttribute('viewBox', `0 0 ${layout.width} ${layout.height}`);
+    clone.querySelector('[data-viewport]').removeAttribute('transform');
+
+    const background = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    background.setAttribute('width', '100%');
+    background.setAttribute('height', '100%');
+    background.setAttribute('fill', COLORS.node);
+    clone.insertBefore(background, clone.firstChild);
+
+    downloadFile({
+      content: new XMLSerializer().serializeToString(clone),
+      filename: `${toFileBaseName(conversation.title, 'graph')}.svg`,
+      mimeType: 'image/svg+xml'
+    });
+  };
+
+  const handleExportText = (format) => {
+    try {
+      downloadFile(exportBranchGraph(conversation, format));
+    } catch (error) {
+      console.error('Graph export failed:', error);
+    }
+  };
+
+  const draggedId = drag && drag.nodeId && drag.moved ? drag.nodeId : null;
+  // The dragged node is drawn last so it stays on top
+  const orderedNodes = draggedId
+    ? [...layout.nodes.filter(node => node.id !== draggedId), nodesById.get(draggedId)]
+    : layout.nodes;
+
+  return (
+    <>
+      <div className="modal-backdrop" onClick={onClose} />
+      <div className="branch-graph" role="dialog" aria-label="Branch graph">
+        <div className="modal-header">
+          <h3 className="modal-title">Branch graph · {conversation.title}</h3>
+          <div className="compare-header-actions">
+            <button className="branch-btn" onClick={() => zoomBy(1 / 1.25)} title="Zoom out">−</button>
+            <span className="branch-graph-zoom">{Math.round(view.k * 100)}%</span>
+            <button className="branch-btn" onClick={() => zoomBy(1.25)} title="Zoom in">+</button>
+            <button className="branch-btn" onClick={fitToView} title="Fit the whole tree">Fit</button>
+            <button className="branch-btn" onClick={handleExportSvg} title="Download the graph as an SVG image">⤓ SVG</button>
+            <button className="branch-btn" onClick={() => handleExportText(GRAPH_TEXT_FORMATS.MERMAID)} title="Download a Mermaid flowchart for Markdown docs">⤓ Mermaid</button>
+            <button className="branch-btn" onClick={() => handleExportText(GRAPH_TEXT_FORMATS.GRAPHVIZ)} title="Download a Graphviz DOT file">⤓ Graphviz</button>
+            <button className="condensed-close-btn" onClick={onClose} title="Close">✕</button>
+          </div>
+        </div>
+
+        <p className="branch-graph-hint">
+          Click a branch to open it. Drag it onto another branch to move it there. Scroll to zoom; drag the background to pan.
+        </p>
+
+        <svg
+          ref={svgRef}
+          className={`branch-graph-canvas${drag && !drag.nodeId ? ' panning' : ''}`}
+          xmlns="http://www.w3.org/2000/svg"
+          fontFamily="-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif"
+          onPointerDown={(e) => handlePointerDown(e)}
+          onPointerMove={handlePointerMove}
+          onPointerUp={handlePointerUp}
+          onPointerCancel={() => setDrag(null)}
+        >
+          <g data-viewport="" transform={`translate(${view.x} ${view.y}) scale(${view.k})`}>
+            {layout.edges.map(edge => {
+              const from = nodesById.get(edge.from);
+              const to = nodesById.get(edge.to);
+              const x1 = from.x + GRAPH_NODE_WIDTH / 2;
+              const y1 = from.y + GRAPH_NODE_HEIGHT;
+              const x2 = to.x + GRAPH_NODE_WIDTH / 2;
+              const y2 = to.y;
+              const midY = (y1 + y2) / 2;
+
+              return (
+                <g key={`${edge.from}-${edge.to}`}>
+                  <path
+                    d={`M ${x1} ${y1} C ${x1} ${midY}, ${x2} ${midY}, ${x2} ${y2}`}
+                    fill="none"
+                    stroke={COLORS.edge}
+                    strokeWidth="1.5"
+                  >
+                    {edge.label && <title>Forked at: {edge.label}</title>}
+                  </path>
+                  {edge.label && (
+                    <text x={(x1 + x2) / 2} y={midY - 4} fontSize="10" fill={COLORS.muted} textAnchor="middle">
+                      {truncateLabel(edge.label, 26)}
+                    </text>
+                  )}
+                </g>
+              );
+            })}
+
+            {orderedNodes.map(node => {
+              const isCurrent = node.id === currentBranchId;
+              const isTarget = drag && drag.targetId === node.id;
+              const x = node.id === draggedId ? node.x + drag.dx : node.x;
+              const y = node.id === draggedId ? node.y + drag.dy : node.y;
+              let stroke = COLORS.border;
+              if (node.isMerged) stroke = COLORS.merged;
+              if (isCurrent) stroke = COLORS.accent;
+              if (isTarget) stroke = COLORS.dropTarget;
+
+              return (
+                <g
+                  key={node.id}
+                  transform={`translate(${x} ${y})`}
+                  opacity={node.isOpen ? 1 : 0.55}
+                  style={{ cursor: node.id === 'main' ? 'pointer' : 'grab' }}
+                  onPointerDown={(e) => handlePointerDown(e, node.id)}
+                >
+                  <title>
+                    {`${node.title}\n${node.messageCount} messages, last active ${node.lastActivity.toLocaleString()}${node.isOpen ? '' : '\nClosed'}`}
+                  </title>
+                  <rect
+                    width={GRAPH_NODE_WIDTH}
+                    height={GRAPH_NODE_HEIGHT}
+                    rx="8"
+                    fill={isCurrent ? COLORS.current : COLORS.node}
+                    stroke={stroke}
+                    strokeWidth={isCurrent || isTarget ? 2 : 1}
+                    strokeDasharray={node.isOpen ? undefined : '4 3'}
+                  />
+                  {/* Brighter dot = more recently active */}
+                  <circle cx={GRAPH_NODE_WIDTH - 12} cy="12" r="4" fill={COLORS.accent} opacity={1 - 0.85 * node.recencyRank} />
+                  <text x="10" y="21" fontSize="13" fontWeight="600" fill={COLORS.text}>
+                    {truncateLabel(node.title, 21)}
+                  </text>
+                  <text x="10" y="40" fontSize="11" fill={COLORS.muted}>
+                    {node.messageCount} msg{node.messageCount === 1 ? '' : 's'} · {formatRecency(node.lastActivity)}
+                  </text>
+                </g>
+              );
+            })}
+          </g>
+        </svg>
+      </div>
+    </>
+  );
+};
+
+export default BranchGraph;
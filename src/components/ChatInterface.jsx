@@ -1,7 +1,24 @@
-import React, { useState, useEffect, useCallback } from 'react';
+import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import ReactMarkdown from 'react-markdown';
 import { useHotkeys } from 'react-hotkeys-hook';
 import CondensedLog from './CondensedLog';
+import ExportDialog from './ExportDialog';
+import CompareView from './CompareView';
+import SystemPromptDialog from './SystemPromptDialog';
+import BranchGraph from './BranchGraph';
+import TrashPanel from './TrashPanel';
+import DeleteBranchDialog from './DeleteBranchDialog';
+import SearchPanel, { EMPTY_SEARCH } from './SearchPanel';
+import OrganizeConversationDialog from './OrganizeConversationDialog';
+import { parseImportFile } from '../utils/importers';
+import { closePartialMarkdown } from '../utils/markdown';
+import { CONTEXT_POLICIES, CONTEXT_POLICY_LABELS, getForkIndex } from '../utils/branchContext';
+import { config } from '../config/index.js';
+import { getMentionQuery, filterMentionCandidates, splitMentions } from '../utils/mentions';
+import { CONTEXT_STRATEGIES, CONTEXT_STRATEGY_LABELS } from '../utils/tokenBudget';
+import { PERSONAS, getPersona } from '../constants/personas';
+import { flattenBranchTree, getDescendantBranches } from '../utils/branchTree';
+import { CONVERSATION_SORTS, CONVERSATION_SORT_LABELS, organizeConversations } from '../utils/conversationList';
 
 // Helper function to convert HTML to markdown while preserving formatting
 const convertHTMLToMarkdown = (html, fallbackText) => {
@@ -124,7 +141,7 @@ const convertHTMLToMarkdown = (html, fallbackText) => {
   return markdown;
 };
 
-const ChatInterface = ({ messages = [], onSendMessage, isLoading = false, conversationManager, onMessagesUpdate, conversationUpdate, setConversationUpdate }) => {
+const ChatInterface = ({ messages = [], onSendMessage, onBroadcastMessage, onEditMessage, onRegenerateMessage, regeneratingMessageId = null, isLoading = false, streamingContent = null, onStopGeneration, interruptedReply = null, onKeepInterruptedReply, onDiscardInterruptedReply, availableModels = { models: [], defaultModel: null }, onModelChange, conversationManager, onMessagesUpdate, conversationUpdate, setConversationUpdate }) => {
   const [inputValue, setInputValue] = useState('');
   const [selectedText, setSelectedText] = useState('');
   const [selectedMessageId, setSelectedMessageId] = useState(null);
@@ -133,6 +150,32 @@ const ChatInterface = ({ messages = [], onSendMessage, isLoading = false, conver
   const [starredSearchQuery, setStarredSearchQuery] = useState('');
   const [debouncedSearchQuery, setDebouncedSearchQuery] = useState('');
   const [condensedLogOpen, setCondensedLogOpen] = useState(false);
+  const [exportConversationId, setExportConversationId] = useState(null);
+  const [organizeConversationId, setOrganizeConversationId] = useState(null);
+  // Tags a chat must all carry to be listed
+  const [tagFilter, setTagFilter] = useState([]);
+  const [systemPromptOpen, setSystemPromptOpen] = useState(false);
+  const [graphOpen, setGraphOpen] = useState(false);
+  const [openCrumbMenu, setOpenCrumbMenu] = useState(null);
+  const [trashOpen, setTrashOpen] = useState(false);
+  const [searchOpen, setSearchOpen] = useState(false);
+  const [relatedOpen, setRelatedOpen] = useState(false);
+  // Earlier messages like the draft being typed
+  const [relatedHints, setRelatedHints] = useState([]);
+  const [hintsDismissed, setHintsDismissed] = useState(false);
+  const [search, setSearch] = useState(EMPTY_SEARCH);
+  const [pendingBranchDelete, setPendingBranchDelete] = useState(null);
+  // { message, undo } for the last deletion
+  const [undoToast, setUndoToast] = useState(null);
+  const [isMerging, setIsMerging] = useState(false);
+  const [compareOpen, setCompareOpen] = useState(false);
+  const [isSummarizingContext, setIsSummarizingContext] = useState(false);
+  const [mentionQuery, setMentionQuery] = useState(null);
+  const [mentionIndex, setMentionIndex] = useState(0);
+  const inputRef = useRef(null);
+  const [editingMessageId, setEditingMessageId] = useState(null);
+  const [editDraft, setEditDraft] = useState('');
+  const importInputRef = useRef(null);
   const [condensedItems, setCondensedItems] = useState([]);
   const [condensedLoading, setCondensedLoading] = useState(false);
   const [condensedParseError, setCondensedParseError] = useState(false);
@@ -205,10 +248,10 @@ const ChatInterface = ({ messages = [], onSendMessage, isLoading = false, conver
     await loadCondensedLog(true);
   };
 
-  // Handle jumping to a message from condensed log
-  const handleJumpToMessage = (messageId) => {
+  // Handle jumping to a message from condensed log or search
+  const handleJumpToMessage = (messageId, branchId = null) => {
     // First, switch to the branch containing the message
-    const success = conversationManager.switchToBranchContainingMessage(messageId);
+    const success = conversationManager.switchToBranchContainingMessage(messageId, branchId);
     
     if (success) {
       // Update the current messages
@@ -217,33 +260,122 @@ const ChatInterface = ({ messages = [], onSendMessage, isLoading = false, conver
         onMessagesUpdate([...currentBranch.messages]);
       }
       
-      // Wait a moment for the DOM to update, then scroll to the message
-      setTimeout(() => {
-        const messageElement = document.querySelector(`[data-message-id="${messageId}"]`);
-        if (messageElement) {
-          messageElement.scrollIntoView({ 
-            behavior: 'smooth', 
-            block: 'center' 
-          });
-          
-          // Add highlight class
-          messageElement.classList.add('message-highlight');
-          
-          // Remove highlight after animation
-          setTimeout(() => {
-            messageElement.classList.remove('message-highlight');
-          }, 2000);
-        }
-      }, 100);
+      scrollToMessage(messageId);
+    }
+  };
+
+  // Search results and related-message hints can be in any conversation
+  const openMessageLink = ({ conversationId, branchId, messageId }) => {
+    if (conversationId !== conversationManager.currentConversationId) {
+      openConversation(conversationId);
     }
+    handleJumpToMessage(messageId, branchId);
+  };
+
+  const handleOpenSearchResult = (result) => {
+    setSearchOpen(false);
+    openMessageLink(result);
+  };
+
+  const handleOpenRelatedBranch = ({ conversationId, branchId }) => {
+    setRelatedOpen(false);
+    if (conversationId !== conversationManager.currentConversationId) {
+      openConversation(conversationId, branchId);
+    } else {
+      handleSwitchBranch(branchId);
+    }
+  };
+
+  // Waits a moment for the DOM to update, then scrolls to and highlights a message
+  const scrollToMessage = (messageId) => {
+    setTimeout(() => {
+      const messageElement = document.querySelector(`[data-message-id="${messageId}"]`);
+      if (messageElement) {
+        messageElement.scrollIntoView({ 
+          behavior: 'smooth', 
+          block: 'center' 
+        });
+        
+        // Add highlight class
+        messageElement.classList.add('message-highlight');
+        
+        // Remove highlight after animation
+        setTimeout(() => {
+          messageElement.classList.remove('message-highlight');
+        }, 2000);
+      }
+    }, 100);
   };
 
+  // Look for earlier discussions of the draft once typing pauses
+  useEffect(() => {
+    if (!conversationManager || !inputValue.trim()) {
+      setRelatedHints([]);
+      setHintsDismissed(false);
+      return;
+    }
+
+    const timer = setTimeout(() => {
+      setRelatedHints(conversationManager.findRelatedMessages(inputValue));
+    }, 500);
+    return () => clearTimeout(timer);
+  }, [inputValue, conversationManager]);
+
+  // Deletions can be undone until the toast goes away
+  useEffect(() => {
+    if (!undoToast) return;
+    const timeout = setTimeout(() => setUndoToast(null), config.ui.undoToastDuration);
+    return () => clearTimeout(timeout);
+  }, [undoToast]);
+
+  // Close the breadcrumb dropdown on outside clicks or Escape
+  useEffect(() => {
+    if (!openCrumbMenu) return;
+
+    const handleMouseDown = (e) => {
+      if (!e.target.closest('.breadcrumb-level')) setOpenCrumbMenu(null);
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setOpenCrumbMenu(null);
+    };
+
+    document.addEventListener('mousedown', handleMouseDown);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handleMouseDown);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [openCrumbMenu]);
+
+  useEffect(() => {
+    if (!relatedOpen) return;
+
+    const handleMouseDown = (e) => {
+      if (!e.target.closest('.related-branches')) setRelatedOpen(false);
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setRelatedOpen(false);
+    };
+
+    document.addEventListener('mousedown', handleMouseDown);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handleMouseDown);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [relatedOpen]);
+
   // Keyboard shortcuts
   useHotkeys('meta+j', async (e) => {
     e.preventDefault();
     await handleCondensedLogToggle();
   }, [condensedLogOpen, condensedLoading, conversationManager]);
 
+  useHotkeys('meta+shift+f', (e) => {
+    e.preventDefault();
+    setSearchOpen(true);
+  }, { enableOnFormTags: true });
+
   // Horizontal swipe detection for trackpads
   useEffect(() => {
     let accumulatedDelta = 0;
@@ -288,8 +420,82 @@ const ChatInterface = ({ messages = [], onSendMessage, isLoading = false, conver
     
     onSendMessage(inputValue);
     setInputValue('');
+    setMentionQuery(null);
+  };
+
+  const mentionSuggestions = mentionQuery && conversationManager
+    ? filterMentionCandidates(conversationManager.getMentionCandidates(), mentionQuery.query)
+    : [];
+
+  const handleInputChange = (e) => {
+    setInputValue(e.target.value);
+    const query = getMentionQuery(e.target.value, e.target.selectionStart);
+    setMentionQuery(query ? { ...query, end: e.target.selectionStart } : null);
+    setMentionIndex(0);
+  };
+
+  // Replaces the partial "@que" before the caret with the chosen token
+  const insertMention = (candidate) => {
+    const before = inputValue.slice(0, mentionQuery.start);
+    const after = inputValue.slice(mentionQuery.end);
+    const inserted = `@${candidate.token} `;
+    setInputValue(`${before}${inserted}${after.replace(/^ /, '')}`);
+    setMentionQuery(null);
+
+    const caret = before.length + inserted.length;
+    setTimeout(() => {
+      inputRef.current?.focus();
+      inputRef.current?.setSelectionRange(caret, caret);
+    }, 0);
+  };
+
+  const handleInputKeyDown = (e) => {
+    if (mentionSuggestions.length === 0) return;
+
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setMentionIndex(prev => (prev + step + mentionSuggestions.length) % mentionSuggestions.length);
+    } else if (e.key === 'Enter' || e.key === 'Tab') {
+      e.preventDefault();
+      insertMention(mentionSuggestions[Math.min(mentionIndex, mentionSuggestions.length - 1)]);
+    } else if (e.key === 'Escape') {
+      setMentionQuery(null);
+    }
+  };
+
+  const handleOpenMention = (mention) => {
+    if (!conversationManager.conversations.get(mention.conversationId)?.branches.has(mention.branchId)) {
+      alert('That branch no longer exists.');
+      return;
+    }
+
+    if (mention.conversationId === conversationManager.currentConversationId) {
+      handleSwitchBranch(mention.branchId);
+      return;
+    }
+    conversationManager.currentConversationId = mention.conversationId;
+    conversationManager.currentBranch = mention.branchId;
+    const currentBranch = conversationManager.getCurrentBranch();
+    onMessagesUpdate(currentBranch?.messages || []);
   };
 
+  // User message text with resolved @mentions rendered as links to their branch
+  const renderWithMentions = (message) => splitMentions(message.content, message.mentions).map((part, index) => (
+    typeof part === 'string' ? (
+      <React.Fragment key={index}>{part}</React.Fragment>
+    ) : (
+      <button
+        key={index}
+        className="mention-link"
+        onClick={() => handleOpenMention(part.mention)}
+        title="Open the referenced branch"
+      >
+        {part.text}
+      </button>
+    )
+  ));
+
   const handleKeyPress = (e) => {
     if (e.key === 'Enter' && !e.shiftKey) {
       e.preventDefault();
@@ -390,6 +596,70 @@ const ChatInterface = ({ messages = [], onSendMessage, isLoading = false, conver
     };
   }, []);
 
+  // 'summary' needs a request to the server, so it is applied after the branch exists
+  const applyDefaultContextPolicy = async (branch) => {
+    if (config.branching.defaultContextPolicy !== CONTEXT_POLICIES.SUMMARY) return;
+    await handleContextPolicyChange(branch.id, CONTEXT_POLICIES.SUMMARY);
+  };
+
+  const handleContextPolicyChange = async (branchId, policy) => {
+    setIsSummarizingContext(true);
+    try {
+      await conversationManager.setBranchContextPolicy(branchId, policy);
+    } catch (error) {
+      console.error('Error changing context policy:', error);
+      alert('Failed to change branch context: ' + error.message);
+    } finally {
+      setIsSummarizingContext(false);
+      setConversationUpdate(prev => prev + 1);
+    }
+  };
+
+  const handleContextStrategyChange = (strategy) => {
+    try {
+      conversationManager.setContextStrategy(strategy || null);
+    } catch (error) {
+      console.error('Error changing context strategy:', error);
+    } finally {
+      setConversationUpdate(prev => prev + 1);
+    }
+  };
+
+  // Picking a persona in the header sets it on the current branch
+  const handlePersonaChange = (personaId) => {
+    const persona = getPersona(personaId);
+    try {
+      conversationManager.setSystemPrompt({ systemPrompt: persona ? persona.prompt : '', persona: persona ? persona.id : null });
+    } catch (error) {
+      console.error('Error changing persona:', error);
+    } finally {
+      setConversationUpdate(prev => prev + 1);
+    }
+  };
+
+  // Errors propagate so the dialog can show them
+  const handleSystemPromptSave = (options) => {
+    conversationManager.setSystemPrompt(options);
+    setConversationUpdate(prev => prev + 1);
+  };
+
+  const handleReparentBranch = (branchId, newParentId) => {
+    const branch = conversation.branches.get(branchId);
+    const newParent = conversation.branches.get(newParentId);
+    if (!branch || !newParent || branch.parentBranchId === newParentId) return;
+    if (!window.confirm(`Move "${branch.title}" under "${newParent.title}"? It will keep its own messages and continue from the end of "${newParent.title}", replacing the history it inherited.`)) return;
+
+    try {
+      conversationManager.reparentBranch(branchId, newParentId);
+      // The moved branch and everything below it now inherit different history
+      onMessagesUpdate(conversationManager.getCurrentBranch().messages);
+      setConversationUpdate(prev => prev + 1);
+    } catch (error) {
+      console.error('Error moving branch:', error);
+      alert('Failed to move branch: ' + error.message);
+    }
+  };
+
   const handleTextBranch = async () => {
     if (!selectedMessageId || !selectedText) return;
     
@@ -424,19 +694,14 @@ const ChatInterface = ({ messages = [], onSendMessage, isLoading = false, conver
         console.log('Failed to auto-generate branch name, using default');
       }
 
-      const newBranch = conversationManager.createBranchFromMessage(selectedMessageId, branchTitle);
+      // The branch keeps its inherited history; the passage is recorded for its context policy
+      const newBranch = conversationManager.createBranchFromMessage(selectedMessageId, branchTitle, {
+        selectedText
+      });
         
       if (newBranch) {
-          // Add only the selected text as an assistant message to start the new branch
-          const assistantMessage = {
-            id: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            content: selectedText,
-            sender: 'assistant',
-            timestamp: Date.now()
-          };
-          
-          newBranch.messages = [assistantMessage];
-          onMessagesUpdate([assistantMessage]);
+          onMessagesUpdate([...newBranch.messages]);
+          await applyDefaultContextPolicy(newBranch);
       }
       
       setSelectedText('');
@@ -486,18 +751,9 @@ const ChatInterface = ({ messages = [], onSendMessage, isLoading = false, conver
       const newBranch = conversationManager.createBranchFromMessage(messageId, branchTitle);
         
       if (newBranch) {
-          // Add the full assistant message to start the new branch
-          const assistantMessage = {
-            id: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            content: `"${message.content}"`,
-            sender: 'assistant',
-            timestamp: Date.now()
-          };
-          
-          newBranch.messages = [assistantMessage];
-          
           // Switch to the new branch in the same window
-          onMessagesUpdate([assistantMessage]);
+          onMessagesUpdate([...newBranch.messages]);
+          await applyDefaultContextPolicy(newBranch);
       }
     } catch (error) {
       console.error('Error creating branch:', error);
@@ -534,6 +790,104 @@ const ChatInterface = ({ messages = [], onSendMessage, isLoading = false, conver
     }
   };
 
+  const handleImportFile = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    try {
+      const existingIds = new Set([...conversationManager.conversations.keys(), ...conversationManager.trashedConversations.keys()]);
+      const { conversations, errors } = parseImportFile(await file.text(), existingIds);
+
+      if (conversations.length === 0) {
+        alert(`Nothing could be imported from ${file.name}.${errors.length ? `\n\n${errors[0].error}` : ''}`);
+        return;
+      }
+
+      conversationManager.importConversations(conversations);
+
+      // Open the first imported conversation
+      conversationManager.currentConversationId = conversations[0].id;
+      conversationManager.currentBranch = 'main';
+      onMessagesUpdate(conversationManager.getCurrentBranch().messages);
+      setConversationUpdate(prev => prev + 1);
+
+      if (errors.length > 0) {
+        alert(`Imported ${conversations.length} conversation(s); ${errors.length} could not be imported:\n\n` +
+          errors.map(failure => `• ${failure.title || `Entry ${failure.index + 1}`}: ${failure.error}`).join('\n'));
+      }
+    } catch (error) {
+      console.error('Error importing conversations:', error);
+      alert('Failed to import: ' + error.message);
+    }
+  };
+
+  const handleMergeBranch = async () => {
+    const branchId = conversationManager.currentBranch;
+    setIsMerging(true);
+    try {
+      await conversationManager.mergeBranch(branchId);
+
+      // Show the synthesis where it landed
+      const branch = conversationManager.getCurrentConversation()?.branches.get(branchId);
+      if (branch?.mergedInto) {
+        handleSwitchBranch(branch.mergedInto.branchId);
+      }
+      setConversationUpdate(prev => prev + 1);
+    } catch (error) {
+      console.error('Error merging branch:', error);
+      alert('Failed to merge branch: ' + error.message);
+    } finally {
+      setIsMerging(false);
+    }
+  };
+
+  const handleSelectVariant = (messageId, variantIndex) => {
+    try {
+      conversationManager.selectMessageVariant(messageId, variantIndex);
+      onMessagesUpdate([...conversationManager.getCurrentBranch().messages]);
+    } catch (error) {
+      console.error('Error switching response variant:', error);
+      alert('Failed to switch response: ' + error.message);
+    }
+  };
+
+  const handlePromoteVariant = (messageId, variantIndex) => {
+    try {
+      conversationManager.promoteMessageVariant(messageId, variantIndex);
+      onMessagesUpdate([...conversationManager.getCurrentBranch().messages]);
+      setConversationUpdate(prev => prev + 1);
+    } catch (error) {
+      console.error('Error promoting response variant:', error);
+      alert('Failed to create branch from response: ' + error.message);
+    }
+  };
+
+  const startEditing = (message) => {
+    setEditingMessageId(message.id);
+    setEditDraft(message.content);
+  };
+
+  const cancelEditing = () => {
+    setEditingMessageId(null);
+    setEditDraft('');
+  };
+
+  const handleSaveEdit = async () => {
+    const messageId = editingMessageId;
+    const draft = editDraft;
+    cancelEditing();
+
+    try {
+      await onEditMessage(messageId, draft);
+    } catch (error) {
+      // Reopen the editor so the draft isn't lost
+      setEditingMessageId(messageId);
+      setEditDraft(draft);
+      alert('Failed to save edit: ' + error.message);
+    }
+  };
+
   const handleSwitchBranch = (branchId) => {
     try {
       const success = conversationManager.switchToBranch(branchId);
@@ -545,42 +899,111 @@ const ChatInterface = ({ messages = [], onSendMessage, isLoading = false, conver
     }
   };
 
+  // Jumping up to an ancestor lands on the message the path forked from
   const handleBreadcrumbClick = (index) => {
-    if (index === 0 && conversationManager?.currentBranch !== 'main') {
-      // Click on "Main Channel" - switch back to main branch
-      handleSwitchBranch('main');
+    setOpenCrumbMenu(null);
+    const crumb = breadcrumbs[index];
+    if (!crumb || crumb.id === conversationManager.currentBranch) return;
+
+    const forkMessageId = breadcrumbs[index + 1]?.parentMessageId;
+    handleSwitchBranch(crumb.id);
+    if (forkMessageId) scrollToMessage(forkMessageId);
+  };
+
+  // Siblings share their parent's history, so show where the chosen one diverges
+  const handleSiblingSelect = (branch) => {
+    setOpenCrumbMenu(null);
+    if (branch.id === conversationManager.currentBranch) return;
+
+    handleSwitchBranch(branch.id);
+    if (branch.parentMessageId) scrollToMessage(branch.parentMessageId);
+  };
+
+  const toggleTagFilter = (tag) => {
+    setTagFilter(prev => (prev.includes(tag) ? prev.filter(other => other !== tag) : [...prev, tag]));
+  };
+
+  const handleSortChange = (sort) => {
+    conversationManager.setListSort(sort);
+    setConversationUpdate(prev => prev + 1);
+  };
+
+  const handleTogglePinned = (conv) => {
+    conversationManager.setConversationPinned(conv.id, !conv.pinned);
+    setConversationUpdate(prev => prev + 1);
+  };
+
+  // The folder is checked first so a bad path leaves the other fields alone
+  const handleOrganizeSave = ({ tags, folder, pinned }) => {
+    conversationManager.moveConversationToFolder(organizeConversationId, folder);
+    conversationManager.setConversationTags(organizeConversationId, tags);
+    conversationManager.setConversationPinned(organizeConversationId, pinned);
+    setOrganizeConversationId(null);
+    setConversationUpdate(prev => prev + 1);
+  };
+
+  const handleToggleFolder = (path) => {
+    conversationManager.setFolderCollapsed(path, !conversationManager.collapsedFolders.has(path));
+    setConversationUpdate(prev => prev + 1);
+  };
+
+  const handleRenameFolder = (folder) => {
+    const name = window.prompt('Rename folder', folder.name);
+    if (name === null || name.trim() === folder.name) return;
+
+    try {
+      conversationManager.renameFolder(folder.path, name);
+      setConversationUpdate(prev => prev + 1);
+    } catch (error) {
+      alert('Failed to rename folder: ' + error.message);
     }
   };
 
+  const handleDeleteFolder = (folder) => {
+    if (!window.confirm(`Remove the folder "${folder.name}"? The chats in it move up a level; nothing is deleted.`)) return;
+    conversationManager.deleteFolder(folder.path);
+    setConversationUpdate(prev => prev + 1);
+  };
+
+  const openConversation = (conversationId, branchId = 'main') => {
+    conversationManager.currentConversationId = conversationId;
+    conversationManager.currentBranch = branchId;
+    onMessagesUpdate(conversationManager.getCurrentBranch().messages);
+  };
+
   const handleDeleteConversation = (conversationId, e) => {
     e.stopPropagation(); // Prevent clicking on the conversation
     
-    if (confirm('Are you sure you want to delete this conversation?')) {
-      try {
-        conversationManager.deleteConversation(conversationId);
-        
-        // Force component re-render and handle navigation
+    try {
+      const conversation = conversationManager.conversations.get(conversationId);
+      const wasCurrent = conversationManager.currentConversationId === conversationId;
+      const previousBranch = conversationManager.currentBranch;
+      conversationManager.trashConversation(conversationId);
+      
+      if (wasCurrent) {
+        // We trashed the current conversation, switch to another one or create new
         const remaining = Array.from(conversationManager.conversations.values());
-        
-        if (conversationManager.currentConversationId === conversationId) {
-          // We deleted the current conversation, switch to another one or create new
-          if (remaining.length > 0) {
-            conversationManager.currentConversationId = remaining[0].id;
-            conversationManager.currentBranch = 'main';
-            onMessagesUpdate(conversationManager.getCurrentBranch().messages);
-          } else {
-            // No conversations left, create a new one
-            const newConversation = conversationManager.createConversation('New Chat');
-            onMessagesUpdate([]);
-          }
+        if (remaining.length > 0) {
+          openConversation(remaining[0].id);
+        } else {
+          conversationManager.createConversation('New Chat');
+          onMessagesUpdate([]);
         }
-        
-        // Force component re-render to update sidebar immediately
-        setConversationUpdate(prev => prev + 1);
-      } catch (error) {
-        console.error('Error deleting conversation:', error);
-        alert('Failed to delete conversation. Please try again.');
       }
+
+      setUndoToast({
+        message: `Moved "${conversation.title}" to the trash`,
+        undo: () => {
+          conversationManager.restoreConversation(conversationId);
+          if (wasCurrent) openConversation(conversationId, previousBranch);
+        }
+      });
+      
+      // Force component re-render to update sidebar immediately
+      setConversationUpdate(prev => prev + 1);
+    } catch (error) {
+      console.error('Error deleting conversation:', error);
+      alert('Failed to delete conversation. Please try again.');
     }
   };
 
@@ -668,38 +1091,402 @@ const ChatInterface = ({ messages = [], onSendMessage, isLoading = false, conver
   };
 
   const handleDeleteBranch = (branchId) => {
-    if (confirm('Are you sure you want to delete this branch?')) {
-      try {
-        const conversation = conversationManager.getCurrentConversation();
-        if (!conversation) return;
-        
-        // Don't allow deleting the main branch
-        if (branchId === 'main') {
-          alert('Cannot delete the main branch');
-          return;
-        }
-        
-        // Delete the branch
-        conversation.branches.delete(branchId);
-        
-        // If we're currently on this branch, switch to main
-        if (conversationManager.currentBranch === branchId) {
-          conversationManager.currentBranch = 'main';
-          onMessagesUpdate(conversationManager.getCurrentBranch().messages);
-        }
-        
-        // Save and update UI
-        conversationManager._saveToStorage();
-        setConversationUpdate(prev => prev + 1);
-      } catch (error) {
-        console.error('Error deleting branch:', error);
-        alert('Failed to delete branch. Please try again.');
+    try {
+      const conversation = conversationManager.getCurrentConversation();
+      if (!conversation) return;
+      
+      // Don't allow deleting the main branch
+      if (branchId === 'main') {
+        alert('Cannot delete the main branch');
+        return;
+      }
+      
+      // Ask what happens to sub-branches first
+      if (getDescendantBranches(conversation, branchId).length > 0) {
+        setPendingBranchDelete(branchId);
+        return;
       }
+
+      trashBranch(branchId, false);
+    } catch (error) {
+      console.error('Error deleting branch:', error);
+      alert('Failed to delete branch. Please try again.');
+    }
+  };
+
+  const trashBranch = (branchId, cascade) => {
+    try {
+      const conversation = conversationManager.getCurrentConversation();
+      const branch = conversation.branches.get(branchId);
+      const previousBranch = conversationManager.currentBranch;
+
+      // Trash the branch (switches to its parent if we were on it or, with cascade, below it)
+      conversationManager.trashBranch(branchId, { cascade });
+      const wasOpen = conversationManager.currentBranch !== previousBranch;
+      
+      if (wasOpen) {
+        onMessagesUpdate(conversationManager.getCurrentBranch().messages);
+      }
+
+      setUndoToast({
+        message: `Moved branch "${branch.title}"${cascade ? ' and its sub-branches' : ''} to the trash`,
+        undo: () => {
+          conversationManager.restoreBranch(conversation.id, branchId);
+          if (wasOpen && conversationManager.currentConversationId === conversation.id) {
+            handleSwitchBranch(previousBranch);
+          }
+        }
+      });
+      
+      setConversationUpdate(prev => prev + 1);
+    } catch (error) {
+      console.error('Error deleting branch:', error);
+      alert('Failed to delete branch. Please try again.');
+    }
+  };
+
+  const handleUndo = () => {
+    try {
+      undoToast.undo();
+    } catch (error) {
+      console.error('Error undoing delete:', error);
+      alert('Failed to undo: ' + error.message);
+    }
+    setUndoToast(null);
+    setConversationUpdate(prev => prev + 1);
+  };
+
+  const handleTrashRestore = (item) => {
+    if (item.conversationId === conversationManager.currentConversationId) {
+      onMessagesUpdate(conversationManager.getCurrentBranch().messages);
     }
   };
 
   const conversation = conversationManager?.getCurrentConversation();
-  const breadcrumbs = conversation?.breadcrumbs || ['Main'];
+  const breadcrumbs = conversation
+    ? conversationManager.generateBreadcrumbs(conversationManager.currentBranch).map(crumb => ({
+        ...crumb,
+        parentMessageId: conversation.branches.get(crumb.id).parentMessageId,
+        siblings: conversationManager.getSiblingBranches(crumb.id)
+      }))
+    : [];
+  const activeBranch = conversationManager?.getCurrentBranch();
+  const allTags = conversationManager ? conversationManager.getAllTags() : [];
+  // Tags that no chat uses any more stop filtering
+  const activeTagFilter = tagFilter.filter(tag => allTags.some(entry => entry.tag === tag));
+  const conversationList = conversationManager
+    ? organizeConversations(conversationManager.conversations.values(), { sort: conversationManager.listSort, tags: activeTagFilter })
+    : { pinned: [], folders: [], groups: [], count: 0 };
+  const trashCount = conversationManager ? conversationManager.getTrash().length : 0;
+  const messageVariants = conversationManager?.getMessageVariants() || new Map();
+  // Last inherited message that the branch's context policy leaves out of requests
+  const inheritedUntil = activeBranch && (activeBranch.contextPolicy || CONTEXT_POLICIES.FULL) !== CONTEXT_POLICIES.FULL
+    ? getForkIndex(activeBranch, messages)
+    : -1;
+  const systemPromptInfo = activeBranch ? conversationManager.getSystemPrompt() : null;
+  const personaValue = systemPromptInfo
+    ? systemPromptInfo.persona || (systemPromptInfo.systemPrompt ? 'custom' : '')
+    : '';
+  // How full the model's context window is for the next reply
+  const contextUsage = activeBranch ? conversationManager.getContextUsage() : null;
+  const contextPercent = contextUsage ? Math.round((contextUsage.tokens / contextUsage.contextWindow) * 100) : 0;
+  // Scans every conversation, so only when the branch or its messages change
+  const relatedBranches = useMemo(
+    () => (activeBranch ? conversationManager.getRelatedBranches() : []),
+    [conversationManager, conversation?.id, activeBranch?.id, messages, conversationUpdate]
+  );
+
+  // One chat in the sidebar, with its branches listed underneath while it is open
+  const renderConversation = (conv) => (
+    <div key={conv.id}>
+      <div 
+        className={`branch-item ${conversationManager?.currentConversationId === conv.id && conversationManager?.currentBranch === 'main' ? 'active' : ''}`}
+        onClick={() => {
+          conversationManager.currentConversationId = conv.id;
+          conversationManager.currentBranch = 'main';
+          const currentBranch = conversationManager.getCurrentBranch();
+          onMessagesUpdate(currentBranch?.messages || []);
+        }}
+        title={`Main conversation - Messages: ${conv.branches?.get('main')?.messages?.length || 0}`}
+        style={{display: 'flex', justifyContent: 'space-between', alignItems: 'center'}}
+      >
+        <span className="conversation-title">
+          {Array.from(conv.branches.values()).filter(branch => branch.id !== 'main').length > 0 ? '📁 ' : ''}
+          {conv.title}
+          {conv.tags && conv.tags.length > 0 && (
+            <span className="conversation-tags">
+              {conv.tags.map(tag => (
+                <button
+                  key={tag}
+                  className={`tag-chip${activeTagFilter.includes(tag) ? ' active' : ''}`}
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    toggleTagFilter(tag);
+                  }}
+                  title={activeTagFilter.includes(tag) ? `Stop filtering by #${tag}` : `Show only chats tagged #${tag}`}
+                >
+                  #{tag}
+                </button>
+              ))}
+            </span>
+          )}
+        </span>
+        <span style={{display: 'flex', flexShrink: 0}}>
+        <button 
+          onClick={(e) => {
+            e.stopPropagation();
+            handleTogglePinned(conv);
+          }}
+          style={{
+            background: 'none',
+            border: 'none',
+            cursor: 'pointer',
+            padding: '2px 6px',
+            fontSize: '12px',
+            borderRadius: '3px',
+            opacity: conv.pinned ? 1 : 0.4,
+            filter: conv.pinned ? undefined : 'grayscale(1)'
+          }}
+          title={conv.pinned ? 'Unpin' : 'Pin to the top of the list'}
+        >
+          📌
+        </button>
+        <button 
+          onClick={(e) => {
+            e.stopPropagation();
+            setOrganizeConversationId(conv.id);
+          }}
+          style={{
+            background: 'none',
+            border: 'none',
+            color: 'var(--text-secondary)',
+            cursor: 'pointer',
+            padding: '2px 6px',
+            fontSize: '12px',
+            borderRadius: '3px',
+            opacity: 0.7
+          }}
+          onMouseEnter={(e) => e.target.style.opacity = '1'}
+          onMouseLeave={(e) => e.target.style.opacity = '0.7'}
+          title="Tags and folder"
+        >
+          🏷
+        </button>
+        <button 
+          onClick={(e) => {
+            e.stopPropagation();
+            setExportConversationId(conv.id);
+          }}
+          style={{
+            background: 'none',
+            border: 'none',
+            color: 'var(--text-secondary)',
+            cursor: 'pointer',
+            padding: '2px 6px',
+            fontSize: '13px',
+            borderRadius: '3px',
+            opacity: 0.7
+          }}
+          onMouseEnter={(e) => e.target.style.opacity = '1'}
+          onMouseLeave={(e) => e.target.style.opacity = '0.7'}
+          title="Export conversation"
+        >
+          ⤓
+        </button>
+        <button 
+          onClick={(e) => handleDeleteConversation(conv.id, e)}
+          style={{
+            background: 'none',
+            border: 'none',
+            color: 'var(--text-secondary)',
+            cursor: 'pointer',
+            padding: '2px 6px',
+            fontSize: '14px',
+            borderRadius: '3px',
+            opacity: 0.7
+          }}
+          onMouseEnter={(e) => e.target.style.opacity = '1'}
+          onMouseLeave={(e) => e.target.style.opacity = '0.7'}
+          title="Move conversation to trash"
+        >
+          ×
+        </button>
+        </span>
+      </div>
+      {/* Show branches as sub-files under the main conversation, indented by depth */}
+      {conversationManager?.currentConversationId === conv.id && (
+        <div style={{marginLeft: '20px'}}>
+          {flattenBranchTree(conv).filter(({ branch }) => branch.id !== 'main').map(({ branch, depth }) => {
+            const swipe = swipeState[branch.id];
+            const translateX = swipe?.isDragging ? Math.max(0, swipe.deltaX) : 0;
+            const showDelete = translateX > 50;
+            
+            return (
+              <div 
+                key={branch.id}
+                className={`branch-item swipeable ${conversationManager?.currentBranch === branch.id ? 'active' : ''}`}
+                onClick={() => !swipe?.isDragging && handleSwitchBranch(branch.id)}
+                onTouchStart={(e) => handleSwipeStart(branch.id, e)}
+                onTouchMove={(e) => handleSwipeMove(branch.id, e)}
+                onTouchEnd={(e) => handleSwipeEnd(branch.id, e)}
+                onMouseDown={(e) => handleSwipeStart(branch.id, e)}
+                onMouseMove={(e) => isMouseDragging && handleSwipeMove(branch.id, e)}
+                onMouseUp={(e) => handleSwipeEnd(branch.id, e)}
+                onMouseLeave={(e) => isMouseDragging && handleSwipeEnd(branch.id, e)}
+                style={{
+                  fontSize: '13px', 
+                  paddingLeft: `${8 + (depth - 1) * 14}px`,
+                  transform: `translateX(${translateX}px)`,
+                  transition: swipe?.isDragging ? 'none' : 'transform 0.3s ease',
+                  position: 'relative',
+                  backgroundColor: showDelete ? '#ffebee' : undefined,
+                  borderColor: showDelete ? '#f44336' : undefined,
+                  cursor: swipe?.isDragging ? 'grabbing' : 'pointer'
+                }}
+              >
+                <div style={{display: 'flex', justifyContent: 'space-between', alignItems: 'center'}}>
+                  <span>
+                    {branch.title}
+                    {branch.mergedInto && (
+                      <span className="merged-badge" title="This branch was merged back into its parent">✓ merged</span>
+                    )}
+                  </span>
+                  <div style={{display: 'flex', gap: '4px', alignItems: 'center'}}>
+                    {showDelete && (
+                      <span style={{color: '#f44336', fontSize: '12px', opacity: 0.8}}>
+                        ← Swipe to delete
+                      </span>
+                    )}
+                    {/* Move to trash - swiping right does the same */}
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        handleDeleteBranch(branch.id);
+                      }}
+                      style={{
+                        background: 'none',
+                        border: 'none',
+                        color: 'var(--text-secondary)',
+                        cursor: 'pointer',
+                        padding: '2px 4px',
+                        fontSize: '12px',
+                        opacity: 0.6
+                      }}
+                      title="Move branch to trash"
+                    >
+                      ×
+                    </button>
+                  </div>
+                </div>
+                {showDelete && (
+                  <div 
+                    style={{
+                      position: 'absolute',
+                      right: -translateX,
+                      top: 0,
+                      bottom: 0,
+                      width: translateX,
+                      backgroundColor: '#f44336',
+                      display: 'flex',
+                      alignItems: 'center',
+                      justifyContent: 'center',
+                      color: 'white',
+                      fontSize: '12px'
+                    }}
+                  >
+                    🗑️
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+
+  // A folder row and, unless collapsed, its subfolders and chats. Folders
+  // stay open while filtering by tag so every match is visible.
+  const renderFolder = (folder) => {
+    const collapsed = activeTagFilter.length === 0 && conversationManager.collapsedFolders.has(folder.path);
+
+    return (
+      <div key={folder.path} className="conversation-folder">
+        <div
+          className="conversation-folder-header"
+          onClick={() => handleToggleFolder(folder.path)}
+          title={collapsed ? 'Show the chats in this folder' : 'Hide the chats in this folder'}
+        >
+          <span>
+            {collapsed ? '▸' : '▾'} 📂 {folder.name}
+            <small className="conversation-folder-count">{folder.count}</small>
+          </span>
+          <span className="conversation-folder-actions">
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                handleRenameFolder(folder);
+              }}
+              title="Rename folder"
+            >
+              ✎
+            </button>
+            <button
+              onClick={(e) => {
+                e.stopPropagation();
+                handleDeleteFolder(folder);
+              }}
+              title="Remove folder (its chats move up a level)"
+            >
+              ×
+            </button>
+          </span>
+        </div>
+        {!collapsed && (
+          <div className="conversation-folder-body">
+            {folder.folders.map(renderFolder)}
+            {folder.conversations.map(renderConversation)}
+          </div>
+        )}
+      </div>
+    );
+  };
+
+  // "< 1/3 >" navigation between sibling versions plus the edit button
+  const renderMessageTools = (message) => {
+    const variants = messageVariants.get(message.id);
+    return (
+      <>
+        {variants && (
+          <span className="variant-nav" title="Other branches with a different version of this message">
+            🌿
+            <button
+              onClick={() => handleSwitchBranch(variants.variants[variants.index - 1].branchId)}
+              disabled={variants.index === 0 || isLoading}
+            >
+              ‹
+            </button>
+            {variants.index + 1}/{variants.total}
+            <button
+              onClick={() => handleSwitchBranch(variants.variants[variants.index + 1].branchId)}
+              disabled={variants.index === variants.total - 1 || isLoading}
+            >
+              ›
+            </button>
+          </span>
+        )}
+        <button
+          className="message-edit-btn"
+          onClick={() => startEditing(message)}
+          disabled={isLoading}
+          title={message.sender === 'user' ? 'Edit and regenerate in a new branch' : "Rewrite Claude's reply in a new branch"}
+        >
+          ✎ Edit
+        </button>
+        {message.editedFrom && <span className="edited-label">edited</span>}
+      </>
+    );
+  };
 
   return (
     <div className="app">
@@ -717,6 +1504,37 @@ const ChatInterface = ({ messages = [], onSendMessage, isLoading = false, conver
             >
               + New Chat
             </button>
+            <button 
+              onClick={() => importInputRef.current && importInputRef.current.click()}
+              className="branch-btn"
+              style={{fontSize: '12px', padding: '8px 14px', marginLeft: '8px'}}
+              title="Import conversations from a JSON export (this app, ChatGPT or Claude.ai)"
+            >
+              ⤒ Import
+            </button>
+            <button 
+              onClick={() => setSearchOpen(true)}
+              className="branch-btn"
+              style={{fontSize: '12px', padding: '8px 14px', marginLeft: '8px'}}
+              title="Search every message in every conversation (⌘⇧F)"
+            >
+              🔍 Search
+            </button>
+            <button 
+              onClick={() => setTrashOpen(true)}
+              className="branch-btn"
+              style={{fontSize: '12px', padding: '8px 14px', marginLeft: '8px'}}
+              title="Deleted conversations and branches"
+            >
+              🗑 Trash{trashCount > 0 ? ` (${trashCount})` : ''}
+            </button>
+            <input
+              ref={importInputRef}
+              type="file"
+              accept=".json,application/json"
+              onChange={handleImportFile}
+              style={{display: 'none'}}
+            />
           </div>
 
           {/* Conversations Section */}
@@ -733,128 +1551,55 @@ const ChatInterface = ({ messages = [], onSendMessage, isLoading = false, conver
             <div className="branch-section">
               <h3>Your Chats</h3>
               {conversationManager?.conversations?.size > 0 ? (
-                Array.from(conversationManager.conversations.values()).map(conv => (
-                  <div key={conv.id}>
-                    <div 
-                      className={`branch-item ${conversationManager?.currentConversationId === conv.id && conversationManager?.currentBranch === 'main' ? 'active' : ''}`}
-                      onClick={() => {
-                        conversationManager.currentConversationId = conv.id;
-                        conversationManager.currentBranch = 'main';
-                        const currentBranch = conversationManager.getCurrentBranch();
-                        onMessagesUpdate(currentBranch?.messages || []);
-                      }}
-                      title={`Main conversation - Messages: ${conv.branches?.get('main')?.messages?.length || 0}`}
-                      style={{display: 'flex', justifyContent: 'space-between', alignItems: 'center'}}
+                <>
+                  <div className="conversation-list-controls">
+                    <select
+                      className="model-select"
+                      value={conversationManager.listSort}
+                      onChange={(e) => handleSortChange(e.target.value)}
+                      title="Order of chats in each section"
                     >
-                      <span>
-                        {Array.from(conv.branches.values()).filter(branch => branch.id !== 'main').length > 0 ? '📁 ' : ''}
-                        {conv.title}
-                      </span>
-                      <button 
-                        onClick={(e) => handleDeleteConversation(conv.id, e)}
-                        style={{
-                          background: 'none',
-                          border: 'none',
-                          color: 'var(--text-secondary)',
-                          cursor: 'pointer',
-                          padding: '2px 6px',
-                          fontSize: '14px',
-                          borderRadius: '3px',
-                          opacity: 0.7
-                        }}
-                        onMouseEnter={(e) => e.target.style.opacity = '1'}
-                        onMouseLeave={(e) => e.target.style.opacity = '0.7'}
-                        title="Delete conversation"
-                      >
-                        ×
-                      </button>
-                    </div>
-                    {/* Show branches as sub-files under the main conversation */}
-                    {conversationManager?.currentConversationId === conv.id && (
-                      <div style={{marginLeft: '20px'}}>
-                        {Array.from(conv.branches.values()).filter(branch => branch.id !== 'main').map(branch => {
-                          const swipe = swipeState[branch.id];
-                          const translateX = swipe?.isDragging ? Math.max(0, swipe.deltaX) : 0;
-                          const showDelete = translateX > 50;
-                          
-                          return (
-                            <div 
-                              key={branch.id}
-                              className={`branch-item swipeable ${conversationManager?.currentBranch === branch.id ? 'active' : ''}`}
-                              onClick={() => !swipe?.isDragging && handleSwitchBranch(branch.id)}
-                              onTouchStart={(e) => handleSwipeStart(branch.id, e)}
-                              onTouchMove={(e) => handleSwipeMove(branch.id, e)}
-                              onTouchEnd={(e) => handleSwipeEnd(branch.id, e)}
-                              onMouseDown={(e) => handleSwipeStart(branch.id, e)}
-                              onMouseMove={(e) => isMouseDragging && handleSwipeMove(branch.id, e)}
-                              onMouseUp={(e) => handleSwipeEnd(branch.id, e)}
-                              onMouseLeave={(e) => isMouseDragging && handleSwipeEnd(branch.id, e)}
-                              style={{
-                                fontSize: '13px', 
-                                paddingLeft: '8px',
-                                transform: `translateX(${translateX}px)`,
-                                transition: swipe?.isDragging ? 'none' : 'transform 0.3s ease',
-                                position: 'relative',
-                                backgroundColor: showDelete ? '#ffebee' : undefined,
-                                borderColor: showDelete ? '#f44336' : undefined,
-                                cursor: swipe?.isDragging ? 'grabbing' : 'pointer'
-                              }}
-                            >
-                              <div style={{display: 'flex', justifyContent: 'space-between', alignItems: 'center'}}>
-                                <span>{branch.title}</span>
-                                <div style={{display: 'flex', gap: '4px', alignItems: 'center'}}>
-                                  {showDelete && (
-                                    <span style={{color: '#f44336', fontSize: '12px', opacity: 0.8}}>
-                                      ← Swipe to delete
-                                    </span>
-                                  )}
-                                  {/* Temporary delete button for testing */}
-                                  <button
-                                    onClick={(e) => {
-                                      e.stopPropagation();
-                                      handleDeleteBranch(branch.id);
-                                    }}
-                                    style={{
-                                      background: 'none',
-                                      border: 'none',
-                                      color: 'var(--text-secondary)',
-                                      cursor: 'pointer',
-                                      padding: '2px 4px',
-                                      fontSize: '12px',
-                                      opacity: 0.6
-                                    }}
-                                    title="Delete branch (test button)"
-                                  >
-                                    ×
-                                  </button>
-                                </div>
-                              </div>
-                              {showDelete && (
-                                <div 
-                                  style={{
-                                    position: 'absolute',
-                                    right: -translateX,
-                                    top: 0,
-                                    bottom: 0,
-                                    width: translateX,
-                                    backgroundColor: '#f44336',
-                                    display: 'flex',
-                                    alignItems: 'center',
-                                    justifyContent: 'center',
-                                    color: 'white',
-                                    fontSize: '12px'
-                                  }}
-                                >
-                                  🗑️
-                                </div>
-                              )}
-                            </div>
-                          );
-                        })}
-                      </div>
-                    )}
+                      {Object.values(CONVERSATION_SORTS).map(sort => (
+                        <option key={sort} value={sort}>Sort: {CONVERSATION_SORT_LABELS[sort]}</option>
+                      ))}
+                    </select>
                   </div>
-                ))
+                  {allTags.length > 0 && (
+                    <div className="tag-filter">
+                      {allTags.map(({ tag, count }) => (
+                        <button
+                          key={tag}
+                          className={`tag-chip${activeTagFilter.includes(tag) ? ' active' : ''}`}
+                          onClick={() => toggleTagFilter(tag)}
+                          title={activeTagFilter.includes(tag) ? `Stop filtering by #${tag}` : `Show only chats tagged #${tag}`}
+                        >
+                          #{tag} <small>{count}</small>
+                        </button>
+                      ))}
+                      {activeTagFilter.length > 0 && (
+                        <button className="tag-filter-clear" onClick={() => setTagFilter([])}>Clear</button>
+                      )}
+                    </div>
+                  )}
+                  {conversationList.pinned.length > 0 && (
+                    <div className="conversation-group">
+                      <h4 className="conversation-group-label">📌 Pinned</h4>
+                      {conversationList.pinned.map(renderConversation)}
+                    </div>
+                  )}
+                  {conversationList.folders.map(renderFolder)}
+                  {conversationList.groups.map(group => (
+                    <div key={group.label || 'all'} className="conversation-group">
+                      {group.label && <h4 className="conversation-group-label">{group.label}</h4>}
+                      {group.conversations.map(renderConversation)}
+                    </div>
+                  ))}
+                  {conversationList.count === 0 && (
+                    <p style={{color: 'var(--text-secondary)', fontSize: '13px', fontStyle: 'italic'}}>
+                      No chats have all of the selected tags
+                    </p>
+                  )}
+                </>
               ) : (
                 <p style={{color: 'var(--text-secondary)', fontSize: '14px', fontStyle: 'italic'}}>
                   Start chatting to create branches
@@ -1019,13 +1764,41 @@ const ChatInterface = ({ messages = [], onSendMessage, isLoading = false, conver
           <div className="chat-header">
             <div className="breadcrumb">
               {breadcrumbs.map((crumb, index) => (
-                <React.Fragment key={index}>
-                  <span 
-                    className="breadcrumb-item"
-                    onClick={() => handleBreadcrumbClick(index)}
-                    style={{cursor: index === 0 && conversationManager?.currentBranch !== 'main' ? 'pointer' : 'default'}}
-                  >
-                    {crumb}
+                <React.Fragment key={crumb.id}>
+                  <span className="breadcrumb-level">
+                    <span 
+                      className="breadcrumb-item"
+                      onClick={() => handleBreadcrumbClick(index)}
+                      style={{cursor: index < breadcrumbs.length - 1 ? 'pointer' : 'default'}}
+                      title={index < breadcrumbs.length - 1 ? `Back to "${crumb.title}"` : undefined}
+                    >
+                      {crumb.title}
+                    </span>
+                    {crumb.siblings.length > 1 && (
+                      <button
+                        className="breadcrumb-toggle"
+                        onClick={() => setOpenCrumbMenu(openCrumbMenu === crumb.id ? null : crumb.id)}
+                        title="Other branches at this level"
+                        aria-expanded={openCrumbMenu === crumb.id}
+                      >
+                        ▾
+                      </button>
+                    )}
+                    {openCrumbMenu === crumb.id && (
+                      <ul className="breadcrumb-menu" role="menu">
+                        {crumb.siblings.map(sibling => (
+                          <li
+                            key={sibling.id}
+                            className={sibling.id === crumb.id ? 'active' : ''}
+                            role="menuitem"
+                            onClick={() => handleSiblingSelect(sibling)}
+                          >
+                            {sibling.title}
+                            {sibling.isActive === false && <span className="breadcrumb-menu-note"> (closed)</span>}
+                          </li>
+                        ))}
+                      </ul>
+                    )}
                   </span>
                   {index < breadcrumbs.length - 1 && (
                     <span className="breadcrumb-separator">›</span>
@@ -1033,25 +1806,241 @@ const ChatInterface = ({ messages = [], onSendMessage, isLoading = false, conver
                 </React.Fragment>
               ))}
             </div>
+            {availableModels.models.length > 0 && (
+              <select
+                className="model-select"
+                value={conversation?.model || ''}
+                onChange={(e) => onModelChange(e.target.value)}
+                title="Model used for this conversation"
+              >
+                <option value="">
+                  Default{availableModels.defaultModel ? ` (${availableModels.defaultModel})` : ''}
+                </option>
+                {availableModels.models.map(model => (
+                  <option key={model} value={model}>{model}</option>
+                ))}
+              </select>
+            )}
+            {systemPromptInfo && (
+              <>
+                <select
+                  className="model-select"
+                  value={personaValue}
+                  onChange={(e) => handlePersonaChange(e.target.value)}
+                  title={systemPromptInfo.source.type === 'default'
+                    ? 'Persona for this branch'
+                    : `Persona for this branch (set on ${systemPromptInfo.source.type === 'branch' ? `branch "${systemPromptInfo.source.title}"` : 'the conversation'})`}
+                >
+                  <option value="">Persona: Default</option>
+                  {PERSONAS.map(persona => (
+                    <option key={persona.id} value={persona.id}>Persona: {persona.label}</option>
+                  ))}
+                  {personaValue === 'custom' && <option value="custom" disabled>Persona: Custom</option>}
+                </select>
+                <button
+                  className="branch-btn"
+                  onClick={() => setSystemPromptOpen(true)}
+                  title="Edit the system prompt for this branch or conversation"
+                >
+                  ✎ Prompt
+                </button>
+              </>
+            )}
+            {contextUsage && (
+              <div
+                className={`context-meter${contextUsage.omittedCount > 0 ? ' trimming' : ''}${contextUsage.overBudget ? ' over' : ''}`}
+                title={`About ${contextUsage.tokens.toLocaleString()} of ${contextUsage.contextWindow.toLocaleString()} tokens, including ${config.claude.maxTokens.toLocaleString()} reserved for the reply` +
+                  (contextUsage.omittedCount > 0
+                    ? `. ${contextUsage.omittedCount} older message${contextUsage.omittedCount === 1 ? '' : 's'} will be left out (${CONTEXT_STRATEGY_LABELS[contextUsage.strategy].toLowerCase()}).`
+                    : '')}
+              >
+                <div className="context-meter-bar">
+                  <div className="context-meter-fill" style={{ width: `${Math.min(100, contextPercent)}%` }} />
+                </div>
+                <span className="context-meter-label">
+                  {contextPercent}%{contextUsage.omittedCount > 0 ? ` · ${contextUsage.omittedCount} trimmed` : ''}
+                </span>
+              </div>
+            )}
+            {conversation && (
+              <select
+                className="model-select"
+                value={conversation.contextStrategy || ''}
+                onChange={(e) => handleContextStrategyChange(e.target.value)}
+                title="What happens to older messages once the conversation outgrows the context window"
+              >
+                <option value="">Overflow: default ({CONTEXT_STRATEGY_LABELS[config.context.strategy] || CONTEXT_STRATEGY_LABELS[CONTEXT_STRATEGIES.DROP_OLDEST]})</option>
+                {Object.values(CONTEXT_STRATEGIES).map(strategy => (
+                  <option key={strategy} value={strategy}>Overflow: {CONTEXT_STRATEGY_LABELS[strategy]}</option>
+                ))}
+              </select>
+            )}
+            {activeBranch && activeBranch.id !== 'main' && (
+              activeBranch.mergedInto ? (
+                <span className="merged-badge" title={`Merged ${new Date(activeBranch.mergedInto.mergedAt).toLocaleString()}`}>
+                  ✓ Merged into {conversation?.branches.get(activeBranch.mergedInto.branchId)?.title || 'parent'}
+                </span>
+              ) : (
+                <button
+                  className="branch-btn"
+                  onClick={handleMergeBranch}
+                  disabled={isMerging || isLoading}
+                  title="Summarize this branch and append the result to its parent"
+                >
+                  {isMerging ? 'Merging…' : `🔀 Merge into ${conversation?.branches.get(activeBranch.parentBranchId)?.title || 'parent'}`}
+                </button>
+              )
+            )}
+            {activeBranch && activeBranch.parentBranchId && (
+              <select
+                className="model-select"
+                value={activeBranch.contextPolicy || CONTEXT_POLICIES.FULL}
+                onChange={(e) => handleContextPolicyChange(activeBranch.id, e.target.value)}
+                disabled={isSummarizingContext || isLoading}
+                title="How much of the parent conversation Claude sees in this branch"
+              >
+                {Object.values(CONTEXT_POLICIES).map(policy => (
+                  <option key={policy} value={policy}>
+                    {isSummarizingContext && policy === CONTEXT_POLICIES.SUMMARY ? 'Summarizing…' : `Context: ${CONTEXT_POLICY_LABELS[policy]}`}
+                  </option>
+                ))}
+              </select>
+            )}
+            {conversation && conversation.branches.size > 1 && (
+              <button
+                className="branch-btn"
+                onClick={() => setCompareOpen(true)}
+                title="Show branches side by side"
+              >
+                ⇔ Compare
+              </button>
+            )}
+            {conversation && (
+              <button
+                className="branch-btn"
+                onClick={() => setGraphOpen(true)}
+                title="Show the branch tree as a graph"
+              >
+                🕸 Graph
+              </button>
+            )}
+            {relatedBranches.length > 0 && (
+              <span className="related-branches">
+                <button
+                  className="branch-btn"
+                  onClick={() => setRelatedOpen(!relatedOpen)}
+                  title="Branches elsewhere that cover similar ground"
+                  aria-expanded={relatedOpen}
+                >
+                  🔗 Related ({relatedBranches.length})
+                </button>
+                {relatedOpen && (
+                  <ul className="breadcrumb-menu related-branches-menu" role="menu">
+                    {relatedBranches.map(related => (
+                      <li
+                        key={`${related.conversationId}:${related.branchId}`}
+                        role="menuitem"
+                        onClick={() => handleOpenRelatedBranch(related)}
+                      >
+                        {related.conversationId === conversation.id
+                          ? related.branchTitle
+                          : `${related.conversationTitle} › ${related.branchTitle}`}
+                        <span className="breadcrumb-menu-note"> {Math.round(related.score * 100)}% similar</span>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </span>
+            )}
           </div>
 
+          {/* What this branch sends in place of its inherited history */}
+          {activeBranch && activeBranch.parentBranchId && (activeBranch.selectedText || activeBranch.contextPolicy === CONTEXT_POLICIES.SUMMARY) && (
+            <div className="branch-context-bar">
+              {activeBranch.selectedText && (
+                <div className="branch-context-passage">
+                  <strong>Passage:</strong> “{activeBranch.selectedText}”
+                </div>
+              )}
+              {activeBranch.contextPolicy === CONTEXT_POLICIES.SUMMARY && activeBranch.contextSummary && (
+                <details>
+                  <summary>Summary sent instead of the earlier messages</summary>
+                  <ReactMarkdown>{activeBranch.contextSummary}</ReactMarkdown>
+                </details>
+              )}
+            </div>
+          )}
+
           {/* Messages */}
           <div className="messages">
             {messages.length === 0 ? (
               <div className="empty-state">
               </div>
             ) : (
-              messages.map((message) => (
+              messages.map((message, index) => (
                 <div 
                   key={message.id} 
-                  className={`message ${message.sender}`}
+                  className={`message ${message.sender}${index <= inheritedUntil ? ' inherited' : ''}`}
+                  title={index <= inheritedUntil ? "Not sent to Claude under this branch's context policy" : undefined}
                   data-message-id={message.id}
                 >
                   <div className="message-content">
-                    {message.sender === 'assistant' ? (
+                    {message.mergedFrom && (
+                      <div className="merge-note">
+                        🔀 Merged from{' '}
+                        {conversation?.branches.has(message.mergedFrom.branchId) ? (
+                          <button className="merge-link" onClick={() => handleSwitchBranch(message.mergedFrom.branchId)}>
+                            {message.mergedFrom.branchTitle}
+                          </button>
+                        ) : (
+                          <em>{message.mergedFrom.branchTitle}</em>
+                        )}
+                      </div>
+                    )}
+                    {editingMessageId === message.id ? (
+                      <div className="message-edit-form">
+                        <textarea
+                          className="input-field"
+                          value={editDraft}
+                          onChange={(e) => setEditDraft(e.target.value)}
+                          rows={Math.min(12, Math.max(3, editDraft.split('\n').length))}
+                          autoFocus
+                        />
+                        <div className="message-edit-actions">
+                          <small>Saved as a new branch; the original stays as it is.</small>
+                          <button className="branch-btn" onClick={cancelEditing}>Cancel</button>
+                          <button
+                            className="branch-btn"
+                            onClick={handleSaveEdit}
+                            disabled={!editDraft.trim() || editDraft === message.content}
+                          >
+                            {message.sender === 'user' ? 'Save & regenerate' : 'Save alternative'}
+                          </button>
+                        </div>
+                      </div>
+                    ) : regeneratingMessageId === message.id && isLoading ? (
+                      // Replacement reply - stored as a new variant once it completes
+                      <div className="streaming">
+                        {streamingContent ? (
+                          <ReactMarkdown>{closePartialMarkdown(streamingContent)}</ReactMarkdown>
+                        ) : (
+                          'Claude is thinking...'
+                        )}
+                      </div>
+                    ) : message.sender === 'assistant' ? (
                       <ReactMarkdown>{message.content}</ReactMarkdown>
                     ) : (
-                      message.content
+                      renderWithMentions(message)
+                    )}
+                    {message.sender === 'user' && editingMessageId !== message.id && (
+                      <div className="message-actions">
+                        {renderMessageTools(message)}
+                      </div>
+                    )}
+                    {message.interrupted && (
+                      <div className="interrupted-badge" title="Generation was stopped before Claude finished">
+                        ⏹ Interrupted
+                      </div>
                     )}
                     {/* Star button for all assistant messages */}
                     {message.sender === 'assistant' && (
@@ -1070,27 +2059,56 @@ const ChatInterface = ({ messages = [], onSendMessage, isLoading = false, conver
                         >
                           {message.starred ? '⭐ Starred' : '☆ Star'}
                         </button>
-                        {/* Branch buttons - only show in main branch */}
-                        {conversationManager?.currentBranch === 'main' && (
-                          <>
-                            <button 
-                              className="branch-btn"
-                              onClick={() => handleBranch(message.id)}
-                              title="Create a new branch from this message"
+                        <button
+                          className="branch-btn"
+                          onClick={() => onRegenerateMessage(message.id)}
+                          disabled={isLoading}
+                          title="Sample another response; earlier ones are kept as variants"
+                        >
+                          ↻ Regenerate
+                        </button>
+                        {message.variants?.length > 1 && (
+                          <span className="variant-nav" title="Regenerated responses">
+                            <button
+                              onClick={() => handleSelectVariant(message.id, message.activeVariant - 1)}
+                              disabled={message.activeVariant === 0 || isLoading}
+                            >
+                              ‹
+                            </button>
+                            {message.activeVariant + 1}/{message.variants.length}
+                            <button
+                              onClick={() => handleSelectVariant(message.id, message.activeVariant + 1)}
+                              disabled={message.activeVariant === message.variants.length - 1 || isLoading}
+                            >
+                              ›
+                            </button>
+                            <button
+                              onClick={() => handlePromoteVariant(message.id, message.activeVariant)}
+                              disabled={isLoading}
+                              title="Move this response into a branch of its own"
                             >
-                              🌿 Branch from full response
+                              ⤴ Branch
                             </button>
-                            {selectedText && selectedMessageId === message.id && (
-                              <button 
-                                className="branch-btn"
-                                onClick={handleTextBranch}
-                                title="Create a new branch from selected text"
-                                style={{backgroundColor: 'var(--accent)', color: 'white'}}
-                              >
-                                🌿 Branch from selection
-                              </button>
-                            )}
-                          </>
+                          </span>
+                        )}
+                        {editingMessageId !== message.id && renderMessageTools(message)}
+                        {/* Branch buttons - any branch can be branched again, at any depth */}
+                        <button 
+                          className="branch-btn"
+                          onClick={() => handleBranch(message.id)}
+                          title="Create a new branch from this message"
+                        >
+                          🌿 Branch from full response
+                        </button>
+                        {selectedText && selectedMessageId === message.id && (
+                          <button 
+                            className="branch-btn"
+                            onClick={handleTextBranch}
+                            title="Create a new branch from selected text"
+                            style={{backgroundColor: 'var(--accent)', color: 'white'}}
+                          >
+                            🌿 Branch from selection
+                          </button>
                         )}
                       </div>
                     )}
@@ -1100,10 +2118,43 @@ const ChatInterface = ({ messages = [], onSendMessage, isLoading = false, conver
             )}
             
             
-            {isLoading && (
+            {isLoading && !regeneratingMessageId && (
+              <div className="message assistant">
+                {streamingContent ? (
+                  // Partial reply - committed to the branch only once the stream completes
+                  <div className="message-content streaming">
+                    <ReactMarkdown>{closePartialMarkdown(streamingContent)}</ReactMarkdown>
+                  </div>
+                ) : (
+                  <div className="message-content loading">
+                    Claude is thinking...
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Stopped reply - the user decides whether to keep the partial text */}
+            {!isLoading && interruptedReply && (
               <div className="message assistant">
-                <div className="message-content loading">
-                  Claude is thinking...
+                <div className="message-content interrupted-draft">
+                  <ReactMarkdown>{closePartialMarkdown(interruptedReply.content)}</ReactMarkdown>
+                  <div style={{marginTop: '12px', display: 'flex', gap: '8px', alignItems: 'center'}}>
+                    <span className="interrupted-badge">⏹ Stopped</span>
+                    <button
+                      className="branch-btn"
+                      onClick={onKeepInterruptedReply}
+                      title="Save the partial response as an interrupted message"
+                    >
+                      Keep partial response
+                    </button>
+                    <button
+                      className="branch-btn"
+                      onClick={onDiscardInterruptedReply}
+                      title="Throw away the partial response"
+                    >
+                      Discard
+                    </button>
+                  </div>
                 </div>
               </div>
             )}
@@ -1111,23 +2162,76 @@ const ChatInterface = ({ messages = [], onSendMessage, isLoading = false, conver
 
           {/* Input Area */}
           <div className="input-area">
+            {relatedHints.length > 0 && !hintsDismissed && (
+              <div className="related-hint" role="status">
+                <div className="related-hint-header">
+                  <span>💡 You discussed this before</span>
+                  <button className="condensed-close-btn" onClick={() => setHintsDismissed(true)} title="Hide for this message">✕</button>
+                </div>
+                <ul>
+                  {relatedHints.map(hint => (
+                    <li key={`${hint.conversationId}:${hint.branchId}:${hint.messageId}`}>
+                      <button className="related-hint-link" onClick={() => openMessageLink(hint)} title="Open this message">
+                        <strong>
+                          {hint.conversationId === conversation?.id ? hint.branchTitle : `${hint.conversationTitle} › ${hint.branchTitle}`}
+                        </strong>
+                        {' '}{hint.excerpt}
+                      </button>
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            )}
             <form className="input-form" onSubmit={handleSendMessage}>
+              {mentionSuggestions.length > 0 && (
+                <ul className="mention-suggestions" role="listbox">
+                  {mentionSuggestions.map((candidate, index) => (
+                    <li
+                      key={`${candidate.conversationId}:${candidate.branchId}`}
+                      className={index === mentionIndex ? 'active' : ''}
+                      role="option"
+                      aria-selected={index === mentionIndex}
+                      onMouseDown={(e) => {
+                        e.preventDefault();
+                        insertMention(candidate);
+                      }}
+                    >
+                      <span className="mention-token">@{candidate.token}</span>
+                      <span className="mention-label">{candidate.label}</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
               <input
+                ref={inputRef}
                 type="text"
                 value={inputValue}
-                onChange={(e) => setInputValue(e.target.value)}
+                onChange={handleInputChange}
+                onKeyDown={handleInputKeyDown}
                 onKeyPress={handleKeyPress}
-                placeholder="Type your message here..."
+                onBlur={() => setMentionQuery(null)}
+                placeholder="Type your message here... (@ to reference a branch)"
                 disabled={isLoading}
                 className="input-field"
               />
-              <button 
-                type="submit" 
-                disabled={isLoading || !inputValue.trim()}
-                className="send-btn"
-              >
-                {isLoading ? 'Sending...' : 'Send'}
-              </button>
+              {isLoading ? (
+                <button 
+                  type="button"
+                  onClick={onStopGeneration}
+                  className="send-btn stop-btn"
+                  title="Stop generating"
+                >
+                  ■ Stop
+                </button>
+              ) : (
+                <button 
+                  type="submit" 
+                  disabled={!inputValue.trim()}
+                  className="send-btn"
+                >
+                  Send
+                </button>
+              )}
             </form>
           </div>
         </div>
@@ -1145,6 +2249,102 @@ const ChatInterface = ({ messages = [], onSendMessage, isLoading = false, conver
         errorMessage={condensedErrorMessage}
       />
 
+      {exportConversationId && (
+        <ExportDialog
+          conversation={conversationManager.conversations.get(exportConversationId)}
+          initialBranchId={exportConversationId === conversationManager.currentConversationId ? conversationManager.currentBranch : 'main'}
+          onClose={() => setExportConversationId(null)}
+        />
+      )}
+
+      {systemPromptOpen && (
+        <SystemPromptDialog
+          conversation={conversation}
+          branchId={conversationManager.currentBranch}
+          onSave={handleSystemPromptSave}
+          onClose={() => setSystemPromptOpen(false)}
+        />
+      )}
+
+      {compareOpen && (
+        <CompareView
+          conversation={conversation}
+          initialBranchId={conversationManager.currentBranch}
+          isLoading={isLoading}
+          onBroadcastMessage={onBroadcastMessage}
+          onOpenBranch={(branchId) => {
+            setCompareOpen(false);
+            handleSwitchBranch(branchId);
+          }}
+          onClose={() => setCompareOpen(false)}
+        />
+      )}
+
+      {pendingBranchDelete && conversation?.branches.has(pendingBranchDelete) && (
+        <DeleteBranchDialog
+          branch={conversation.branches.get(pendingBranchDelete)}
+          parentTitle={conversation.branches.get(conversation.branches.get(pendingBranchDelete).parentBranchId)?.title || 'Main Channel'}
+          descendantCount={getDescendantBranches(conversation, pendingBranchDelete).length}
+          onConfirm={(cascade) => {
+            setPendingBranchDelete(null);
+            trashBranch(pendingBranchDelete, cascade);
+          }}
+          onClose={() => setPendingBranchDelete(null)}
+        />
+      )}
+
+      {trashOpen && (
+        <TrashPanel
+          conversationManager={conversationManager}
+          onRestore={handleTrashRestore}
+          onChange={() => setConversationUpdate(prev => prev + 1)}
+          onClose={() => setTrashOpen(false)}
+        />
+      )}
+
+      {organizeConversationId && conversationManager.conversations.has(organizeConversationId) && (
+        <OrganizeConversationDialog
+          conversation={conversationManager.conversations.get(organizeConversationId)}
+          allTags={allTags.map(entry => entry.tag)}
+          folderPaths={conversationManager.getFolderPaths()}
+          onSave={handleOrganizeSave}
+          onClose={() => setOrganizeConversationId(null)}
+        />
+      )}
+
+      {searchOpen && (
+        <SearchPanel
+          conversationManager={conversationManager}
+          messages={messages}
+          conversationUpdate={conversationUpdate}
+          search={search}
+          onSearchChange={setSearch}
+          onOpenResult={handleOpenSearchResult}
+          onClose={() => setSearchOpen(false)}
+        />
+      )}
+
+      {undoToast && (
+        <div className="undo-toast" role="status">
+          <span>{undoToast.message}</span>
+          <button className="undo-toast-btn" onClick={handleUndo}>Undo</button>
+          <button className="condensed-close-btn" onClick={() => setUndoToast(null)} title="Dismiss">✕</button>
+        </div>
+      )}
+
+      {graphOpen && conversation && (
+        <BranchGraph
+          conversation={conversation}
+          currentBranchId={conversationManager.currentBranch}
+          onSwitchBranch={(branchId) => {
+            setGraphOpen(false);
+            handleSwitchBranch(branchId);
+          }}
+          onReparentBranch={handleReparentBranch}
+          onClose={() => setGraphOpen(false)}
+        />
+      )}
+
     </div>
   );
 };
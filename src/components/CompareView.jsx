@@ -0,0 +1,253 @@
+import React, { useState, useMemo } from 'react';
+import ReactMarkdown from 'react-markdown';
+import clsx from 'clsx';
+import { diffWords, summarizeDiff } from '../utils/textDiff';
+import { getChildBranches } from '../utils/branchTree';
+
+/**
+ * Picks the branch to compare against by default: the parent, else the
+ * first child, else any other branch
+ */
+function defaultPartner(conversation, branchId) {
+  const branch = conversation.branches.get(branchId);
+  if (branch?.parentBranchId && conversation.branches.has(branch.parentBranchId)) {
+    return branch.parentBranchId;
+  }
+  const child = getChildBranches(conversation, branchId)[0];
+  if (child) return child.id;
+  return Array.from(conversation.branches.keys()).find(id => id !== branchId) || null;
+}
+
+/**
+ * Number of leading messages every branch has in common. Forked branches keep
+ * the parent's message IDs up to parentMessageId, so this ends at the fork point.
+ */
+function sharedPrefixLength(branches) {
+  if (branches.length < 2) return 0;
+
+  const shortest = Math.min(...branches.map(branch => branch.messages.length));
+  let length = 0;
+  while (
+    length < shortest &&
+    branches.every(branch => branch.messages[length].id === branches[0].messages[length].id)
+  ) {
+    length++;
+  }
+  return length;
+}
+
+function truncate(text, maxLength) {
+  const singleLine = String(text).replace(/\s+/g, ' ').trim();
+  return singleLine.length > maxLength ? `${singleLine.slice(0, maxLength - 1)}…` : singleLine;
+}
+
+const DiffText = ({ segments }) => (
+  <div className="compare-diff">
+    {segments.map((segment, index) => {
+      if (segment.type === 'added') return <ins key={index} className="diff-added">{segment.text}</ins>;
+      if (segment.type === 'removed') return <del key={index} className="diff-removed">{segment.text}</del>;
+      return <span key={index}>{segment.text}</span>;
+    })}
+  </div>
+);
+
+const CompareMessage = ({ message, diff }) => (
+  <div className={clsx('compare-message', message.sender)}>
+    <span className="compare-sender">{message.sender === 'user' ? 'You' : 'Claude'}</span>
+    {diff ? (
+      <>
+        <DiffText segments={diff.segments} />
+        <span className="compare-diff-stats">
+          +{diff.stats.added} / −{diff.stats.removed} words
+        </span>
+      </>
+    ) : message.sender === 'assistant' ? (
+      <div className="message-content"><ReactMarkdown>{message.content}</ReactMarkdown></div>
+    ) : (
+      <div className="message-content">{message.content}</div>
+    )}
+  </div>
+);
+
+const CompareView = ({ conversation, initialBranchId = 'main', isLoading = false, onBroadcastMessage, onOpenBranch, onClose }) => {
+  const [selectedIds, setSelectedIds] = useState(() => {
+    const partner = conversation ? defaultPartner(conversation, initialBranchId) : null;
+    return partner ? [initialBranchId, partner] : [initialBranchId];
+  });
+  const [showDiff, setShowDiff] = useState(true);
+  const [showShared, setShowShared] = useState(false);
+  const [followUp, setFollowUp] = useState('');
+  const [pendingIds, setPendingIds] = useState([]);
+  const [errors, setErrors] = useState({});
+
+  const branches = conversation
+    ? selectedIds.map(id => conversation.branches.get(id)).filter(Boolean)
+    : [];
+  const sharedLength = sharedPrefixLength(branches);
+  const columns = branches.map(branch => ({ branch, messages: branch.messages.slice(sharedLength) }));
+  const rowCount = Math.max(0, ...columns.map(column => column.messages.length));
+
+  // Diffs are keyed by what they compare (message, shown variant and text) so
+  // typing a follow-up doesn't recompute them but switching a variant does
+  const diffKey = showDiff
+    ? JSON.stringify(columns.map(column => column.messages.map(message => [message.id, message.activeVariant, message.content])))
+    : '';
+  const diffs = useMemo(() => {
+    const result = new Map();
+    if (!showDiff || columns.length < 2) return result;
+
+    const base = columns[0];
+    columns.slice(1).forEach(column => {
+      column.messages.forEach((message, row) => {
+        const baseMessage = base.messages[row];
+        if (message.sender !== 'assistant' || baseMessage?.sender !== 'assistant') return;
+
+        const segments = diffWords(baseMessage.content, message.content);
+        result.set(`${column.branch.id}:${message.id}`, { segments, stats: summarizeDiff(segments) });
+      });
+    });
+    return result;
+  }, [diffKey]);
+
+  if (!conversation) return null;
+
+  const toggleBranch = (branchId) => {
+    setSelectedIds(prev => (prev.includes(branchId)
+      ? prev.filter(id => id !== branchId)
+      : [...prev, branchId]));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const content = followUp.trim();
+    if (!content || isLoading || branches.length === 0) return;
+
+    const targetIds = branches.map(branch => branch.id);
+    setFollowUp('');
+    setErrors({});
+    setPendingIds(targetIds);
+    try {
+      const results = await onBroadcastMessage(content, targetIds);
+      setErrors(Object.fromEntries(
+        results.filter(result => result.error).map(result => [result.branchId, result.error])
+      ));
+    } catch (error) {
+      console.error('Error sending follow-up to compared branches:', error);
+    } finally {
+      setPendingIds([]);
+    }
+  };
+
+  const forkMessage = sharedLength > 0 ? branches[0].messages[sharedLength - 1] : null;
+  const gridStyle = { gridTemplateColumns: `repeat(${Math.max(columns.length, 1)}, minmax(260px, 1fr))` };
+
+  return (
+    <>
+      <div className="modal-backdrop" onClick={onClose} />
+      <div className="compare-view" role="dialog" aria-label="Compare branches">
+        <div className="modal-header">
+          <h3 className="modal-title">Compare branches · {conversation.title}</h3>
+          <div className="compare-header-actions">
+            <label className="compare-toggle">
+              <input type="checkbox" checked={showDiff} onChange={(e) => setShowDiff(e.target.checked)} />
+              Diff against first column
+            </label>
+            <button className="condensed-close-btn" onClick={onClose} title="Close">✕</button>
+          </div>
+        </div>
+
+        <div className="compare-picker">
+          {Array.from(conversation.branches.values()).map(branch => (
+            <label
+              key={branch.id}
+              className={clsx('compare-chip', { selected: selectedIds.includes(branch.id) })}
+            >
+              <input
+                type="checkbox"
+                checked={selectedIds.includes(branch.id)}
+                onChange={() => toggleBranch(branch.id)}
+              />
+              {branch.title}
+            </label>
+          ))}
+        </div>
+
+        <div className="compare-body">
+          {branches.length < 2 ? (
+            <p className="compare-empty">Select at least two branches to compare.</p>
+          ) : (
+            <>
+              <div className="compare-shared">
+                <button className="merge-link" onClick={() => setShowShared(prev => !prev)}>
+                  {showShared ? '▾' : '▸'} {sharedLength} shared message{sharedLength === 1 ? '' : 's'}
+                </button>
+                {forkMessage && (
+                  <span className="compare-fork">Fork point: "{truncate(forkMessage.content, 80)}"</span>
+                )}
+                {showShared && branches[0].messages.slice(0, sharedLength).map(message => (
+                  <CompareMessage key={message.id} message={message} />
+                ))}
+              </div>
+
+              <div className="compare-grid" style={gridStyle}>
+                {columns.map(({ branch }, index) => (
+                  <div key={branch.id} className="compare-column-header">
+                    <span className="compare-column-title">
+                      {index === 0 && showDiff ? '◆ ' : ''}{branch.title}
+                    </span>
+                    <button
+                      className="merge-link"
+                      onClick={() => onOpenBranch(branch.id)}
+                      title="Close compare mode and open this branch"
+                    >
+                      Open
+                    </button>
+                  </div>
+                ))}
+
+                {Array.from({ length: rowCount }, (_, row) => columns.map(({ branch, messages }) => {
+                  const message = messages[row];
+                  return (
+                    <div key={`${branch.id}-${row}`} className="compare-cell">
+                      {message && (
+                        <CompareMessage message={message} diff={diffs.get(`${branch.id}:${message.id}`)} />
+                      )}
+                    </div>
+                  );
+                }))}
+
+                {columns.map(({ branch }) => (
+                  <div key={`${branch.id}-status`} className="compare-cell">
+                    {pendingIds.includes(branch.id) && (
+                      <p className="compare-pending">Claude is thinking…</p>
+                    )}
+                    {errors[branch.id] && <p className="modal-error">{errors[branch.id]}</p>}
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+        </div>
+
+        <form className="compare-footer" onSubmit={handleSubmit}>
+          <input
+            className="input-field"
+            value={followUp}
+            onChange={(e) => setFollowUp(e.target.value)}
+            placeholder={`Send the same follow-up to ${branches.length} branch${branches.length === 1 ? '' : 'es'}…`}
+            disabled={isLoading}
+          />
+          <button
+            className="send-btn"
+            type="submit"
+            disabled={isLoading || !followUp.trim() || branches.length === 0}
+          >
+            {pendingIds.length > 0 ? 'Sending…' : 'Send to all'}
+          </button>
+        </form>
+      </div>
+    </>
+  );
+};
+
+export default CompareView;
@@ -0,0 +1,54 @@
+import React, { useState } from 'react';
+
+/**
+ * Asks what should happen to a branch's sub-branches when it is deleted
+ */
+const DeleteBranchDialog = ({ branch, parentTitle, descendantCount, onConfirm, onClose }) => {
+  const [cascade, setCascade] = useState(false);
+  const subBranches = `${descendantCount} sub-branch${descendantCount === 1 ? '' : 'es'}`;
+
+  return (
+    <>
+      <div className="modal-backdrop" onClick={onClose} />
+      <div className="modal-dialog" role="dialog" aria-label="Delete branch">
+        <div className="modal-header">
+          <h3 className="modal-title">Delete "{branch.title}"</h3>
+          <button className="condensed-close-btn" onClick={onClose} title="Close">✕</button>
+        </div>
+
+        <div className="modal-body">
+          <fieldset className="export-fieldset">
+            <legend>This branch has {subBranches}</legend>
+            <label className="export-option">
+              <input
+                type="radio"
+                name="delete-branch-mode"
+                checked={!cascade}
+                onChange={() => setCascade(false)}
+              />
+              <span>Keep them</span>
+              <small>they move up under "{parentTitle}"</small>
+            </label>
+            <label className="export-option">
+              <input
+                type="radio"
+                name="delete-branch-mode"
+                checked={cascade}
+                onChange={() => setCascade(true)}
+              />
+              <span>Delete them too</span>
+              <small>all {subBranches} go to the trash with it</small>
+            </label>
+          </fieldset>
+        </div>
+
+        <div className="modal-footer">
+          <button className="branch-btn" onClick={onClose}>Cancel</button>
+          <button className="send-btn" onClick={() => onConfirm(cascade)}>Move to trash</button>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default DeleteBranchDialog;
@@ -0,0 +1,113 @@
+import React, { useState, useMemo } from 'react';
+import {
+  EXPORT_FORMATS,
+  EXPORT_SCOPES,
+  exportConversation,
+  downloadFile
+} from '../utils/exporters';
+
+const FORMAT_OPTIONS = [
+  { value: EXPORT_FORMATS.MARKDOWN, label: 'Markdown', hint: 'Nested headings per branch' },
+  { value: EXPORT_FORMATS.HTML, label: 'HTML', hint: 'Single file with collapsible branches' },
+  { value: EXPORT_FORMATS.JSON, label: 'JSON', hint: 'Lossless, can be imported back' }
+];
+
+const SCOPE_OPTIONS = [
+  { value: EXPORT_SCOPES.TREE, label: 'Whole conversation tree' },
+  { value: EXPORT_SCOPES.BRANCH, label: 'One branch' },
+  { value: EXPORT_SCOPES.LINEAGE, label: 'One branch with its ancestors' }
+];
+
+const ExportDialog = ({ conversation, initialBranchId = 'main', onClose }) => {
+  const [format, setFormat] = useState(EXPORT_FORMATS.MARKDOWN);
+  const [scope, setScope] = useState(EXPORT_SCOPES.TREE);
+  const [branchId, setBranchId] = useState(
+    conversation?.branches?.has(initialBranchId) ? initialBranchId : 'main'
+  );
+  const [error, setError] = useState(null);
+
+  const branches = useMemo(
+    () => (conversation ? Array.from(conversation.branches.values()) : []),
+    [conversation]
+  );
+
+  if (!conversation) return null;
+
+  const handleExport = () => {
+    try {
+      downloadFile(exportConversation(conversation, format, { scope, branchId }));
+      onClose();
+    } catch (exportError) {
+      console.error('Export failed:', exportError);
+      setError(exportError.message);
+    }
+  };
+
+  return (
+    <>
+      <div className="modal-backdrop" onClick={onClose} />
+      <div className="modal-dialog export-dialog" role="dialog" aria-label="Export conversation">
+        <div className="modal-header">
+          <h3 className="modal-title">Export "{conversation.title}"</h3>
+          <button className="condensed-close-btn" onClick={onClose} title="Close">✕</button>
+        </div>
+
+        <div className="modal-body">
+          <fieldset className="export-fieldset">
+            <legend>Format</legend>
+            {FORMAT_OPTIONS.map(option => (
+              <label key={option.value} className="export-option">
+                <input
+                  type="radio"
+                  name="export-format"
+                  value={option.value}
+                  checked={format === option.value}
+                  onChange={() => setFormat(option.value)}
+                />
+                <span>{option.label}</span>
+                <small>{option.hint}</small>
+              </label>
+            ))}
+          </fieldset>
+
+          <fieldset className="export-fieldset">
+            <legend>Scope</legend>
+            {SCOPE_OPTIONS.map(option => (
+              <label key={option.value} className="export-option">
+                <input
+                  type="radio"
+                  name="export-scope"
+                  value={option.value}
+                  checked={scope === option.value}
+                  onChange={() => setScope(option.value)}
+                />
+                <span>{option.label}</span>
+              </label>
+            ))}
+
+            {scope !== EXPORT_SCOPES.TREE && (
+              <select
+                className="model-select export-branch-select"
+                value={branchId}
+                onChange={(e) => setBranchId(e.target.value)}
+              >
+                {branches.map(branch => (
+                  <option key={branch.id} value={branch.id}>{branch.title}</option>
+                ))}
+              </select>
+            )}
+          </fieldset>
+
+          {error && <p className="modal-error">{error}</p>}
+        </div>
+
+        <div className="modal-footer">
+          <button className="branch-btn" onClick={onClose}>Cancel</button>
+          <button className="send-btn" onClick={handleExport}>Export</button>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default ExportDialog;
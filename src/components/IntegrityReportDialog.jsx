@@ -0,0 +1,47 @@
+import React from 'react';
+import { INTEGRITY_ACTIONS } from '../utils/treeIntegrity';
+
+const ACTION_LABELS = {
+  [INTEGRITY_ACTIONS.REPAIRED]: 'Repaired',
+  [INTEGRITY_ACTIONS.QUARANTINED]: 'Moved to trash'
+};
+
+/**
+ * Lists the problems the tree integrity check found and fixed on load
+ */
+const IntegrityReportDialog = ({ reports, onClose }) => (
+  <>
+    <div className="modal-backdrop" onClick={onClose} />
+    <div className="modal-dialog integrity-report" role="dialog" aria-label="Conversation repairs">
+      <div className="modal-header">
+        <h3 className="modal-title">Conversation repairs</h3>
+        <button className="condensed-close-btn" onClick={onClose} title="Close">✕</button>
+      </div>
+
+      <div className="modal-body">
+        <p className="trash-note">
+          Some saved conversations had broken branch links. They were fixed when loading, and a copy of each original was kept as a backup.
+        </p>
+        {reports.map(report => (
+          <section key={report.conversationId} className="integrity-conversation">
+            <h4>{report.title}</h4>
+            <ul>
+              {report.issues.map((issue, index) => (
+                <li key={index}>
+                  <span className={`integrity-action ${issue.action}`}>{ACTION_LABELS[issue.action]}</span>
+                  <strong>{issue.branchTitle}</strong>: {issue.detail}
+                </li>
+              ))}
+            </ul>
+          </section>
+        ))}
+      </div>
+
+      <div className="modal-footer">
+        <button className="send-btn" onClick={onClose}>OK</button>
+      </div>
+    </div>
+  </>
+);
+
+export default IntegrityReportDialog;
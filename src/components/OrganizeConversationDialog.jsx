@@ -0,0 +1,116 @@
+import React, { useState } from 'react';
+import { validateTag, validateFolderPath } from '../utils/validation';
+
+/**
+ * Edits where a conversation is filed: its tags, folder and pin
+ */
+const OrganizeConversationDialog = ({ conversation, allTags, folderPaths, onSave, onClose }) => {
+  const [tags, setTags] = useState(conversation.tags || []);
+  const [tagInput, setTagInput] = useState('');
+  const [folder, setFolder] = useState(conversation.folder || '');
+  const [pinned, setPinned] = useState(Boolean(conversation.pinned));
+  const [error, setError] = useState(null);
+
+  const addTag = () => {
+    if (!tagInput.trim()) return;
+    try {
+      const tag = validateTag(tagInput);
+      if (!tags.includes(tag)) setTags([...tags, tag]);
+      setTagInput('');
+      setError(null);
+    } catch (tagError) {
+      setError(tagError.message);
+    }
+  };
+
+  const handleTagKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addTag();
+    } else if (e.key === 'Backspace' && !tagInput && tags.length > 0) {
+      setTags(tags.slice(0, -1));
+    }
+  };
+
+  const handleSave = () => {
+    try {
+      // A tag still being typed counts too
+      const pending = tagInput.trim() ? validateTag(tagInput) : null;
+      onSave({
+        tags: pending && !tags.includes(pending) ? [...tags, pending] : tags,
+        folder: validateFolderPath(folder),
+        pinned
+      });
+    } catch (saveError) {
+      setError(saveError.message);
+    }
+  };
+
+  return (
+    <>
+      <div className="modal-backdrop" onClick={onClose} />
+      <div className="modal-dialog" role="dialog" aria-label="Organize conversation">
+        <div className="modal-header">
+          <h3 className="modal-title">Organize "{conversation.title}"</h3>
+          <button className="condensed-close-btn" onClick={onClose} title="Close">✕</button>
+        </div>
+
+        <div className="modal-body">
+          <fieldset className="export-fieldset">
+            <legend>Tags</legend>
+            <div className="tag-editor">
+              {tags.map(tag => (
+                <span key={tag} className="tag-chip active">
+                  #{tag}
+                  <button onClick={() => setTags(tags.filter(other => other !== tag))} title={`Remove #${tag}`}>×</button>
+                </span>
+              ))}
+              <input
+                type="text"
+                value={tagInput}
+                onChange={(e) => setTagInput(e.target.value)}
+                onKeyDown={handleTagKeyDown}
+                list="organize-tag-suggestions"
+                placeholder={tags.length === 0 ? 'Add a tag and press Enter' : 'Add another'}
+                autoFocus
+              />
+              <datalist id="organize-tag-suggestions">
+                {allTags.filter(tag => !tags.includes(tag)).map(tag => <option key={tag} value={tag} />)}
+              </datalist>
+            </div>
+          </fieldset>
+
+          <fieldset className="export-fieldset">
+            <legend>Folder</legend>
+            <input
+              type="text"
+              className="search-panel-input"
+              value={folder}
+              onChange={(e) => setFolder(e.target.value)}
+              list="organize-folder-suggestions"
+              placeholder="No folder"
+            />
+            <datalist id="organize-folder-suggestions">
+              {folderPaths.map(path => <option key={path} value={path} />)}
+            </datalist>
+            <p className="system-prompt-note">Use / for subfolders, e.g. Work/Clients. Leave empty to keep it out of folders.</p>
+          </fieldset>
+
+          <label className="export-option">
+            <input type="checkbox" checked={pinned} onChange={(e) => setPinned(e.target.checked)} />
+            <span>📌 Pin to the top of the list</span>
+          </label>
+
+          {error && <p className="modal-error">{error}</p>}
+        </div>
+
+        <div className="modal-footer">
+          <button className="branch-btn" onClick={onClose}>Cancel</button>
+          <button className="send-btn" onClick={handleSave}>Save</button>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default OrganizeConversationDialog;
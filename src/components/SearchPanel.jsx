@@ -0,0 +1,144 @@
+import React, { useState, useEffect, useMemo } from 'react';
+import { flattenBranchTree } from '../utils/branchTree';
+
+export const EMPTY_SEARCH = {
+  query: '',
+  filters: { sender: '', conversationId: '', branchId: '', from: '', to: '', starred: false }
+};
+
+// Date inputs give yyyy-mm-dd; both ends of the range are inclusive
+const toSearchFilters = ({ sender, conversationId, branchId, from, to, starred }) => ({
+  sender: sender || null,
+  conversationId: conversationId || null,
+  branchId: conversationId && branchId ? branchId : null,
+  from: from ? new Date(`${from}T00:00:00`) : null,
+  to: to ? new Date(`${to}T23:59:59.999`) : null,
+  starred
+});
+
+/**
+ * Full-text search over every message in every conversation. The query and
+ * filters live in the parent so they survive closing the panel. messages and
+ * conversationUpdate only signal that stored conversations changed.
+ */
+const SearchPanel = ({ conversationManager, messages, conversationUpdate, search, onSearchChange, onOpenResult, onClose }) => {
+  const { query, filters } = search;
+  const [debouncedQuery, setDebouncedQuery] = useState(query);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedQuery(query), 300);
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  const setQuery = (value) => onSearchChange({ ...search, query: value });
+  const setFilter = (name, value) => onSearchChange({ ...search, filters: { ...filters, [name]: value } });
+
+  const conversations = [...conversationManager.conversations.values()];
+  const filterConversation = filters.conversationId ? conversationManager.conversations.get(filters.conversationId) : null;
+  // Re-run only when the query, filters or stored messages change, not on every keystroke
+  const { results, total } = useMemo(
+    () => conversationManager.searchMessages(debouncedQuery, toSearchFilters(filters)),
+    [conversationManager, debouncedQuery, filters, messages, conversationUpdate]
+  );
+
+  return (
+    <>
+      <div className="modal-backdrop" onClick={onClose} />
+      <div className="modal-dialog search-panel" role="dialog" aria-label="Search">
+        <div className="modal-header">
+          <h3 className="modal-title">Search all conversations</h3>
+          <button className="condensed-close-btn" onClick={onClose} title="Close">✕</button>
+        </div>
+
+        <div className="modal-body">
+          <input
+            type="search"
+            className="search-panel-input"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            onKeyDown={(e) => {
+              if (e.key === 'Escape') onClose();
+            }}
+            placeholder='Words, "exact phrases" or prefix*'
+            autoFocus
+          />
+
+          <div className="search-filters">
+            <select className="model-select" value={filters.sender} onChange={(e) => setFilter('sender', e.target.value)}>
+              <option value="">Anyone</option>
+              <option value="user">You</option>
+              <option value="assistant">Assistant</option>
+            </select>
+            <select
+              className="model-select"
+              value={filterConversation ? filters.conversationId : ''}
+              onChange={(e) => onSearchChange({ ...search, filters: { ...filters, conversationId: e.target.value, branchId: '' } })}
+            >
+              <option value="">All conversations</option>
+              {conversations.map(conversation => (
+                <option key={conversation.id} value={conversation.id}>{conversation.title}</option>
+              ))}
+            </select>
+            <select
+              className="model-select"
+              value={filterConversation && filterConversation.branches.has(filters.branchId) ? filters.branchId : ''}
+              onChange={(e) => setFilter('branchId', e.target.value)}
+              disabled={!filterConversation}
+              title={filterConversation ? 'Limit to one branch' : 'Pick a conversation to filter by branch'}
+            >
+              <option value="">All branches</option>
+              {filterConversation && flattenBranchTree(filterConversation).map(({ branch, depth }) => (
+                <option key={branch.id} value={branch.id}>{'\u00a0\u00a0'.repeat(depth)}{branch.title}</option>
+              ))}
+            </select>
+            <label className="search-filter-date">
+              From
+              <input type="date" className="model-select" value={filters.from} max={filters.to || undefined} onChange={(e) => setFilter('from', e.target.value)} />
+            </label>
+            <label className="search-filter-date">
+              To
+              <input type="date" className="model-select" value={filters.to} min={filters.from || undefined} onChange={(e) => setFilter('to', e.target.value)} />
+            </label>
+            <label className="search-filter-date">
+              <input type="checkbox" checked={filters.starred} onChange={(e) => setFilter('starred', e.target.checked)} />
+              ⭐ Starred only
+            </label>
+          </div>
+
+          {!debouncedQuery.trim() ? (
+            <p className="trash-note">Type to search every message, including closed branches. Messages in the trash are left out.</p>
+          ) : results.length === 0 ? (
+            <p className="trash-empty">No messages match.</p>
+          ) : (
+            <>
+              <p className="trash-note">
+                {total > results.length ? `Showing the best ${results.length} of ${total} matches` : `${total} match${total === 1 ? '' : 'es'}`}
+              </p>
+              <ul className="search-results">
+                {results.map(result => (
+                  <li key={`${result.conversationId}:${result.branchId}:${result.messageId}`}>
+                    <button className="search-result" onClick={() => onOpenResult(result)}>
+                      <span className="search-result-meta">
+                        {result.conversationTitle} › {result.branchTitle}
+                        {' · '}{result.sender === 'user' ? 'You' : 'Assistant'}
+                        {' · '}{new Date(result.timestamp).toLocaleDateString()}
+                        {result.starred && ' · ⭐'}
+                      </span>
+                      <span className="search-result-snippet">
+                        {result.snippet.map((segment, index) => (
+                          segment.match ? <mark key={index}>{segment.text}</mark> : <React.Fragment key={index}>{segment.text}</React.Fragment>
+                        ))}
+                      </span>
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default SearchPanel;
@@ -0,0 +1,148 @@
+import React, { useState } from 'react';
+import { PERSONAS, getPersona } from '../constants/personas';
+import { SYSTEM_PROMPT_SCOPES, getInheritedSystemPrompt } from '../utils/systemPrompts';
+import { API_CONFIG } from '../constants/api';
+
+const SCOPE_OPTIONS = [
+  { value: SYSTEM_PROMPT_SCOPES.BRANCH, label: 'This branch', hint: 'and the branches forked from it' },
+  { value: SYSTEM_PROMPT_SCOPES.CONVERSATION, label: 'Whole conversation', hint: 'unless a branch sets its own' }
+];
+
+const describeSource = (resolved) => {
+  if (resolved.source.type === SYSTEM_PROMPT_SCOPES.BRANCH) return `branch "${resolved.source.title}"`;
+  if (resolved.source.type === SYSTEM_PROMPT_SCOPES.CONVERSATION) return 'the conversation';
+  return 'the server default';
+};
+
+/**
+ * The level's own prompt, or what it inherits when it has none
+ */
+const getLevelPrompt = (conversation, branchId, scope) => {
+  const level = scope === SYSTEM_PROMPT_SCOPES.CONVERSATION ? conversation : conversation.branches.get(branchId);
+  const inherited = scope === SYSTEM_PROMPT_SCOPES.CONVERSATION
+    ? { systemPrompt: '', persona: null, source: { type: 'default' } }
+    : getInheritedSystemPrompt(conversation, branchId);
+
+  return typeof level?.systemPrompt === 'string'
+    ? { text: level.systemPrompt, persona: level.persona || null, isSet: true, inherited }
+    : { text: inherited.systemPrompt, persona: inherited.persona, isSet: false, inherited };
+};
+
+const SystemPromptDialog = ({ conversation, branchId, onSave, onClose }) => {
+  const branch = conversation?.branches.get(branchId);
+  const [scope, setScope] = useState(
+    typeof branch?.systemPrompt === 'string' || typeof conversation?.systemPrompt !== 'string'
+      ? SYSTEM_PROMPT_SCOPES.BRANCH
+      : SYSTEM_PROMPT_SCOPES.CONVERSATION
+  );
+  const initial = conversation ? getLevelPrompt(conversation, branchId, scope) : null;
+  const [text, setText] = useState(initial?.text || '');
+  const [persona, setPersona] = useState(initial?.persona || null);
+  const [error, setError] = useState(null);
+
+  if (!conversation || !branch) return null;
+
+  const level = getLevelPrompt(conversation, branchId, scope);
+
+  const handleScopeChange = (nextScope) => {
+    const next = getLevelPrompt(conversation, branchId, nextScope);
+    setScope(nextScope);
+    setText(next.text);
+    setPersona(next.persona);
+    setError(null);
+  };
+
+  const handlePersonaClick = (personaId) => {
+    setPersona(personaId);
+    setText(getPersona(personaId).prompt);
+  };
+
+  const handleTextChange = (value) => {
+    setText(value);
+    // Edited presets become custom prompts
+    if (persona && value !== getPersona(persona)?.prompt) setPersona(null);
+  };
+
+  const save = (systemPrompt, personaId) => {
+    try {
+      onSave({ scope, branchId, systemPrompt, persona: personaId });
+      onClose();
+    } catch (saveError) {
+      setError(saveError.message);
+    }
+  };
+
+  return (
+    <>
+      <div className="modal-backdrop" onClick={onClose} />
+      <div className="modal-dialog system-prompt-dialog" role="dialog" aria-label="System prompt">
+        <div className="modal-header">
+          <h3 className="modal-title">System prompt</h3>
+          <button className="condensed-close-btn" onClick={onClose} title="Close">✕</button>
+        </div>
+
+        <div className="modal-body">
+          <fieldset className="export-fieldset">
+            <legend>Applies to</legend>
+            {SCOPE_OPTIONS.map(option => (
+              <label key={option.value} className="export-option">
+                <input
+                  type="radio"
+                  name="system-prompt-scope"
+                  value={option.value}
+                  checked={scope === option.value}
+                  onChange={() => handleScopeChange(option.value)}
+                />
+                <span>{option.value === SYSTEM_PROMPT_SCOPES.BRANCH ? `${option.label} (${branch.title})` : option.label}</span>
+                <small>{option.hint}</small>
+              </label>
+            ))}
+          </fieldset>
+
+          <div className="persona-presets">
+            {PERSONAS.map(preset => (
+              <button
+                key={preset.id}
+                className={`compare-chip${persona === preset.id ? ' selected' : ''}`}
+                onClick={() => handlePersonaClick(preset.id)}
+              >
+                {preset.label}
+              </button>
+            ))}
+          </div>
+
+          <textarea
+            className="input-field system-prompt-input"
+            value={text}
+            onChange={(e) => handleTextChange(e.target.value)}
+            maxLength={API_CONFIG.MAX_SYSTEM_PROMPT_LENGTH}
+            rows={8}
+            placeholder="Instructions added to the default system prompt, e.g. “Answer as a Socratic tutor”"
+          />
+          <p className="system-prompt-note">
+            {level.isSet
+              ? `Set here. Without it, this would use the prompt from ${describeSource(level.inherited)}.`
+              : `Not set here; currently using the prompt from ${describeSource(level.inherited)}.`}
+          </p>
+
+          {error && <p className="modal-error">{error}</p>}
+        </div>
+
+        <div className="modal-footer">
+          <button
+            className="branch-btn"
+            onClick={() => save(null, null)}
+            disabled={!level.isSet}
+            title="Remove this level's prompt so it inherits again"
+          >
+            Inherit
+          </button>
+          <button className="branch-btn" onClick={onClose}>Cancel</button>
+          <button className="send-btn" onClick={() => save(text, persona)}>Save</button>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default SystemPromptDialog;
@@ -0,0 +1,88 @@
+import React, { useState } from 'react';
+import { TRASH_ITEM_TYPES } from '../utils/conversationManager';
+import { config } from '../config/index.js';
+
+const describeExpiry = (expiresAt) => {
+  const days = Math.ceil((expiresAt - Date.now()) / (24 * 60 * 60 * 1000));
+  return days <= 1 ? 'Deleted within a day' : `Deleted in ${days} days`;
+};
+
+const TrashPanel = ({ conversationManager, onRestore, onChange, onClose }) => {
+  const [error, setError] = useState(null);
+  const items = conversationManager.getTrash();
+
+  const run = (action) => {
+    try {
+      action();
+      setError(null);
+      onChange();
+    } catch (actionError) {
+      setError(actionError.message);
+    }
+  };
+
+  const handleRestore = (item) => run(() => {
+    conversationManager.restoreTrashItem(item);
+    onRestore(item);
+  });
+
+  const handlePurge = (item) => {
+    if (!window.confirm(`Permanently delete "${item.title}"? This can't be undone.`)) return;
+    run(() => conversationManager.purgeTrashItem(item));
+  };
+
+  const handleEmpty = () => {
+    if (!window.confirm(`Permanently delete all ${items.length} item${items.length === 1 ? '' : 's'} in the trash? This can't be undone.`)) return;
+    run(() => conversationManager.emptyTrash());
+  };
+
+  return (
+    <>
+      <div className="modal-backdrop" onClick={onClose} />
+      <div className="modal-dialog trash-panel" role="dialog" aria-label="Trash">
+        <div className="modal-header">
+          <h3 className="modal-title">Trash</h3>
+          <button className="condensed-close-btn" onClick={onClose} title="Close">✕</button>
+        </div>
+
+        <div className="modal-body">
+          <p className="trash-note">
+            Deleted conversations and branches are kept for {config.trash.retentionDays} days. Their messages don't appear in starred messages or the condensed log.
+          </p>
+          {items.length === 0 ? (
+            <p className="trash-empty">The trash is empty.</p>
+          ) : (
+            <ul className="trash-list">
+              {items.map(item => (
+                <li key={`${item.conversationId}:${item.id}`} className="trash-item">
+                  <div className="trash-item-info">
+                    <span className="trash-item-title">
+                      {item.type === TRASH_ITEM_TYPES.CONVERSATION ? '💬 ' : '↳ '}
+                      {item.title}
+                    </span>
+                    <small>
+                      {item.type === TRASH_ITEM_TYPES.BRANCH && `Branch in "${item.conversationTitle}" · `}
+                      {item.type === TRASH_ITEM_TYPES.BRANCH && item.branchCount > 1 && `+${item.branchCount - 1} sub-branch${item.branchCount === 2 ? '' : 'es'} · `}
+                      {item.messageCount} message{item.messageCount === 1 ? '' : 's'} · {describeExpiry(item.expiresAt)}
+                    </small>
+                  </div>
+                  <button className="branch-btn" onClick={() => handleRestore(item)}>Restore</button>
+                  <button className="trash-purge-btn" onClick={() => handlePurge(item)} title="Delete permanently">✕</button>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {error && <p className="modal-error">{error}</p>}
+        </div>
+
+        <div className="modal-footer">
+          <button className="branch-btn" onClick={handleEmpty} disabled={items.length === 0}>Empty trash</button>
+          <button className="send-btn" onClick={onClose}>Done</button>
+        </div>
+      </div>
+    </>
+  );
+};
+
+export default TrashPanel;
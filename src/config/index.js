@@ -16,7 +16,8 @@ export const config = {
   
   // Claude API Configuration
   claude: {
-    model: process.env.REACT_APP_CLAUDE_MODEL || API_CONFIG.DEFAULT_CLAUDE_MODEL,
+    // null lets the server use its CHAT_MODEL; conversations can pin their own model
+    model: process.env.REACT_APP_CLAUDE_MODEL || null,
     maxTokens: parseInt(process.env.REACT_APP_CLAUDE_MAX_TOKENS) || API_CONFIG.DEFAULT_MAX_TOKENS,
     branchNameMaxTokens: API_CONFIG.BRANCH_NAME_MAX_TOKENS
   },
@@ -25,10 +26,34 @@ export const config = {
   ui: {
     debounceTime: TIMING.DEBOUNCE_TIME,
     scrollDelay: TIMING.SCROLL_DELAY,
+    undoToastDuration: TIMING.UNDO_TOAST_DURATION,
     syncInterval: TIMING.SYNC_INTERVAL,
     updateDelay: TIMING.UI_UPDATE_DELAY
   },
   
+  // Local storage backend: 'indexedDB' (falls back to localStorage when unavailable) or 'localStorage'
+  storage: {
+    backend: process.env.REACT_APP_STORAGE_BACKEND || 'indexedDB'
+  },
+  
+  // Context policy for new branches: 'full', 'summary' or 'selection' (see utils/branchContext.js)
+  branching: {
+    defaultContextPolicy: process.env.REACT_APP_BRANCH_CONTEXT_POLICY || 'full'
+  },
+  
+  // Context-window budgeting for chat requests (see utils/tokenBudget.js).
+  // windowTokens overrides the window the server reports for its chat model;
+  // strategy is 'drop-oldest', 'rolling-summary' or 'pin-starred'.
+  context: {
+    windowTokens: parseInt(process.env.REACT_APP_CONTEXT_WINDOW_TOKENS) || null,
+    strategy: process.env.REACT_APP_CONTEXT_STRATEGY || 'drop-oldest'
+  },
+
+  // Days deleted conversations and branches stay in the trash before they are purged
+  trash: {
+    retentionDays: parseInt(process.env.REACT_APP_TRASH_RETENTION_DAYS) || 30
+  },
+
   // Validation Configuration
   validation: {
     maxMessageLength: API_CONFIG.MAX_MESSAGE_LENGTH,
@@ -40,7 +65,9 @@ export const config = {
   features: {
     textSelectionBranching: true,
     autoSync: true,
-    streamingResponses: false,
+    streamingResponses: true,
+    // Mirror conversations to the server's /api/conversations store
+    remoteStorage: process.env.REACT_APP_REMOTE_STORAGE !== 'false',
     analytics: process.env.NODE_ENV === 'production'
   }
 };
@@ -10,13 +10,14 @@ export const API_CONFIG = {
   // Request limits
   MAX_MESSAGE_LENGTH: 4000,
   MIN_MESSAGE_LENGTH: 1,
+  MAX_SYSTEM_PROMPT_LENGTH: 8000,
+  TAG_MAX_LENGTH: 30,
+  FOLDER_NAME_MAX_LENGTH: 40,
+  MAX_FOLDER_DEPTH: 4,
   
   // HTTP settings
   REQUEST_TIMEOUT: 30000,
-  RETRY_ATTEMPTS: 3,
-  
-  // Models
-  DEFAULT_CLAUDE_MODEL: 'claude-3-haiku-20240307'
+  RETRY_ATTEMPTS: 3
 };
 
 export const HTTP_STATUS = {
@@ -25,6 +26,7 @@ export const HTTP_STATUS = {
   UNAUTHORIZED: 401,
   FORBIDDEN: 403,
   NOT_FOUND: 404,
+  CLIENT_CLOSED_REQUEST: 499,
   INTERNAL_SERVER_ERROR: 500,
   SERVICE_UNAVAILABLE: 503
 };
@@ -34,7 +36,9 @@ export const ERROR_MESSAGES = {
   API_ERROR: 'Service temporarily unavailable. Please try again later.',
   VALIDATION_ERROR: 'Invalid input provided.',
   TIMEOUT_ERROR: 'Request timed out. Please try again.',
+  REQUEST_ABORTED: 'Response generation was stopped.',
   BRANCH_CREATION_ERROR: 'Failed to create branch. Please try again.',
+  MIGRATION_ERROR: 'Saved conversation data could not be upgraded.',
   MESSAGE_TOO_LONG: `Message must be less than ${API_CONFIG.MAX_MESSAGE_LENGTH} characters.`,
   MESSAGE_TOO_SHORT: 'Message cannot be empty.',
   INVALID_BRANCH_DATA: 'Invalid branch data provided.'
@@ -9,6 +9,7 @@ export const TIMING = {
   // UI update delays
   UI_UPDATE_DELAY: 100,
   SCROLL_DELAY: 50,
+  UNDO_TOAST_DURATION: 8000,
   
   // API timeouts
   DEFAULT_API_TIMEOUT: 30000,
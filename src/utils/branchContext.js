@@ -0,0 +1,110 @@
+/**
+ * Context policies decide how much of a branch's inherited history is sent
+ * to /api/chat. Branches always keep their full copy of the parent's
+ * messages; the policy only changes the request.
+ */
+
+import { API_CONFIG } from '../constants/api.js';
+
+const PREAMBLE_SEPARATOR = '\n\n---\n\n';
+
+export const CONTEXT_POLICIES = {
+  FULL: 'full',
+  SUMMARY: 'summary',
+  SELECTION: 'selection'
+};
+
+export const CONTEXT_POLICY_LABELS = {
+  [CONTEXT_POLICIES.FULL]: 'Full history',
+  [CONTEXT_POLICIES.SUMMARY]: 'Summary + passage',
+  [CONTEXT_POLICIES.SELECTION]: 'Passage only'
+};
+
+export function isContextPolicy(policy) {
+  return Object.values(CONTEXT_POLICIES).includes(policy);
+}
+
+/**
+ * Index of the branch's fork point within messages, or -1
+ */
+export function getForkIndex(branch, messages = branch.messages) {
+  return branch.parentMessageId
+    ? messages.findIndex(message => message.id === branch.parentMessageId)
+    : -1;
+}
+
+/**
+ * Text that stands in for the inherited history under the branch's policy
+ */
+function buildPreamble(branch, forkMessage) {
+  const policy = branch.contextPolicy || CONTEXT_POLICIES.FULL;
+  const passage = branch.selectedText ||
+    (policy === CONTEXT_POLICIES.SELECTION && forkMessage ? forkMessage.content : null);
+  const parts = [];
+
+  if (policy === CONTEXT_POLICIES.SUMMARY && branch.contextSummary) {
+    parts.push(`Summary of the conversation so far:\n\n${branch.contextSummary}`);
+  }
+  if (passage) {
+    parts.push(`This branch continues from this passage of your earlier reply:\n\n"""\n${passage}\n"""`);
+  }
+
+  return parts.join('\n\n');
+}
+
+/**
+ * Shortens the preamble so the message carrying it stays within the
+ * per-message length limit
+ */
+function fitPreamble(preamble, room) {
+  if (preamble.length <= room) return preamble;
+  return room > 1 ? `${preamble.slice(0, room - 1)}…` : '';
+}
+
+/**
+ * Prepends a preamble to the first message when it's from the user, keeping
+ * that message within the length limit. Otherwise the preamble becomes a
+ * user message of its own with the given id.
+ */
+export function foldPreamble(messages, preamble, fallbackId) {
+  if (messages.length > 0 && messages[0].sender === 'user') {
+    const room = API_CONFIG.MAX_MESSAGE_LENGTH - messages[0].content.length - PREAMBLE_SEPARATOR.length;
+    const fitted = fitPreamble(preamble, room);
+    return [
+      fitted ? { ...messages[0], content: `${fitted}${PREAMBLE_SEPARATOR}${messages[0].content}` } : messages[0],
+      ...messages.slice(1)
+    ];
+  }
+
+  return [
+    { id: fallbackId, sender: 'user', content: fitPreamble(preamble, API_CONFIG.MAX_MESSAGE_LENGTH) },
+    ...messages
+  ];
+}
+
+/**
+ * Messages to send to /api/chat for a branch. `messages` defaults to the
+ * whole branch; pass a prefix of it to build history for a regeneration.
+ * Inherited messages the policy leaves out are replaced by a preamble folded
+ * into the first user message after the fork, keeping roles alternating.
+ */
+export function buildBranchHistory(branch, messages = branch.messages) {
+  const policy = branch.contextPolicy || CONTEXT_POLICIES.FULL;
+  const forkIndex = getForkIndex(branch, messages);
+
+  // Nothing to rewrite for unforked branches or inside the inherited part
+  if (forkIndex === -1) return messages;
+
+  const preamble = buildPreamble(branch, messages[forkIndex]);
+  if (!preamble) return messages;
+
+  const own = messages.slice(forkIndex + 1);
+
+  if (policy === CONTEXT_POLICIES.FULL) {
+    // The branch opens with an assistant message (or nothing yet)
+    if (own.length === 0 || own[0].sender !== 'user') return messages;
+    return [...messages.slice(0, forkIndex + 1), ...foldPreamble(own, preamble)];
+  }
+
+  return foldPreamble(own, preamble, `${branch.id}_context`);
+}
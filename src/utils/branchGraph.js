@@ -0,0 +1,190 @@
+/**
+ * Layout and text exports (Mermaid, Graphviz) for the branch graph view.
+ * Branches are nodes; each edge runs from a parent to a child branch and
+ * is labelled with the message the child forked from.
+ */
+import { getChildBranches, getRootBranches } from './branchTree.js';
+import { toFileBaseName } from './exporters.js';
+
+export const GRAPH_NODE_WIDTH = 176;
+export const GRAPH_NODE_HEIGHT = 52;
+export const GRAPH_PADDING = 24;
+const COLUMN_GAP = 28;
+const ROW_GAP = 64;
+
+export const GRAPH_TEXT_FORMATS = {
+  MERMAID: 'mermaid',
+  GRAPHVIZ: 'graphviz'
+};
+
+const TEXT_FILE_TYPES = {
+  [GRAPH_TEXT_FORMATS.MERMAID]: { extension: 'mmd', mimeType: 'text/plain' },
+  [GRAPH_TEXT_FORMATS.GRAPHVIZ]: { extension: 'dot', mimeType: 'text/vnd.graphviz' }
+};
+
+/**
+ * Single-line label cut to maxLength with an ellipsis
+ */
+export function truncateLabel(text, maxLength) {
+  const singleLine = String(text || '').replace(/\s+/g, ' ').trim();
+  return singleLine.length > maxLength ? `${singleLine.slice(0, maxLength - 1)}…` : singleLine;
+}
+
+function getLastActivity(branch) {
+  const lastMessage = branch.messages[branch.messages.length - 1];
+  return new Date(lastMessage ? lastMessage.timestamp : branch.createdAt);
+}
+
+/**
+ * "just now", "5m ago", "3h ago", "2d ago" or a date for older activity
+ */
+export function formatRecency(date, now = new Date()) {
+  const minutes = Math.floor((now - new Date(date)) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  if (minutes < 24 * 60) return `${Math.floor(minutes / 60)}h ago`;
+  if (minutes < 7 * 24 * 60) return `${Math.floor(minutes / (24 * 60))}d ago`;
+  return new Date(date).toLocaleDateString();
+}
+
+/**
+ * Positions every branch top-down: one row per depth, leaves spread left to
+ * right and parents centred over their children. Coordinates are the
+ * top-left corner of each node. Nodes carry a recency rank from 0 (most
+ * recently active) to 1 (least).
+ * Returns { nodes, edges, width, height }.
+ */
+export function layoutBranchGraph(conversation) {
+  const positions = new Map();
+  let nextColumn = 0;
+
+  const place = (branch, depth) => {
+    // Marks the branch as placed before visiting children, so cycles end
+    positions.set(branch.id, { column: 0, depth });
+    const children = getChildBranches(conversation, branch.id).filter(child => !positions.has(child.id));
+
+    let column;
+    if (children.length === 0) {
+      column = nextColumn++;
+    } else {
+      const columns = children.map(child => place(child, depth + 1));
+      column = (columns[0] + columns[columns.length - 1]) / 2;
+    }
+
+    positions.set(branch.id, { column, depth });
+    return column;
+  };
+
+  getRootBranches(conversation).forEach(root => place(root, root.id === 'main' ? 0 : 1));
+  // Branches caught in a parent cycle
+  conversation.branches.forEach(branch => {
+    if (!positions.has(branch.id)) place(branch, 1);
+  });
+
+  const byRecency = Array.from(conversation.branches.values())
+    .sort((a, b) => getLastActivity(b) - getLastActivity(a))
+    .map(branch => branch.id);
+
+  const nodes = Array.from(conversation.branches.values()).map(branch => {
+    const { column, depth } = positions.get(branch.id);
+    return {
+      id: branch.id,
+      title: branch.title,
+      x: GRAPH_PADDING + column * (GRAPH_NODE_WIDTH + COLUMN_GAP),
+      y: GRAPH_PADDING + depth * (GRAPH_NODE_HEIGHT + ROW_GAP),
+      messageCount: branch.messages.length,
+      lastActivity: getLastActivity(branch),
+      recencyRank: byRecency.length > 1 ? byRecency.indexOf(branch.id) / (byRecency.length - 1) : 0,
+      isOpen: branch.isActive !== false,
+      isMerged: Boolean(branch.mergedInto)
+    };
+  });
+
+  const edges = Array.from(conversation.branches.values())
+    .filter(branch => branch.parentBranchId && conversation.branches.has(branch.parentBranchId))
+    .map(branch => {
+      const forkMessage = branch.parentMessageId
+        ? branch.messages.find(message => message.id === branch.parentMessageId)
+        : null;
+      return {
+        from: branch.parentBranchId,
+        to: branch.id,
+        forkMessageId: branch.parentMessageId,
+        label: forkMessage ? truncateLabel(forkMessage.content, 60) : ''
+      };
+    });
+
+  const maxX = Math.max(...nodes.map(node => node.x), 0);
+  const maxY = Math.max(...nodes.map(node => node.y), 0);
+
+  return {
+    nodes,
+    edges,
+    width: maxX + GRAPH_NODE_WIDTH + GRAPH_PADDING,
+    height: maxY + GRAPH_NODE_HEIGHT + GRAPH_PADDING
+  };
+}
+
+function nodeLabel(branch) {
+  return `${branch.title} (${branch.messages.length} message${branch.messages.length === 1 ? '' : 's'})`;
+}
+
+/**
+ * Mermaid flowchart of the branch tree, for pasting into Markdown docs
+ */
+export function exportToMermaid(conversation) {
+  const escape = (text) => text.replace(/"/g, '#quot;');
+  const nodeIds = new Map(Array.from(conversation.branches.keys()).map((id, index) => [id, `b${index}`]));
+  const { edges } = layoutBranchGraph(conversation);
+
+  const lines = ['graph TD'];
+  conversation.branches.forEach(branch => {
+    lines.push(`  ${nodeIds.get(branch.id)}["${escape(nodeLabel(branch))}"]`);
+  });
+  edges.forEach(edge => {
+    const label = edge.label ? `|"${escape(truncateLabel(edge.label, 40))}"|` : '';
+    lines.push(`  ${nodeIds.get(edge.from)} -->${label} ${nodeIds.get(edge.to)}`);
+  });
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Graphviz DOT digraph of the branch tree
+ */
+export function exportToGraphviz(conversation) {
+  const quote = (text) => `"${String(text).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+  const { edges } = layoutBranchGraph(conversation);
+
+  const lines = [
+    `digraph ${quote(conversation.title)} {`,
+    '  node [shape=box, style=rounded, fontname="Helvetica"];',
+    '  edge [fontname="Helvetica", fontsize=10];'
+  ];
+  conversation.branches.forEach(branch => {
+    lines.push(`  ${quote(branch.id)} [label=${quote(nodeLabel(branch))}];`);
+  });
+  edges.forEach(edge => {
+    const label = edge.label ? ` [label=${quote(truncateLabel(edge.label, 40))}]` : '';
+    lines.push(`  ${quote(edge.from)} -> ${quote(edge.to)}${label};`);
+  });
+  lines.push('}');
+
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Builds a downloadable Mermaid or Graphviz file of a conversation's branch graph
+ */
+export function exportBranchGraph(conversation, format) {
+  const fileType = TEXT_FILE_TYPES[format];
+  if (!fileType) {
+    throw new Error(`Unknown graph format: ${format}`);
+  }
+
+  return {
+    content: format === GRAPH_TEXT_FORMATS.MERMAID ? exportToMermaid(conversation) : exportToGraphviz(conversation),
+    filename: `${toFileBaseName(conversation.title, 'graph')}.${fileType.extension}`,
+    mimeType: fileType.mimeType
+  };
+}
@@ -0,0 +1,192 @@
+/**
+ * Helpers for walking a conversation's branch tree via parentBranchId/parentMessageId
+ */
+
+/**
+ * Child branches of a branch, oldest first
+ */
+export function getChildBranches(conversation, branchId) {
+  return Array.from(conversation.branches.values())
+    .filter(branch => branch.parentBranchId === branchId)
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+}
+
+/**
+ * Every branch below a branch, depth first
+ */
+export function getDescendantBranches(conversation, branchId) {
+  const descendants = [];
+  const seen = new Set([branchId]);
+
+  const visit = (id) => {
+    getChildBranches(conversation, id).forEach(child => {
+      if (seen.has(child.id)) return;
+      seen.add(child.id);
+      descendants.push(child);
+      visit(child.id);
+    });
+  };
+
+  visit(branchId);
+  return descendants;
+}
+
+/**
+ * Root branches - main plus anything whose parent no longer exists
+ */
+export function getRootBranches(conversation) {
+  return Array.from(conversation.branches.values())
+    .filter(branch => !branch.parentBranchId || !conversation.branches.has(branch.parentBranchId))
+    .sort((a, b) => (a.id === 'main' ? -1 : b.id === 'main' ? 1 : new Date(a.createdAt) - new Date(b.createdAt)));
+}
+
+/**
+ * Attaches a branch to a new parent (null makes it a root). The fork point
+ * becomes the last message the two still share - copied messages keep
+ * their IDs.
+ */
+export function reattachBranch(branch, parent) {
+  if (!parent) {
+    branch.parentBranchId = null;
+    branch.parentMessageId = null;
+    return;
+  }
+
+  const parentMessageIds = new Set(parent.messages.map(message => message.id));
+  let shared = 0;
+  while (shared < branch.messages.length && parentMessageIds.has(branch.messages[shared].id)) {
+    shared++;
+  }
+
+  branch.parentBranchId = parent.id;
+  branch.parentMessageId = shared > 0 ? branch.messages[shared - 1].id : null;
+}
+
+/**
+ * Branches sharing a branch's parent, including the branch itself, oldest
+ * first. Root branches are siblings of each other.
+ */
+export function getSiblingBranches(conversation, branchId) {
+  const branch = conversation.branches.get(branchId);
+  if (!branch) return [];
+
+  return branch.parentBranchId && conversation.branches.has(branch.parentBranchId)
+    ? getChildBranches(conversation, branch.parentBranchId)
+    : getRootBranches(conversation);
+}
+
+/**
+ * Every branch in depth-first order with its depth below the root (0 for
+ * main), children oldest first. Branches caught in a parent cycle are
+ * listed last at depth 1 so none go missing.
+ */
+export function flattenBranchTree(conversation) {
+  const entries = [];
+  const seen = new Set();
+
+  const visit = (branch, depth) => {
+    if (seen.has(branch.id)) return;
+    seen.add(branch.id);
+    entries.push({ branch, depth });
+    getChildBranches(conversation, branch.id).forEach(child => visit(child, depth + 1));
+  };
+
+  getRootBranches(conversation).forEach(root => visit(root, root.id === 'main' ? 0 : 1));
+  conversation.branches.forEach(branch => visit(branch, 1));
+
+  return entries;
+}
+
+/**
+ * Messages a branch added itself. Branches start with a copy of their
+ * parent's messages up to the fork point; those are skipped.
+ */
+export function getOwnMessages(branch) {
+  const forkIndex = branch.parentMessageId
+    ? branch.messages.findIndex(message => message.id === branch.parentMessageId)
+    : -1;
+  return forkIndex === -1 ? branch.messages : branch.messages.slice(forkIndex + 1);
+}
+
+/**
+ * Chain of branches from the root down to branchId
+ */
+export function getLineage(conversation, branchId) {
+  const lineage = [];
+  const seen = new Set();
+  let branch = conversation.branches.get(branchId);
+
+  while (branch && !seen.has(branch.id)) {
+    seen.add(branch.id);
+    lineage.unshift(branch);
+    branch = branch.parentBranchId ? conversation.branches.get(branch.parentBranchId) : null;
+  }
+
+  return lineage;
+}
+
+/**
+ * The branch in branchId's lineage that added messageId itself, rather than
+ * inheriting a copy of it; null when the lineage doesn't contain it
+ */
+export function getMessageOwner(conversation, branchId, messageId) {
+  return getLineage(conversation, branchId)
+    .find(branch => getOwnMessages(branch).some(message => message.id === messageId)) || null;
+}
+
+/**
+ * Alternatives at each position of a branch. Branches that share the first
+ * n messages with it and then differ offer the message at position n as a
+ * sibling (forks keep their parent's message IDs, so shared context matches
+ * by ID). Returns a Map of messageId -> { index, total, variants } for the
+ * positions that have more than one variant; variants are oldest first and
+ * each points at the earliest branch containing that message.
+ */
+export function getMessageVariants(conversation, branchId) {
+  const branch = conversation.branches.get(branchId);
+  const result = new Map();
+  if (!branch) return result;
+
+  const byPosition = new Map();
+  const branches = Array.from(conversation.branches.values())
+    .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+  branches.forEach(other => {
+    if (other.id === branch.id) return;
+
+    let position = 0;
+    while (
+      position < branch.messages.length &&
+      position < other.messages.length &&
+      other.messages[position].id === branch.messages[position].id
+    ) {
+      position++;
+    }
+    if (position >= branch.messages.length || position >= other.messages.length) return;
+
+    const variant = other.messages[position];
+    const variants = byPosition.get(position) || new Map();
+    if (!variants.has(variant.id)) {
+      variants.set(variant.id, { messageId: variant.id, branchId: other.id, timestamp: variant.timestamp });
+    }
+    byPosition.set(position, variants);
+  });
+
+  byPosition.forEach((variants, position) => {
+    const own = branch.messages[position];
+    const ordered = [
+      { messageId: own.id, branchId: branch.id, timestamp: own.timestamp },
+      ...variants.values()
+    ]
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+      .map(({ messageId, branchId: variantBranchId }) => ({ messageId, branchId: variantBranchId }));
+
+    result.set(own.id, {
+      index: ordered.findIndex(variant => variant.messageId === own.id),
+      total: ordered.length,
+      variants: ordered
+    });
+  });
+
+  return result;
+}
@@ -13,8 +13,10 @@ import {
   ApiError, 
   NetworkError, 
   TimeoutError,
+  RequestAbortedError,
   withRetry, 
   withTimeout, 
+  createLinkedAbortController,
   logError,
   formatErrorForUser
 } from './errorHandling.js';
@@ -24,20 +26,27 @@ export class ClaudeApiService {
     this.backendUrl = config.api.backendUrl;
     this.timeout = config.api.timeout;
     this.retries = config.api.retries;
+    this.model = config.claude.model;
   }
 
   /**
-   * Sends message to Claude API with validation and error handling
+   * Sends message to Claude API with validation and error handling.
+   * Pass an AbortSignal to cancel the request, or a model to override config.claude.model.
+   * references are [{ label, content }] blocks of other branches mentioned with @;
+   * systemPrompt is the conversation's own instructions, added to the server's default.
    */
-  async sendMessage(messages, maxTokens = config.claude.maxTokens) {
+  async sendMessage(messages, maxTokens = config.claude.maxTokens, { signal = null, model = null, references = [], systemPrompt = '' } = {}) {
     this._validateMessages(messages);
     this._checkRateLimit();
     
-    const operation = () => this._performSendMessage(messages, maxTokens);
+    const operation = () => this._performSendMessage(messages, maxTokens, signal, { model, references, systemPrompt });
     
     try {
       return await withRetry(operation, this.retries, TIMING.RETRY_DELAY);
     } catch (error) {
+      if (signal?.aborted) {
+        throw new RequestAbortedError();
+      }
       logError(error, { operation: 'sendMessage', messageCount: messages.length });
       throw new ApiError(formatErrorForUser(error));
     }
@@ -46,22 +55,27 @@ export class ClaudeApiService {
   /**
    * Internal method to perform the actual API call
    */
-  async _performSendMessage(messages, maxTokens) {
+  async _performSendMessage(messages, maxTokens, signal = null, { model = null, references = [], systemPrompt = '' } = {}) {
     const formattedMessages = this._formatMessages(messages);
+    const controller = createLinkedAbortController(signal);
     
     const requestPromise = fetch(`${this.backendUrl}/chat`, {
       method: 'POST',
+      signal: controller.signal,
       headers: {
         'Content-Type': 'application/json',
         'Accept': 'application/json'
       },
       body: JSON.stringify({
         messages: formattedMessages,
-        maxTokens: maxTokens
+        maxTokens: maxTokens,
+        ...this._modelField(model),
+        ...this._referencesField(references),
+        ...this._systemPromptField(systemPrompt)
       })
     });
 
-    const response = await withTimeout(requestPromise, this.timeout);
+    const response = await withTimeout(requestPromise, this.timeout, undefined, controller);
     
     return await this._handleResponse(response);
   }
@@ -70,6 +84,25 @@ export class ClaudeApiService {
    * Handles API response with proper error checking
    */
   async _handleResponse(response) {
+    await this._checkResponseStatus(response);
+
+    const data = await response.json();
+    
+    if (!data.success) {
+      throw new ApiError(data.error || 'Unknown API error');
+    }
+    
+    if (!data.response || typeof data.response !== 'string') {
+      throw new ApiError('Invalid response format from API');
+    }
+    
+    return data.response;
+  }
+
+  /**
+   * Throws an ApiError for non-2xx responses
+   */
+  async _checkResponseStatus(response) {
     if (!response.ok) {
       let errorData;
       try {
@@ -83,18 +116,6 @@ export class ClaudeApiService {
         response.status
       );
     }
-
-    const data = await response.json();
-    
-    if (!data.success) {
-      throw new ApiError(data.error || 'Unknown API error');
-    }
-    
-    if (!data.response || typeof data.response !== 'string') {
-      throw new ApiError('Invalid response format from API');
-    }
-    
-    return data.response;
   }
 
   /**
@@ -135,6 +156,50 @@ export class ClaudeApiService {
     }
   }
 
+  /**
+   * Model to request - an explicit (per-conversation) model wins over config.claude.model.
+   * Omitted entirely when neither is set so the server uses its default chat model.
+   */
+  _modelField(model) {
+    const resolvedModel = model || this.model;
+    return resolvedModel ? { model: resolvedModel } : {};
+  }
+
+  /**
+   * Referenced branch content, omitted when the history mentions nothing
+   */
+  _referencesField(references) {
+    return Array.isArray(references) && references.length > 0 ? { references } : {};
+  }
+
+  /**
+   * Conversation or branch system prompt, omitted when only the server default applies
+   */
+  _systemPromptField(systemPrompt) {
+    return typeof systemPrompt === 'string' && systemPrompt.trim() ? { systemPrompt } : {};
+  }
+
+  /**
+   * Fetches the models the server allows for chat
+   */
+  async getModels() {
+    try {
+      const response = await withTimeout(fetch(`${this.backendUrl}/models`), this.timeout);
+      await this._checkResponseStatus(response);
+      const data = await response.json();
+      
+      return {
+        models: Array.isArray(data.models) ? data.models : [],
+        defaultModel: data.defaultModel || null,
+        contextWindow: Number.isInteger(data.contextWindow) ? data.contextWindow : null
+      };
+      
+    } catch (error) {
+      logError(error, { operation: 'getModels' });
+      return { models: [], defaultModel: null, contextWindow: null };
+    }
+  }
+
   /**
    * Formats messages for API consumption
    */
@@ -231,19 +296,128 @@ export class ClaudeApiService {
   }
 
   /**
-   * Simulated streaming for better UX (placeholder for future real streaming)
+   * Streams a response from /api/chat, calling onToken with each text delta.
+   * onComplete receives the full text once the server signals the end of the stream.
+   * Aborting options.signal closes the connection (which cancels the upstream request)
+   * and reports a RequestAbortedError carrying the text received so far.
    */
-  async streamMessage(messages, onToken, onComplete, onError) {
+  async streamMessage(messages, onToken, onComplete, onError, { maxTokens = config.claude.maxTokens, signal = null, model = null, references = [], systemPrompt = '' } = {}) {
+    let partialText = '';
+
     try {
       this._validateStreamingCallbacks(onToken, onComplete, onError);
-      
-      const response = await this.sendMessage(messages);
-      
-      this._simulateStreaming(response, onToken, onComplete);
+      this._validateMessages(messages);
+      this._checkRateLimit();
+
+      // Only opening the stream is retried; once tokens flow a failure is final
+      const operation = () => this._openStream(messages, maxTokens, signal, { model, references, systemPrompt });
+      const response = await withRetry(operation, this.retries, TIMING.RETRY_DELAY);
+
+      const fullText = await this._readEventStream(response, (token) => {
+        partialText += token;
+        onToken(token);
+      });
+      onComplete(fullText);
       
     } catch (error) {
-      logError(error, { operation: 'streamMessage' });
-      onError(formatErrorForUser(error));
+      if (signal?.aborted) {
+        const abortedError = new RequestAbortedError(undefined, partialText);
+        onError(formatErrorForUser(abortedError), abortedError);
+        return;
+      }
+
+      logError(error, { operation: 'streamMessage', messageCount: messages?.length });
+      onError(formatErrorForUser(error), error);
+    }
+  }
+
+  /**
+   * Internal method to open the Server-Sent Events stream
+   */
+  async _openStream(messages, maxTokens, signal = null, { model = null, references = [], systemPrompt = '' } = {}) {
+    const controller = createLinkedAbortController(signal);
+
+    const requestPromise = fetch(`${this.backendUrl}/chat`, {
+      method: 'POST',
+      signal: controller.signal,
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'text/event-stream'
+      },
+      body: JSON.stringify({
+        messages: this._formatMessages(messages),
+        maxTokens: maxTokens,
+        stream: true,
+        ...this._modelField(model),
+        ...this._referencesField(references),
+        ...this._systemPromptField(systemPrompt)
+      })
+    });
+
+    const response = await withTimeout(requestPromise, this.timeout, undefined, controller);
+    await this._checkResponseStatus(response);
+
+    if (!response.body) {
+      throw new ApiError('Streaming responses are not supported by this browser');
+    }
+
+    return response;
+  }
+
+  /**
+   * Reads delta/done/error events from the stream and returns the full text
+   */
+  async _readEventStream(response, onToken) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let fullText = '';
+
+    while (true) {
+      const { done, value } = await reader.read();
+      if (done) break;
+
+      buffer += decoder.decode(value, { stream: true });
+      const blocks = buffer.split(/\r?\n\r?\n/);
+      buffer = blocks.pop();
+
+      for (const block of blocks) {
+        const { event, data } = this._parseEvent(block);
+        if (!data) continue;
+
+        if (event === 'delta' && data.text) {
+          fullText += data.text;
+          onToken(data.text);
+        } else if (event === 'done') {
+          return typeof data.response === 'string' ? data.response : fullText;
+        } else if (event === 'error') {
+          throw new ApiError(data.error || 'Stream error');
+        }
+      }
+    }
+
+    throw new NetworkError('Connection closed before the response completed');
+  }
+
+  /**
+   * Parses a single SSE block into its event name and JSON payload
+   */
+  _parseEvent(block) {
+    let event = 'message';
+    const dataLines = [];
+
+    block.split(/\r?\n/).forEach(line => {
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).trim());
+      }
+    });
+
+    try {
+      return { event, data: dataLines.length ? JSON.parse(dataLines.join('\n')) : null };
+    } catch {
+      return { event, data: null };
     }
   }
 
@@ -261,27 +435,6 @@ export class ClaudeApiService {
       throw new ApiError('onError callback must be a function');
     }
   }
-
-  /**
-   * Simulates streaming response
-   */
-  _simulateStreaming(response, onToken, onComplete) {
-    const CHUNK_SIZE = 3;
-    const STREAM_DELAY = 30;
-    
-    let currentIndex = 0;
-    
-    const streamInterval = setInterval(() => {
-      if (currentIndex < response.length) {
-        const chunk = response.slice(currentIndex, currentIndex + CHUNK_SIZE);
-        onToken(chunk);
-        currentIndex += CHUNK_SIZE;
-      } else {
-        clearInterval(streamInterval);
-        onComplete(response);
-      }
-    }, STREAM_DELAY);
-  }
 }
 
 export default ClaudeApiService;
\ No newline at end of file
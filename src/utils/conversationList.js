@@ -0,0 +1,132 @@
+/**
+ * Arranges conversations for the sidebar: pinned ones first, then nested
+ * folders, then everything else grouped by date. Folders are paths such as
+ * "Work/Clients" stored on each conversation, so a folder exists as long as
+ * something is filed in it.
+ */
+
+export const CONVERSATION_SORTS = {
+  ACTIVITY: 'activity',
+  CREATED: 'created',
+  TITLE: 'title'
+};
+
+export const CONVERSATION_SORT_LABELS = {
+  [CONVERSATION_SORTS.ACTIVITY]: 'Recent activity',
+  [CONVERSATION_SORTS.CREATED]: 'Date created',
+  [CONVERSATION_SORTS.TITLE]: 'Title'
+};
+
+export const DATE_GROUPS = {
+  TODAY: 'Today',
+  THIS_WEEK: 'This week',
+  OLDER: 'Older'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export function isConversationSort(value) {
+  return Object.values(CONVERSATION_SORTS).includes(value);
+}
+
+/**
+ * When a conversation last had a message, in any live branch. Renaming,
+ * tagging or moving it doesn't count as activity.
+ */
+export function getLastActivity(conversation) {
+  let latest = new Date(conversation.createdAt).getTime();
+  conversation.branches.forEach(branch => {
+    const lastMessage = branch.messages[branch.messages.length - 1];
+    if (lastMessage) latest = Math.max(latest, new Date(lastMessage.timestamp).getTime());
+  });
+  return new Date(latest);
+}
+
+/**
+ * Today, the six days before it, or older
+ */
+export function getDateGroup(date, now = new Date()) {
+  const startOfToday = new Date(now.getFullYear(), now.getMonth(), now.getDate()).getTime();
+  const time = new Date(date).getTime();
+
+  if (time >= startOfToday) return DATE_GROUPS.TODAY;
+  if (time >= startOfToday - 6 * DAY_MS) return DATE_GROUPS.THIS_WEEK;
+  return DATE_GROUPS.OLDER;
+}
+
+/**
+ * The folder path and every ancestor: "A/B" -> ["A", "A/B"]
+ */
+export function getFolderAncestry(path) {
+  if (!path) return [];
+  const segments = path.split('/');
+  return segments.map((segment, index) => segments.slice(0, index + 1).join('/'));
+}
+
+function getSortDate(conversation, sort) {
+  return sort === CONVERSATION_SORTS.CREATED ? new Date(conversation.createdAt) : getLastActivity(conversation);
+}
+
+function compareConversations(sort) {
+  if (sort === CONVERSATION_SORTS.TITLE) {
+    return (a, b) => a.title.localeCompare(b.title, undefined, { sensitivity: 'base' });
+  }
+  return (a, b) => getSortDate(b, sort) - getSortDate(a, sort);
+}
+
+/**
+ * Organizes conversations for display. Only conversations carrying every
+ * tag in options.tags are included. Returns { pinned, folders, groups,
+ * count }: pinned conversations (wherever they are filed), a tree of
+ * { name, path, folders, conversations, count } folder nodes sorted by
+ * name, and the unfiled rest as [{ label, conversations }] date groups
+ * (one unlabelled group when sorting by title).
+ */
+export function organizeConversations(conversations, { sort = CONVERSATION_SORTS.ACTIVITY, tags = [], now = new Date() } = {}) {
+  const compare = compareConversations(sort);
+  const matching = [...conversations]
+    .filter(conversation => tags.every(tag => (conversation.tags || []).includes(tag)))
+    .sort(compare);
+
+  const pinned = matching.filter(conversation => conversation.pinned);
+  const root = { name: null, path: null, folders: [], conversations: [], count: 0 };
+  const nodes = new Map([[null, root]]);
+
+  const getNode = (path) => {
+    if (!nodes.has(path)) {
+      const slash = path.lastIndexOf('/');
+      const parent = getNode(slash === -1 ? null : path.slice(0, slash));
+      const node = { name: path.slice(slash + 1), path, folders: [], conversations: [], count: 0 };
+      parent.folders.push(node);
+      nodes.set(path, node);
+    }
+    return nodes.get(path);
+  };
+
+  matching.filter(conversation => !conversation.pinned).forEach(conversation => {
+    getNode(conversation.folder || null).conversations.push(conversation);
+    getFolderAncestry(conversation.folder).forEach(path => {
+      nodes.get(path).count += 1;
+    });
+  });
+
+  const sortFolders = (node) => {
+    node.folders.sort((a, b) => a.name.localeCompare(b.name, undefined, { sensitivity: 'base' }));
+    node.folders.forEach(sortFolders);
+  };
+  sortFolders(root);
+
+  let groups;
+  if (sort === CONVERSATION_SORTS.TITLE) {
+    groups = root.conversations.length > 0 ? [{ label: null, conversations: root.conversations }] : [];
+  } else {
+    groups = Object.values(DATE_GROUPS)
+      .map(label => ({
+        label,
+        conversations: root.conversations.filter(conversation => getDateGroup(getSortDate(conversation, sort), now) === label)
+      }))
+      .filter(group => group.conversations.length > 0);
+  }
+
+  return { pinned, folders: root.folders, groups, count: matching.length };
+}
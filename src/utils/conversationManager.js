@@ -11,18 +11,132 @@ import {
   validateMessage, 
   validateBranchTitle, 
   validateConversationData,
+  validateSystemPrompt,
+  validateTag,
+  validateFolderPath,
   ValidationError 
 } from './validation.js';
 import { 
   logError, 
-  safeAsync 
+  safeAsync,
+  withTimeout,
+  ApiError
 } from './errorHandling.js';
+import { config } from '../config/index.js';
+import {
+  getOwnMessages,
+  getMessageVariants,
+  getChildBranches,
+  getDescendantBranches,
+  getLineage,
+  getMessageOwner,
+  getSiblingBranches,
+  reattachBranch
+} from './branchTree.js';
+import { CONTEXT_POLICIES, isContextPolicy, getForkIndex, buildBranchHistory } from './branchContext.js';
+import {
+  getMentionCandidates,
+  parseMentions,
+  formatBranchTranscript,
+  MENTION_TRANSCRIPT_MAX_LENGTH,
+  MAX_MENTION_REFERENCES
+} from './mentions.js';
+import {
+  CONTEXT_STRATEGIES,
+  DEFAULT_CONTEXT_WINDOW,
+  isContextStrategy,
+  estimateHistoryTokens,
+  estimateRequestTokens,
+  getHistoryBudget,
+  getRollingSummaryBudget,
+  fitHistoryToBudget,
+  applyRollingSummary
+} from './tokenBudget.js';
+import { SYSTEM_PROMPT_SCOPES, resolveSystemPrompt } from './systemPrompts.js';
+import { checkConversationIntegrity } from './treeIntegrity.js';
+import { SearchIndex, buildSnippet } from './searchIndex.js';
+import { CONVERSATION_SORTS, isConversationSort, getFolderAncestry } from './conversationList.js';
+import {
+  SimilarityIndex,
+  termFrequencies,
+  RELATED_MESSAGE_MIN_SCORE,
+  RELATED_BRANCH_MIN_SCORE
+} from './similarity.js';
+import { getPersona } from '../constants/personas.js';
+import { 
+  serializeConversation, 
+  serializeConversationMeta, 
+  serializeBranch, 
+  deserializeConversation 
+} from './serialization.js';
+import { 
+  createStorageAdapter, 
+  migrateLegacyData, 
+  LocalStorageAdapter,
+  CURRENT_SCHEMA_VERSION,
+  migrateConversation,
+  needsMigration,
+  getSchemaVersion
+} from './storage/index.js';
+import { HTTP_STATUS, API_CONFIG } from '../constants/api.js';
+
+export const TRASH_ITEM_TYPES = {
+  CONVERSATION: 'conversation',
+  BRANCH: 'branch'
+};
+
+/**
+ * Builds a "<label>: <excerpt>" branch title that fits the title length limit
+ */
+function excerptTitle(label, text) {
+  const excerpt = String(text).replace(/\s+/g, ' ').trim();
+  const maxExcerpt = API_CONFIG.BRANCH_NAME_MAX_LENGTH - label.length - 3;
+  return `${label}: ${excerpt.length > maxExcerpt ? `${excerpt.slice(0, maxExcerpt - 1)}…` : excerpt}`;
+}
+
+// Deep copy of inherited messages, so a branch's copies don't share state with the original
+function copyMessages(messages) {
+  return messages.map(msg => ({
+    ...msg,
+    availableBranches: [...msg.availableBranches],
+    variants: (msg.variants || []).map(variant => ({ ...variant }))
+  }));
+}
 
 export class ConversationManager {
-  constructor() {
+  /**
+   * options.storage is the local storage adapter (defaults to the configured one).
+   * options.remote is an optional RemoteStorageBackend; when set, every
+   * change is mirrored to the server in the background
+   */
+  constructor(options = {}) {
     this.conversations = new Map();
+    // Soft-deleted conversations, kept until restored or purged
+    this.trashedConversations = new Map();
     this.currentConversationId = null;
     this.currentBranch = null;
+    // Sidebar preferences, saved with the current selection
+    this.listSort = CONVERSATION_SORTS.ACTIVITY;
+    this.collapsedFolders = new Set();
+    this.storage = options.storage || createStorageAdapter();
+    this.storageError = null;
+    this.migrationErrors = [];
+    // Problems found and fixed by the tree integrity check: [{ conversationId, title, issues }]
+    this.integrityReports = [];
+    this._pendingWrites = new Map();
+    this._flushScheduled = false;
+    this._writeQueue = Promise.resolve(true);
+    this.remote = options.remote || null;
+    this.remoteSyncError = null;
+    this._remoteQueue = Promise.resolve(true);
+    this._unsyncedConversations = new Set();
+    this._mentionSummaries = new Map();
+    this.contextWindow = config.context.windowTokens || DEFAULT_CONTEXT_WINDOW;
+    this._rollingSummaries = new Map();
+    // Full-text index over live messages, brought up to date before each search
+    this.searchIndex = new SearchIndex();
+    // TF-IDF vectors of messages and branch summaries for related-discussion hints
+    this.similarityIndex = new SimilarityIndex();
   }
 
   /**
@@ -37,12 +151,23 @@ export class ConversationManager {
         id,
         title: sanitizedTitle,
         createdAt: new Date(),
+        updatedAt: new Date(),
         branches: new Map(),
         currentBranch: 'main',
-        breadcrumbs: ['Main Channel'],
+        breadcrumbs: [{ id: 'main', title: 'Main Channel' }],
         condensedItems: [],
         lastSummarizedMessageId: null,
-        condensedLastUpdated: null
+        condensedLastUpdated: null,
+        model: null,
+        contextStrategy: null,
+        systemPrompt: null,
+        persona: null,
+        trashedAt: null,
+        tags: [],
+        folder: null,
+        pinned: false,
+        schemaVersion: CURRENT_SCHEMA_VERSION,
+        trashedBranches: new Map()
       };
 
       // Create main branch
@@ -53,7 +178,9 @@ export class ConversationManager {
       this.currentConversationId = id;
       this.currentBranch = 'main';
       
-      this._saveToStorage();
+      this._persist(conversation, remote => remote.saveConversation(serializeConversation(conversation)), {
+        branchIds: ['main']
+      });
       return conversation;
       
     } catch (error) {
@@ -75,9 +202,17 @@ export class ConversationManager {
         parentBranchId,
         parentMessageId,
         messages: [],
-        branches: new Map(),
         createdAt: new Date(),
-        isActive: true
+        isActive: true,
+        mergedInto: null,
+        contextPolicy: CONTEXT_POLICIES.FULL,
+        selectedText: null,
+        contextSummary: null,
+        systemPrompt: null,
+        persona: null,
+        trashedAt: null,
+        trashedWith: null,
+        trashedChildLinks: []
       };
       
     } catch (error) {
@@ -87,9 +222,10 @@ export class ConversationManager {
   }
 
   /**
-   * Adds a message with validation and security checks
+   * Adds a message with validation and security checks.
+   * options.interrupted marks a partial assistant reply the user stopped.
    */
-  addMessage(content, sender = 'user', branchId = null) {
+  addMessage(content, sender = 'user', branchId = null, options = {}) {
     try {
       const sanitizedContent = validateMessage(content);
       
@@ -115,11 +251,19 @@ export class ConversationManager {
         timestamp: new Date(),
         branchPoint: sender === 'assistant',
         availableBranches: [],
-        starred: false
+        starred: false,
+        interrupted: Boolean(options.interrupted),
+        mergedFrom: null,
+        editedFrom: null,
+        variants: [],
+        activeVariant: 0,
+        mentions: sender === 'user' ? this.resolveMentions(sanitizedContent, branch.id) : []
       };
 
       branch.messages.push(message);
-      this._saveToStorage();
+      this._persist(conversation, remote => remote.addMessage(conversation.id, branch.id, message), {
+        branchIds: [branch.id]
+      });
       return message;
       
     } catch (error) {
@@ -129,9 +273,13 @@ export class ConversationManager {
   }
 
   /**
-   * Creates a branch from a specific message with validation
+   * Creates a branch from a specific message with validation.
+   * options.selectedText records the passage a selection branch started from;
+   * options.contextPolicy overrides config.branching.defaultContextPolicy.
+   * A 'summary' policy only takes effect once setBranchContextPolicy has
+   * fetched the summary.
    */
-  createBranchFromMessage(messageId, branchTitle) {
+  createBranchFromMessage(messageId, branchTitle, options = {}) {
     try {
       if (!validateId(messageId, 'message')) {
         throw new ValidationError('Invalid message ID format');
@@ -149,31 +297,24 @@ export class ConversationManager {
         throw new ValidationError('Current branch not found');
       }
 
-      const branchId = generateBranchId();
-      const newBranch = this._createBranch(
-        branchId, 
-        sanitizedTitle, 
-        this.currentBranch, 
-        messageId
-      );
-
-      // Copy context up to the branching point
       const messageIndex = currentBranch.messages.findIndex(msg => msg.id === messageId);
       if (messageIndex === -1) {
         throw new ValidationError('Message not found in current branch');
       }
-      
-      // Deep copy messages to avoid reference issues
-      newBranch.messages = currentBranch.messages
-        .slice(0, messageIndex + 1)
-        .map(msg => ({ ...msg, availableBranches: [...msg.availableBranches] }));
 
-      currentBranch.branches.set(branchId, newBranch);
-      conversation.branches.set(branchId, newBranch);
+      const newBranch = this._forkBranch(conversation, currentBranch, messageIndex + 1, sanitizedTitle);
+      newBranch.selectedText = options.selectedText ? validateMessage(options.selectedText) : null;
+
+      const policy = options.contextPolicy || config.branching.defaultContextPolicy;
+      if (isContextPolicy(policy) && policy !== CONTEXT_POLICIES.SUMMARY) {
+        newBranch.contextPolicy = policy;
+      }
 
       // Update breadcrumbs
-      this.switchToBranch(branchId);
-      this._saveToStorage();
+      this.switchToBranch(newBranch.id);
+      this._persist(conversation, remote => remote.saveBranch(conversation.id, newBranch), {
+        branchIds: [newBranch.id]
+      });
       
       return newBranch;
       
@@ -183,219 +324,1784 @@ export class ConversationManager {
     }
   }
 
-  switchToBranch(branchId) {
-    console.log('🔀 Switching to branch:', branchId);
-    
+  /**
+   * Creates a branch holding a copy of sourceBranch's first contextLength
+   * messages. The last copied message becomes the fork point; a fork before
+   * the first message has none. The new branch hangs off whichever branch
+   * in sourceBranch's lineage added the fork point, so forking at inherited
+   * history doesn't nest it under a branch it shares nothing with. Callers
+   * switch to and persist the branch.
+   */
+  _forkBranch(conversation, sourceBranch, contextLength, title) {
+    const branchId = generateBranchId();
+    const forkMessage = contextLength > 0 ? sourceBranch.messages[contextLength - 1] : null;
+    const parentBranch = (forkMessage
+      ? getMessageOwner(conversation, sourceBranch.id, forkMessage.id)
+      : getLineage(conversation, sourceBranch.id)[0]) || sourceBranch;
+    const newBranch = this._createBranch(
+      branchId,
+      title,
+      parentBranch.id,
+      forkMessage ? forkMessage.id : null
+    );
+
+    newBranch.messages = copyMessages(sourceBranch.messages.slice(0, contextLength));
+
+    conversation.branches.set(branchId, newBranch);
+    return newBranch;
+  }
+
+  /**
+   * Saves an edit to an earlier message as a new sibling branch. The branch
+   * forks just before the edited message and ends with the edited copy; the
+   * original path is left untouched. Returns { branch, message }.
+   */
+  editMessage(messageId, content, branchId = null) {
+    try {
+      if (!validateId(messageId, 'message')) {
+        throw new ValidationError('Invalid message ID format');
+      }
+
+      const sanitizedContent = validateMessage(content);
+      const conversation = this.getCurrentConversation();
+      if (!conversation) {
+        throw new ValidationError('No active conversation');
+      }
+
+      const sourceBranch = conversation.branches.get(branchId || this.currentBranch);
+      if (!sourceBranch) {
+        throw new ValidationError('Branch not found');
+      }
+
+      const messageIndex = sourceBranch.messages.findIndex(msg => msg.id === messageId);
+      if (messageIndex === -1) {
+        throw new ValidationError('Message not found in branch');
+      }
+
+      const original = sourceBranch.messages[messageIndex];
+      if (sanitizedContent === original.content) {
+        throw new ValidationError('Edited message is unchanged');
+      }
+
+      const title = excerptTitle(original.sender === 'user' ? 'Edit' : 'What if', sanitizedContent);
+
+      const newBranch = this._forkBranch(conversation, sourceBranch, messageIndex, title);
+      const message = {
+        id: generateMessageId(),
+        content: sanitizedContent,
+        sender: original.sender,
+        timestamp: new Date(),
+        branchPoint: original.sender === 'assistant',
+        availableBranches: [],
+        starred: false,
+        interrupted: false,
+        mergedFrom: null,
+        editedFrom: original.id,
+        variants: [],
+        activeVariant: 0,
+        mentions: original.sender === 'user' ? this.resolveMentions(sanitizedContent, newBranch.id) : []
+      };
+      newBranch.messages.push(message);
+
+      this.switchToBranch(newBranch.id);
+      this._persist(conversation, remote => remote.saveBranch(conversation.id, newBranch), {
+        branchIds: [newBranch.id]
+      });
+
+      return { branch: newBranch, message };
+
+    } catch (error) {
+      logError(error, { operation: 'editMessage', messageId, branchId });
+      throw error;
+    }
+  }
+
+  /**
+   * Changes how much inherited history a branch sends to Claude. Switching to
+   * 'summary' fetches a summary of the ancestors first if there isn't one.
+   */
+  async setBranchContextPolicy(branchId, policy) {
+    try {
+      if (!isContextPolicy(policy)) {
+        throw new ValidationError(`Unknown context policy: ${policy}`);
+      }
+
+      const conversation = this.getCurrentConversation();
+      const branch = conversation ? conversation.branches.get(branchId) : null;
+      if (!branch) {
+        throw new ValidationError('Branch not found');
+      }
+
+      if (policy === CONTEXT_POLICIES.SUMMARY && !branch.contextSummary) {
+        const forkIndex = getForkIndex(branch);
+        if (forkIndex === -1) {
+          throw new ValidationError('This branch has no inherited history to summarize');
+        }
+
+        const summary = await this._generateContextSummaryFromAPI({
+          messages: branch.messages.slice(0, forkIndex + 1),
+          selectedText: branch.selectedText
+        });
+        branch.contextSummary = validateMessage(summary);
+      }
+
+      branch.contextPolicy = policy;
+      this._persist(conversation, remote => remote.updateBranch(conversation.id, branchId, {
+        contextPolicy: branch.contextPolicy,
+        contextSummary: branch.contextSummary
+      }), { branchIds: [branchId] });
+
+      return branch;
+
+    } catch (error) {
+      logError(error, { operation: 'setBranchContextPolicy', branchId, policy });
+      throw error;
+    }
+  }
+
+  /**
+   * Asks the server to summarize a branch's inherited history
+   */
+  async _generateContextSummaryFromAPI({ messages, selectedText }) {
+    const controller = new AbortController();
+    const requestPromise = fetch(`${config.api.backendUrl}/summarize-context`, {
+      method: 'POST',
+      signal: controller.signal,
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({
+        messages: messages.map(msg => ({ sender: msg.sender, content: msg.content })),
+        selectedText: selectedText || ''
+      })
+    });
+
+    const response = await withTimeout(requestPromise, config.api.timeout, undefined, controller);
+    const data = await response.json();
+
+    if (!response.ok || !data.success || typeof data.summary !== 'string' || !data.summary.trim()) {
+      throw new ApiError(data.error || 'Failed to summarize branch context', response.status);
+    }
+
+    return data.summary;
+  }
+
+  /**
+   * Branches that can be @mentioned from the current branch
+   */
+  getMentionCandidates(branchId = null) {
+    return getMentionCandidates({
+      activeBranches: this.getAllActiveBranches(),
+      conversations: this.conversations,
+      currentConversationId: this.currentConversationId,
+      currentBranchId: branchId || this.currentBranch
+    });
+  }
+
+  /**
+   * Resolves the @mentions in a message to branch references
+   */
+  resolveMentions(text, branchId = null) {
+    if (!text.includes('@')) return [];
+    return parseMentions(text, this.getMentionCandidates(branchId));
+  }
+
+  /**
+   * Labelled content of every branch mentioned in a history, for /api/chat.
+   * Long branches are sent as a summary, cached until the branch changes.
+   */
+  async buildMentionReferences(history) {
+    const references = [];
+    const seen = new Set();
+
+    for (const message of history) {
+      for (const mention of message.mentions || []) {
+        const key = `${mention.conversationId}:${mention.branchId}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+
+        const conversation = this.conversations.get(mention.conversationId);
+        const branch = conversation ? conversation.branches.get(mention.branchId) : null;
+        if (!branch || branch.messages.length === 0) continue;
+
+        // Later mentions beyond the limit are dropped
+        if (references.length === MAX_MENTION_REFERENCES) return references;
+        references.push(await this._buildMentionReference(conversation, branch));
+      }
+    }
+
+    return references;
+  }
+
+  async _buildMentionReference(conversation, branch) {
+    const label = conversation.id === this.currentConversationId
+      ? branch.title
+      : `${conversation.title} › ${branch.title}`;
+    const transcript = formatBranchTranscript(branch);
+
+    if (transcript.length <= MENTION_TRANSCRIPT_MAX_LENGTH) {
+      return { label, content: transcript };
+    }
+
+    const lastMessage = branch.messages[branch.messages.length - 1];
+    const cacheKey = `${conversation.id}:${branch.id}:${lastMessage.id}`;
+    if (!this._mentionSummaries.has(cacheKey)) {
+      try {
+        const summary = await this._generateContextSummaryFromAPI({ messages: branch.messages });
+        this._mentionSummaries.set(cacheKey, summary);
+      } catch (error) {
+        // Fall back to the most recent part of the branch
+        logError(error, { operation: 'buildMentionReference', branchId: branch.id });
+        return { label: `${label} (latest messages)`, content: `…${transcript.slice(-MENTION_TRANSCRIPT_MAX_LENGTH)}` };
+      }
+    }
+
+    return { label: `${label} (summary)`, content: this._mentionSummaries.get(cacheKey) };
+  }
+
+  /**
+   * History to send to /api/chat for a branch under its context policy.
+   * messages defaults to the whole branch; pass a prefix when regenerating.
+   */
+  getBranchHistory(branchId = null, messages = null) {
     const conversation = this.getCurrentConversation();
-    if (!conversation || !conversation.branches.has(branchId)) {
-      console.log('❌ Cannot switch - branch not found:', branchId);
-      return false;
+    const branch = conversation ? conversation.branches.get(branchId || this.currentBranch) : null;
+    if (!branch) {
+      throw new ValidationError('Branch not found');
     }
+    return buildBranchHistory(branch, messages || branch.messages);
+  }
 
-    console.log('📍 Previous branch:', this.currentBranch);
-    this.currentBranch = branchId;
-    conversation.currentBranch = branchId;
-    console.log('📍 New current branch:', this.currentBranch);
+  /**
+   * Uses the context window the server reports for its chat model, unless
+   * REACT_APP_CONTEXT_WINDOW_TOKENS overrides it
+   */
+  setContextWindow(tokens) {
+    if (config.context.windowTokens || !Number.isInteger(tokens) || tokens <= 0) return false;
+    this.contextWindow = tokens;
+    return true;
+  }
 
-    // Update breadcrumbs
-    conversation.breadcrumbs = this.generateBreadcrumbs(branchId);
-    console.log('🍞 Updated breadcrumbs:', conversation.breadcrumbs);
-    
-    this._saveToStorage();
-    
+  /**
+   * How the current conversation trims history that outgrows the context window
+   */
+  getContextStrategy() {
+    const strategy = this.getCurrentConversation()?.contextStrategy || config.context.strategy;
+    return isContextStrategy(strategy) ? strategy : CONTEXT_STRATEGIES.DROP_OLDEST;
+  }
+
+  /**
+   * Sets the current conversation's context strategy (null = configured default)
+   */
+  setContextStrategy(strategy) {
+    const conversation = this.getCurrentConversation();
+    if (!conversation) return false;
+
+    if (strategy !== null && !isContextStrategy(strategy)) {
+      throw new ValidationError(`Unknown context strategy: ${strategy}`);
+    }
+
+    conversation.contextStrategy = strategy;
+    this._persist(conversation, remote => remote.updateConversation(conversation.id, { contextStrategy: strategy }));
     return true;
   }
 
-  generateBreadcrumbs(branchId) {
-    const conversation = this.getCurrentConversation();
-    if (!conversation) return [];
+  /**
+   * The system prompt in effect for a branch of the current conversation,
+   * with where it was set (see resolveSystemPrompt)
+   */
+  getSystemPrompt(branchId = null) {
+    const conversation = this.getCurrentConversation();
+    if (!conversation) {
+      throw new ValidationError('No active conversation');
+    }
+    return resolveSystemPrompt(conversation, branchId || this.currentBranch);
+  }
+
+  /**
+   * Sets the system prompt of a branch, inherited by the branches forked
+   * from it, or of the whole conversation. A null systemPrompt clears the
+   * level so it inherits again; persona names the preset it came from.
+   */
+  setSystemPrompt({ scope = SYSTEM_PROMPT_SCOPES.BRANCH, branchId = null, systemPrompt, persona = null }) {
+    const targetBranchId = branchId || this.currentBranch;
+    try {
+      const conversation = this.getCurrentConversation();
+      if (!conversation) {
+        throw new ValidationError('No active conversation');
+      }
+
+      if (persona !== null && !getPersona(persona)) {
+        throw new ValidationError(`Unknown persona: ${persona}`);
+      }
+
+      const prompt = systemPrompt === null ? null : validateSystemPrompt(systemPrompt);
+      const fields = { systemPrompt: prompt, persona: prompt === null ? null : persona };
+
+      if (scope === SYSTEM_PROMPT_SCOPES.CONVERSATION) {
+        Object.assign(conversation, fields);
+        this._persist(conversation, remote => remote.updateConversation(conversation.id, fields));
+        return fields;
+      }
+
+      const branch = scope === SYSTEM_PROMPT_SCOPES.BRANCH ? conversation.branches.get(targetBranchId) : null;
+      if (!branch) {
+        throw new ValidationError(scope === SYSTEM_PROMPT_SCOPES.BRANCH ? 'Branch not found' : `Unknown scope: ${scope}`);
+      }
+
+      Object.assign(branch, fields);
+      this._persist(conversation, remote => remote.updateBranch(conversation.id, targetBranchId, fields), { branchIds: [targetBranchId] });
+      return fields;
+
+    } catch (error) {
+      logError(error, { operation: 'setSystemPrompt', scope, branchId: targetBranchId });
+      throw error;
+    }
+  }
+
+  /**
+   * Estimated context-window use of a branch's next request. References are
+   * left out since resolving them may need a summary from the server.
+   */
+  getContextUsage(branchId = null, maxTokens = config.claude.maxTokens) {
+    const history = this.getBranchHistory(branchId);
+    const { systemPrompt } = this.getSystemPrompt(branchId);
+    const strategy = this.getContextStrategy();
+    const budget = getHistoryBudget({ contextWindow: this.contextWindow, maxTokens, systemPrompt });
+    const fitted = fitHistoryToBudget(history, budget, strategy);
+
+    return {
+      tokens: estimateRequestTokens(history, { systemPrompt, maxTokens }),
+      historyTokens: estimateHistoryTokens(history),
+      contextWindow: this.contextWindow,
+      omittedCount: fitted.omitted.length,
+      overBudget: fitted.overBudget,
+      strategy
+    };
+  }
+
+  /**
+   * Everything /api/chat needs for a branch's next reply: the history under
+   * its context policy, trimmed to the context window with the conversation's
+   * strategy, the @mentioned references and the inherited system prompt.
+   * messages is as for getBranchHistory.
+   * Returns { history, references, systemPrompt, usage }.
+   */
+  async prepareChatRequest(branchId = null, { messages = null, maxTokens = config.claude.maxTokens } = {}) {
+    const conversation = this.getCurrentConversation();
+    const targetBranchId = branchId || this.currentBranch;
+    const fullHistory = this.getBranchHistory(targetBranchId, messages);
+    const references = await this.buildMentionReferences(fullHistory);
+    const { systemPrompt } = resolveSystemPrompt(conversation, targetBranchId);
+    const strategy = this.getContextStrategy();
+    const budget = getHistoryBudget({ contextWindow: this.contextWindow, maxTokens, references, systemPrompt });
+
+    let fitted = fitHistoryToBudget(fullHistory, budget, strategy);
+    let history = fitted.messages;
+
+    if (strategy === CONTEXT_STRATEGIES.ROLLING_SUMMARY && fitted.omitted.length > 0) {
+      // Leave room for the summary that stands in for the dropped messages
+      fitted = fitHistoryToBudget(fullHistory, getRollingSummaryBudget(budget), strategy);
+      history = fitted.messages;
+      try {
+        const summary = await this._getRollingSummary(conversation.id, targetBranchId, fitted.omitted);
+        history = applyRollingSummary(history, summary, `${targetBranchId}_rolling_summary`);
+      } catch (error) {
+        // Fall back to sending the kept messages alone
+        logError(error, { operation: 'prepareChatRequest', branchId: targetBranchId });
+      }
+    }
+
+    return {
+      history,
+      references,
+      systemPrompt,
+      usage: {
+        tokens: estimateRequestTokens(history, { references, systemPrompt, maxTokens }),
+        contextWindow: this.contextWindow,
+        omittedCount: fitted.omitted.length,
+        overBudget: fitted.overBudget,
+        strategy
+      }
+    };
+  }
+
+  /**
+   * Summary of the messages dropped from a branch's requests. The summary
+   * rolls forward: once messages drop out, only they are summarized together
+   * with the previous summary.
+   */
+  async _getRollingSummary(conversationId, branchId, omitted) {
+    const key = `${conversationId}:${branchId}`;
+    const lastOmittedId = omitted[omitted.length - 1].id;
+    const cached = this._rollingSummaries.get(key);
+
+    if (cached && cached.throughMessageId === lastOmittedId) {
+      return cached.summary;
+    }
+
+    const cachedIndex = cached ? omitted.findIndex(message => message.id === cached.throughMessageId) : -1;
+    const messages = cachedIndex === -1
+      ? omitted
+      : [
+        { sender: 'user', content: `Summary of the earlier messages:\n\n${cached.summary}` },
+        ...omitted.slice(cachedIndex + 1)
+      ];
+
+    const summary = await this._generateContextSummaryFromAPI({ messages });
+    this._rollingSummaries.set(key, { throughMessageId: lastOmittedId, summary });
+    return summary;
+  }
+
+  /**
+   * Finds an assistant message in a branch of the current conversation
+   */
+  _getAssistantMessage(messageId, branchId) {
+    if (!validateId(messageId, 'message')) {
+      throw new ValidationError('Invalid message ID format');
+    }
+
+    const conversation = this.getCurrentConversation();
+    if (!conversation) {
+      throw new ValidationError('No active conversation');
+    }
+
+    const branch = conversation.branches.get(branchId || this.currentBranch);
+    if (!branch) {
+      throw new ValidationError('Branch not found');
+    }
+
+    const index = branch.messages.findIndex(msg => msg.id === messageId);
+    const message = branch.messages[index];
+    if (!message) {
+      throw new ValidationError('Message not found');
+    }
+    if (message.sender !== 'assistant') {
+      throw new ValidationError('Only assistant messages have variants');
+    }
+
+    return { conversation, branch, message, index };
+  }
+
+  /**
+   * Persists a message's variant list and the content it currently shows
+   */
+  _persistVariants(conversation, branch, message) {
+    this._persist(conversation, remote => remote.updateMessage(conversation.id, branch.id, message.id, {
+      content: message.content,
+      variants: message.variants,
+      activeVariant: message.activeVariant
+    }), { branchIds: [branch.id] });
+  }
+
+  /**
+   * Stores a regenerated reply as a new variant of an assistant message and
+   * makes it active. A message's content always mirrors its active variant,
+   * so history sent to /api/chat follows the selection.
+   */
+  addMessageVariant(messageId, content, branchId = null) {
+    try {
+      const sanitizedContent = validateMessage(content);
+      const { conversation, branch, message } = this._getAssistantMessage(messageId, branchId);
+
+      // The first regeneration turns the original reply into variant 0
+      if (!message.variants || message.variants.length === 0) {
+        message.variants = [{
+          content: message.content,
+          timestamp: message.timestamp,
+          interrupted: Boolean(message.interrupted)
+        }];
+      }
+
+      message.variants.push({ content: sanitizedContent, timestamp: new Date(), interrupted: false });
+      message.activeVariant = message.variants.length - 1;
+      message.content = sanitizedContent;
+      message.interrupted = false;
+
+      this._persistVariants(conversation, branch, message);
+      return message;
+
+    } catch (error) {
+      logError(error, { operation: 'addMessageVariant', messageId, branchId });
+      throw error;
+    }
+  }
+
+  /**
+   * Makes another stored variant the active content of a message
+   */
+  selectMessageVariant(messageId, variantIndex, branchId = null) {
+    try {
+      const { conversation, branch, message } = this._getAssistantMessage(messageId, branchId);
+      const variant = message.variants && message.variants[variantIndex];
+      if (!variant) {
+        throw new ValidationError('Variant not found');
+      }
+
+      message.activeVariant = variantIndex;
+      message.content = variant.content;
+      message.interrupted = Boolean(variant.interrupted);
+
+      this._persistVariants(conversation, branch, message);
+      return message;
+
+    } catch (error) {
+      logError(error, { operation: 'selectMessageVariant', messageId, variantIndex, branchId });
+      throw error;
+    }
+  }
+
+  /**
+   * Moves a variant into a sibling branch of its own, forked just before the
+   * message. The variant also stays selectable on the original message.
+   */
+  promoteMessageVariant(messageId, variantIndex, branchId = null) {
+    try {
+      const { conversation, branch, message, index } = this._getAssistantMessage(messageId, branchId);
+      const variant = message.variants && message.variants[variantIndex];
+      if (!variant) {
+        throw new ValidationError('Variant not found');
+      }
+
+      const title = excerptTitle(`Variant ${variantIndex + 1}`, variant.content);
+
+      const newBranch = this._forkBranch(conversation, branch, index, title);
+      newBranch.messages.push({
+        id: generateMessageId(),
+        content: variant.content,
+        sender: 'assistant',
+        timestamp: new Date(),
+        branchPoint: true,
+        availableBranches: [],
+        starred: false,
+        interrupted: Boolean(variant.interrupted),
+        mergedFrom: null,
+        editedFrom: null,
+        variants: [],
+        activeVariant: 0,
+        mentions: []
+      });
+
+      this.switchToBranch(newBranch.id);
+      this._persist(conversation, remote => remote.saveBranch(conversation.id, newBranch), {
+        branchIds: [newBranch.id]
+      });
+
+      return newBranch;
+
+    } catch (error) {
+      logError(error, { operation: 'promoteMessageVariant', messageId, variantIndex, branchId });
+      throw error;
+    }
+  }
+
+  /**
+   * Alternatives for each message of a branch, for "< 1/3 >" navigation.
+   * Returns a Map of messageId -> { index, total, variants: [{ messageId, branchId }] }
+   * holding only the messages that have siblings.
+   */
+  getMessageVariants(branchId = null) {
+    const conversation = this.getCurrentConversation();
+    const branch = conversation ? conversation.branches.get(branchId || this.currentBranch) : null;
+    return branch ? getMessageVariants(conversation, branch.id) : new Map();
+  }
+
+  switchToBranch(branchId) {
+    console.log('🔀 Switching to branch:', branchId);
+    
+    const conversation = this.getCurrentConversation();
+    if (!conversation || !conversation.branches.has(branchId)) {
+      console.log('❌ Cannot switch - branch not found:', branchId);
+      return false;
+    }
+
+    console.log('📍 Previous branch:', this.currentBranch);
+    this.currentBranch = branchId;
+    conversation.currentBranch = branchId;
+    console.log('📍 New current branch:', this.currentBranch);
+
+    // Update breadcrumbs
+    conversation.breadcrumbs = this.generateBreadcrumbs(branchId);
+    console.log('🍞 Updated breadcrumbs:', conversation.breadcrumbs);
+    
+    this._persist(conversation, remote => remote.updateConversation(conversation.id, {
+      currentBranch: branchId,
+      breadcrumbs: conversation.breadcrumbs
+    }));
+    
+    return true;
+  }
+
+  /**
+   * Path from the root to a branch as [{ id, title }]
+   */
+  generateBreadcrumbs(branchId) {
+    const conversation = this.getCurrentConversation();
+    if (!conversation) return [];
+
+    return getLineage(conversation, branchId).map(branch => ({ id: branch.id, title: branch.title }));
+  }
+
+  /**
+   * Branches at the same level as branchId, for the breadcrumb dropdowns
+   */
+  getSiblingBranches(branchId) {
+    const conversation = this.getCurrentConversation();
+    return conversation ? getSiblingBranches(conversation, branchId) : [];
+  }
+
+  closeBranch(branchId) {
+    const conversation = this.getCurrentConversation();
+    if (!conversation || branchId === 'main') return false;
+
+    const branch = conversation.branches.get(branchId);
+    if (!branch) return false;
+
+    branch.isActive = false;
+    
+    // If we're closing the current branch, switch to parent
+    if (this.currentBranch === branchId) {
+      this.switchToBranch(branch.parentBranchId || 'main');
+    }
+
+    this._persist(conversation, remote => remote.updateBranch(conversation.id, branchId, { isActive: false }), {
+      branchIds: [branchId]
+    });
+    return true;
+  }
+
+  /**
+   * Merges a branch back into its parent (or targetBranchId). The server
+   * writes a synthesis of the branch's own messages, which is appended to
+   * the target as a "merged from" message; the branch is marked merged.
+   */
+  async mergeBranch(branchId, targetBranchId = null) {
+    try {
+      const conversation = this.getCurrentConversation();
+      if (!conversation) {
+        throw new ValidationError('No active conversation');
+      }
+
+      const branch = conversation.branches.get(branchId);
+      if (!branch || branchId === 'main') {
+        throw new ValidationError('Only side branches can be merged');
+      }
+      if (branch.mergedInto) {
+        throw new ValidationError('Branch has already been merged');
+      }
+
+      const targetId = targetBranchId || branch.parentBranchId || 'main';
+      const target = conversation.branches.get(targetId);
+      if (!target || targetId === branchId) {
+        throw new ValidationError('Merge target not found');
+      }
+
+      const ownMessages = getOwnMessages(branch);
+      if (ownMessages.length === 0) {
+        throw new ValidationError('Branch has no messages of its own to merge');
+      }
+
+      const summary = await this._generateMergeSummaryFromAPI({
+        branchTitle: branch.title,
+        parentTitle: target.title,
+        messages: ownMessages.map(({ id, sender, content }) => ({ id, sender, content })),
+        model: conversation.model
+      });
+
+      // The tree may have changed while the synthesis was being written
+      if (!this.conversations.has(conversation.id) || !conversation.branches.has(branchId) || !conversation.branches.has(targetId)) {
+        throw new ValidationError('Branch was removed while merging');
+      }
+
+      const message = {
+        id: generateMessageId(),
+        content: validateMessage(summary),
+        sender: 'assistant',
+        timestamp: new Date(),
+        branchPoint: true,
+        availableBranches: [],
+        starred: false,
+        interrupted: false,
+        mergedFrom: { branchId, branchTitle: branch.title },
+        editedFrom: null,
+        variants: [],
+        activeVariant: 0,
+        mentions: []
+      };
+
+      target.messages.push(message);
+      branch.mergedInto = { branchId: targetId, messageId: message.id, mergedAt: new Date().toISOString() };
+
+      this._persist(conversation, async remote => {
+        await remote.addMessage(conversation.id, targetId, message);
+        await remote.updateBranch(conversation.id, branchId, { mergedInto: branch.mergedInto });
+      }, { branchIds: [targetId, branchId] });
+
+      return message;
+
+    } catch (error) {
+      logError(error, { operation: 'mergeBranch', branchId, targetBranchId });
+      throw error;
+    }
+  }
+
+  /**
+   * Asks the server for a synthesis of a branch
+   */
+  async _generateMergeSummaryFromAPI({ branchTitle, parentTitle, messages, model }) {
+    const controller = new AbortController();
+    const requestPromise = fetch(`${config.api.backendUrl}/merge-branch`, {
+      method: 'POST',
+      signal: controller.signal,
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ branchTitle, parentTitle, messages, ...(model ? { model } : {}) })
+    });
+
+    const response = await withTimeout(requestPromise, config.api.timeout, undefined, controller);
+    const data = await response.json();
+
+    if (!response.ok || !data.success || typeof data.summary !== 'string' || !data.summary.trim()) {
+      throw new ApiError(data.error || 'Failed to merge branch', response.status);
+    }
+
+    return data.summary;
+  }
+
+  /**
+   * Moves a branch of the current conversation to the trash.
+   * With options.cascade its descendants go with it, as one trash entry
+   * (each is marked trashedWith the branch). Otherwise its child branches
+   * keep their messages and move up to its parent; the old links are kept
+   * on the trashed branch so restoring puts them back.
+   */
+  trashBranch(branchId, { cascade = false } = {}) {
+    const conversation = this.getCurrentConversation();
+    if (!conversation || branchId === 'main') return false;
+
+    const branch = conversation.branches.get(branchId);
+    if (!branch) return false;
+
+    const parent = branch.parentBranchId ? conversation.branches.get(branch.parentBranchId) : null;
+    const descendants = cascade ? getDescendantBranches(conversation, branchId) : [];
+    const children = cascade ? [] : getChildBranches(conversation, branchId);
+    branch.trashedChildLinks = children.map(child => ({ id: child.id, parentMessageId: child.parentMessageId }));
+    children.forEach(child => reattachBranch(child, parent));
+
+    const trashedAt = new Date();
+    [branch, ...descendants].forEach(trashed => {
+      trashed.trashedAt = trashedAt;
+      trashed.trashedWith = trashed === branch ? null : branchId;
+      conversation.branches.delete(trashed.id);
+      conversation.trashedBranches.set(trashed.id, trashed);
+    });
+    this._invalidateCondensedLog(conversation);
+
+    if (!conversation.branches.has(this.currentBranch)) {
+      this.switchToBranch(parent ? parent.id : 'main');
+    }
+
+    this._persist(conversation, remote => Promise.all([
+      remote.updateBranch(conversation.id, branchId, {
+        trashedAt,
+        trashedChildLinks: branch.trashedChildLinks
+      }),
+      ...descendants.map(descendant => remote.updateBranch(conversation.id, descendant.id, {
+        trashedAt,
+        trashedWith: branchId
+      })),
+      ...children.map(child => remote.updateBranch(conversation.id, child.id, {
+        parentBranchId: child.parentBranchId,
+        parentMessageId: child.parentMessageId
+      })),
+      remote.updateConversation(conversation.id, { lastSummarizedMessageId: null })
+    ]), { branchIds: [branchId, ...descendants.map(descendant => descendant.id), ...children.map(child => child.id)] });
+    return true;
+  }
+
+  /**
+   * Brings a trashed branch back under its old parent, or under the nearest
+   * ancestor that still exists. Descendants trashed with it come back too;
+   * children it had when trashed move back under it unless they have been
+   * moved elsewhere since.
+   */
+  restoreBranch(conversationId, branchId) {
+    try {
+      const conversation = this.conversations.get(conversationId);
+      const branch = conversation ? conversation.trashedBranches.get(branchId) : null;
+      if (!branch) {
+        throw new ValidationError('Branch is not in the trash');
+      }
+
+      // Where its children were moved when it was trashed
+      const formerParentId = branch.parentBranchId;
+      const parent = this._findLiveAncestor(conversation, formerParentId) || conversation.branches.get('main');
+      conversation.trashedBranches.delete(branchId);
+      conversation.branches.set(branchId, branch);
+      if (parent.id !== formerParentId) {
+        reattachBranch(branch, parent);
+      }
+
+      const children = branch.trashedChildLinks
+        .map(link => ({ link, child: conversation.branches.get(link.id) }))
+        .filter(({ child }) => child && child.parentBranchId === formerParentId);
+      children.forEach(({ link, child }) => {
+        child.parentBranchId = branchId;
+        child.parentMessageId = link.parentMessageId;
+      });
+
+      const group = this._getTrashGroup(conversation, branchId);
+      group.forEach(descendant => {
+        descendant.trashedAt = null;
+        descendant.trashedWith = null;
+        conversation.trashedBranches.delete(descendant.id);
+        conversation.branches.set(descendant.id, descendant);
+      });
+
+      branch.trashedAt = null;
+      branch.trashedChildLinks = [];
+      this._invalidateCondensedLog(conversation);
+      if (conversationId === this.currentConversationId) {
+        conversation.breadcrumbs = this.generateBreadcrumbs(this.currentBranch);
+      }
+
+      this._persist(conversation, remote => Promise.all([
+        remote.updateBranch(conversationId, branchId, {
+          parentBranchId: branch.parentBranchId,
+          parentMessageId: branch.parentMessageId,
+          trashedAt: null,
+          trashedChildLinks: []
+        }),
+        ...group.map(descendant => remote.updateBranch(conversationId, descendant.id, {
+          trashedAt: null,
+          trashedWith: null
+        })),
+        ...children.map(({ child }) => remote.updateBranch(conversationId, child.id, {
+          parentBranchId: child.parentBranchId,
+          parentMessageId: child.parentMessageId
+        })),
+        remote.updateConversation(conversationId, {
+          breadcrumbs: conversation.breadcrumbs,
+          lastSummarizedMessageId: null
+        })
+      ]), { branchIds: [branchId, ...group.map(descendant => descendant.id), ...children.map(({ child }) => child.id)] });
+
+      return branch;
+
+    } catch (error) {
+      logError(error, { operation: 'restoreBranch', conversationId, branchId });
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently deletes a trashed branch and any descendants trashed with it
+   */
+  purgeBranch(conversationId, branchId) {
+    const conversation = this._findConversation(conversationId);
+    if (!conversation || !conversation.trashedBranches.has(branchId)) return false;
+
+    const branchIds = [branchId, ...this._getTrashGroup(conversation, branchId).map(descendant => descendant.id)];
+    branchIds.forEach(id => conversation.trashedBranches.delete(id));
+
+    this._queueStorageOperation(async storage => {
+      for (const id of branchIds) {
+        await storage.deleteBranch(conversationId, id);
+      }
+    });
+    this._persist(conversation, remote => Promise.all(branchIds.map(id => remote.deleteBranch(conversationId, id))));
+    return true;
+  }
+
+  /**
+   * Descendants that were trashed along with a branch
+   */
+  _getTrashGroup(conversation, branchId) {
+    return Array.from(conversation.trashedBranches.values()).filter(branch => branch.trashedWith === branchId);
+  }
+
+  /**
+   * Nearest live branch at or above branchId, following parent links
+   * through trashed branches
+   */
+  _findLiveAncestor(conversation, branchId) {
+    const visited = new Set();
+    let id = branchId;
+
+    while (id && !visited.has(id)) {
+      visited.add(id);
+      if (conversation.branches.has(id)) return conversation.branches.get(id);
+      const trashed = conversation.trashedBranches.get(id);
+      id = trashed ? trashed.parentBranchId : null;
+    }
+
+    return null;
+  }
+
+  /**
+   * Makes the next condensed-log request rebuild the log, so it never lists
+   * messages from trashed branches
+   */
+  _invalidateCondensedLog(conversation) {
+    conversation.lastSummarizedMessageId = null;
+  }
+
+  /**
+   * Moves a branch, with the branches below it, under another branch of the
+   * current conversation. The branch keeps its own messages but now
+   * continues from the end of the new parent: its inherited history is
+   * rebuilt from the new parent's messages, and so is every descendant's.
+   */
+  reparentBranch(branchId, newParentId) {
+    try {
+      const conversation = this.getCurrentConversation();
+      if (!conversation) {
+        throw new ValidationError('No active conversation');
+      }
+
+      const branch = conversation.branches.get(branchId);
+      const parent = conversation.branches.get(newParentId);
+      if (!branch || !parent) {
+        throw new ValidationError('Branch not found');
+      }
+      if (branchId === 'main') {
+        throw new ValidationError('The main branch cannot be moved');
+      }
+      if (getLineage(conversation, newParentId).some(ancestor => ancestor.id === branchId)) {
+        throw new ValidationError('A branch cannot be moved under itself or its own descendants');
+      }
+      if (branch.parentBranchId === newParentId) {
+        return branch;
+      }
+
+      // Own messages are worked out against the old fork points, before anything moves
+      const subtree = [branch, ...getDescendantBranches(conversation, branchId)];
+      const ownMessages = new Map(subtree.map(member => [member.id, getOwnMessages(member)]));
+
+      const forkMessage = parent.messages[parent.messages.length - 1] || null;
+      branch.parentBranchId = parent.id;
+      branch.parentMessageId = forkMessage ? forkMessage.id : null;
+
+      // Parents come before their children in subtree, so each prefix is rebuilt from fresh messages
+      subtree.forEach(member => {
+        const source = conversation.branches.get(member.parentBranchId);
+        const forkIndex = getForkIndex(member, source.messages);
+        // An older fork at history the moved branch no longer has keeps its copy
+        if (forkIndex === -1 && member.parentMessageId) return;
+        const inherited = source.messages.slice(0, forkIndex + 1);
+        member.messages = [...copyMessages(inherited), ...ownMessages.get(member.id)];
+      });
+      conversation.breadcrumbs = this.generateBreadcrumbs(this.currentBranch);
+
+      this._persist(conversation, remote => Promise.all([
+        ...subtree.map(member => remote.saveBranch(conversation.id, member)),
+        remote.updateConversation(conversation.id, { breadcrumbs: conversation.breadcrumbs })
+      ]), { branchIds: subtree.map(member => member.id) });
+
+      return branch;
+
+    } catch (error) {
+      logError(error, { operation: 'reparentBranch', branchId, newParentId });
+      throw error;
+    }
+  }
+
+  /**
+   * Replaces a branch's message list, e.g. after trimming its inherited context
+   */
+  setBranchMessages(branchId, messages) {
+    const conversation = this.getCurrentConversation();
+    const branch = conversation ? conversation.branches.get(branchId) : null;
+    if (!branch || !Array.isArray(messages)) return false;
+
+    branch.messages = messages;
+    this._persist(conversation, remote => remote.saveBranch(conversation.id, branch), {
+      branchIds: [branchId]
+    });
+    return true;
+  }
+
+  /**
+   * Renames a conversation (not necessarily the current one)
+   */
+  renameConversation(conversationId, title) {
+    const conversation = this.conversations.get(conversationId);
+    if (!conversation) return false;
+
+    conversation.title = validateBranchTitle(title);
+    this._persist(conversation, remote => remote.updateConversation(conversationId, { title: conversation.title }));
+    return true;
+  }
+
+  /**
+   * Replaces a conversation's tags. Tags are normalized by validateTag and
+   * duplicates dropped.
+   */
+  setConversationTags(conversationId, tags) {
+    const conversation = this.conversations.get(conversationId);
+    if (!conversation) return false;
+
+    conversation.tags = [...new Set(tags.map(validateTag))];
+    this._persist(conversation, remote => remote.updateConversation(conversationId, { tags: conversation.tags }));
+    return true;
+  }
+
+  /**
+   * Pins a conversation to the top of the list, or unpins it
+   */
+  setConversationPinned(conversationId, pinned) {
+    const conversation = this.conversations.get(conversationId);
+    if (!conversation) return false;
+
+    conversation.pinned = Boolean(pinned);
+    this._persist(conversation, remote => remote.updateConversation(conversationId, { pinned: conversation.pinned }));
+    return true;
+  }
+
+  /**
+   * Files a conversation under a folder path such as "Work/Clients";
+   * an empty path moves it back to the top level
+   */
+  moveConversationToFolder(conversationId, folder) {
+    const conversation = this.conversations.get(conversationId);
+    if (!conversation) return false;
+
+    conversation.folder = validateFolderPath(folder);
+    this._persist(conversation, remote => remote.updateConversation(conversationId, { folder: conversation.folder }));
+    return true;
+  }
+
+  /**
+   * Renames the last segment of a folder path. Subfolders move with it, and
+   * trashed conversations are refiled too so they restore into the new name.
+   */
+  renameFolder(path, name) {
+    const folder = validateFolderPath(path);
+    if (!folder) {
+      throw new ValidationError('Folder not found', 'folder');
+    }
+    if (typeof name !== 'string' || name.includes('/')) {
+      throw new ValidationError('Folder names cannot contain "/"', 'folder');
+    }
+
+    const slash = folder.lastIndexOf('/');
+    const renamed = validateFolderPath(`${slash === -1 ? '' : folder.slice(0, slash)}/${name}`);
+    if (!renamed || renamed.split('/').length !== folder.split('/').length) {
+      throw new ValidationError('Folder name cannot be empty', 'folder');
+    }
+
+    this._refileFolder(folder, renamed);
+    this._saveToStorage();
+    return renamed;
+  }
+
+  /**
+   * Removes a folder level: its conversations and subfolders move up into
+   * its parent
+   */
+  deleteFolder(path) {
+    const folder = validateFolderPath(path);
+    if (!folder) {
+      throw new ValidationError('Folder not found', 'folder');
+    }
+
+    // Its parent shouldn't inherit the collapsed state
+    this.collapsedFolders.delete(folder);
+    const slash = folder.lastIndexOf('/');
+    this._refileFolder(folder, slash === -1 ? null : folder.slice(0, slash));
+    this._saveToStorage();
+  }
+
+  /**
+   * Moves everything under folder (itself included) to the same place
+   * under target, which may be null for the top level. Collapsed folders
+   * stay collapsed at their new path.
+   */
+  _refileFolder(folder, target) {
+    const refile = (path) => {
+      if (!path || (path !== folder && !path.startsWith(`${folder}/`))) return path;
+      return [target, path.slice(folder.length + 1)].filter(Boolean).join('/') || null;
+    };
+
+    [...this.conversations.values(), ...this.trashedConversations.values()].forEach(conversation => {
+      const refiled = refile(conversation.folder);
+      if (refiled === conversation.folder) return;
+
+      conversation.folder = refiled;
+      this._persist(conversation, remote => remote.updateConversation(conversation.id, { folder: conversation.folder }));
+    });
+
+    this.collapsedFolders = new Set([...this.collapsedFolders].map(refile).filter(Boolean));
+  }
+
+  /**
+   * Every tag on a live conversation with how many use it, most used first
+   */
+  getAllTags() {
+    const counts = new Map();
+    this.conversations.forEach(conversation => {
+      (conversation.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+
+    return [...counts]
+      .map(([tag, count]) => ({ tag, count }))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+  }
+
+  /**
+   * Every folder path in use by a live conversation, parents included,
+   * in alphabetical order
+   */
+  getFolderPaths() {
+    const paths = new Set();
+    this.conversations.forEach(conversation => {
+      getFolderAncestry(conversation.folder).forEach(path => paths.add(path));
+    });
+    return [...paths].sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * Sets how the conversation list is sorted (see CONVERSATION_SORTS)
+   */
+  setListSort(sort) {
+    if (!isConversationSort(sort)) {
+      throw new ValidationError('Unknown sort order', 'sort');
+    }
+    this.listSort = sort;
+    this._saveToStorage();
+  }
+
+  /**
+   * Collapses or expands a folder in the conversation list
+   */
+  setFolderCollapsed(path, collapsed) {
+    if (collapsed) {
+      this.collapsedFolders.add(path);
+    } else {
+      this.collapsedFolders.delete(path);
+    }
+    this._saveToStorage();
+  }
+
+  /**
+   * Adds conversations produced by parseImportFile and saves them
+   */
+  importConversations(conversations) {
+    conversations.forEach(conversation => {
+      if (this._findConversation(conversation.id)) {
+        throw new ValidationError(`Conversation ${conversation.id} already exists`);
+      }
+    });
+
+    conversations.forEach(conversation => {
+      this.conversations.set(conversation.id, conversation);
+      this._persist(conversation, remote => remote.saveConversation(serializeConversation(conversation)), {
+        branchIds: Array.from(conversation.branches.keys())
+      });
+    });
+
+    return conversations;
+  }
+
+  /**
+   * Pins the current conversation to a model (null = server default)
+   */
+  setConversationModel(model) {
+    const conversation = this.getCurrentConversation();
+    if (!conversation) return false;
+
+    if (model !== null && (typeof model !== 'string' || !model.trim())) {
+      throw new ValidationError('Invalid model name');
+    }
+
+    conversation.model = model;
+    this._persist(conversation, remote => remote.updateConversation(conversation.id, { model }));
+    return true;
+  }
+
+  getCurrentConversation() {
+    return this.currentConversationId ? this.conversations.get(this.currentConversationId) : null;
+  }
+
+  getCurrentBranch() {
+    const conversation = this.getCurrentConversation();
+    return conversation ? conversation.branches.get(this.currentBranch) : null;
+  }
+
+  getAllActiveBranches() {
+    const conversation = this.getCurrentConversation();
+    if (!conversation) return [];
+
+    return Array.from(conversation.branches.values()).filter(branch => branch.isActive);
+  }
+
+  getConversationTree() {
+    const conversation = this.getCurrentConversation();
+    if (!conversation) return null;
+
+    // Closed branches are left out along with their descendants
+    const visited = new Set();
+    const buildTree = (branch) => {
+      if (!branch.isActive || visited.has(branch.id)) return null;
+      visited.add(branch.id);
+
+      return {
+        id: branch.id,
+        title: branch.title,
+        isActive: this.currentBranch === branch.id,
+        children: getChildBranches(conversation, branch.id).map(buildTree).filter(Boolean)
+      };
+    };
+
+    const main = conversation.branches.get('main');
+    return main ? buildTree(main) : null;
+  }
+
+  /**
+   * Queues the changed parts of a conversation for the local store. Changes
+   * made in the same tick are coalesced into one write per record.
+   */
+  _saveToStorage(conversation = null, branchIds = []) {
+    if (conversation) {
+      const pending = this._pendingWrites.get(conversation.id) || new Set();
+      branchIds.forEach(branchId => pending.add(branchId));
+      this._pendingWrites.set(conversation.id, pending);
+    }
+
+    if (!this._flushScheduled) {
+      this._flushScheduled = true;
+      this._queueStorageOperation(() => {
+        this._flushScheduled = false;
+        return this._flushWrites();
+      });
+    }
+
+    return this._writeQueue;
+  }
+
+  /**
+   * Writes every pending conversation record, its changed branches and the
+   * current selection
+   */
+  async _flushWrites() {
+    const pending = this._pendingWrites;
+    this._pendingWrites = new Map();
+
+    for (const [conversationId, branchIds] of pending) {
+      const conversation = this._findConversation(conversationId);
+      if (!conversation) continue;
+
+      await this.storage.saveConversation(serializeConversationMeta(conversation));
+      for (const branchId of branchIds) {
+        const branch = conversation.branches.get(branchId) || conversation.trashedBranches.get(branchId);
+        if (branch) {
+          await this.storage.saveBranch(conversationId, serializeBranch(branch));
+        }
+      }
+    }
+
+    await this.storage.saveState({
+      currentConversationId: this.currentConversationId,
+      currentBranch: this.currentBranch,
+      listSort: this.listSort,
+      collapsedFolders: [...this.collapsedFolders]
+    });
+  }
+
+  /**
+   * Runs a storage call after all earlier ones so writes land in order
+   */
+  _queueStorageOperation(operation) {
+    this._writeQueue = this._writeQueue
+      .then(() => operation(this.storage))
+      .then(() => {
+        this.storageError = null;
+        return true;
+      })
+      .catch(error => {
+        logError(error, { operation: '_queueStorageOperation', storage: this.storage.name });
+        this.storageError = error.name === 'QuotaExceededError'
+          ? 'Local storage is full - older conversations could not be saved'
+          : error.message;
+        return false;
+      });
+
+    return this._writeQueue;
+  }
+
+  /**
+   * Rewrites a conversation from scratch so branches deleted elsewhere
+   * don't linger in the local store
+   */
+  _replaceInStorage(conversation) {
+    this._pendingWrites.delete(conversation.id);
+    return this._queueStorageOperation(async storage => {
+      await storage.deleteConversation(conversation.id);
+      await storage.saveConversation(serializeConversationMeta(conversation));
+      for (const branch of [...conversation.branches.values(), ...conversation.trashedBranches.values()]) {
+        await storage.saveBranch(conversation.id, serializeBranch(branch));
+      }
+    });
+  }
+
+  /**
+   * Resolves once every queued local write has finished
+   */
+  flushStorage() {
+    return this._writeQueue;
+  }
+
+  /**
+   * Loads conversations from the storage adapter, migrating a legacy
+   * claudeBranchingData blob on first run
+   */
+  async loadFromStorage() {
+    try {
+      if (!(await this.storage.isAvailable())) {
+        logError(new Error(`${this.storage.name} storage unavailable, using localStorage`), { operation: 'loadFromStorage' });
+        this.storage = new LocalStorageAdapter();
+      }
+
+      let legacyError = null;
+      try {
+        await migrateLegacyData(this.storage);
+      } catch (error) {
+        // The legacy blob stays put; say why nothing was loaded from it
+        legacyError = error.message;
+      }
 
-    const branch = conversation.branches.get(branchId);
-    if (!branch) return [];
+      const { conversations, state } = await this.storage.loadAll();
+      this.migrationErrors = [];
+      this.integrityReports = [];
+      this.storageError = legacyError;
+
+      this.conversations = new Map();
+      this.trashedConversations = new Map();
+      this.searchIndex = new SearchIndex();
+      for (const data of conversations) {
+        const conversation = await this._upgradeStoredConversation(data);
+        if (conversation) {
+          this._setConversation(conversation);
+        }
+      }
+      this.purgeExpiredTrash();
 
-    const breadcrumbs = [branch.title];
-    
-    let currentBranch = branch;
-    while (currentBranch.parentBranchId) {
-      const parentBranch = conversation.branches.get(currentBranch.parentBranchId);
-      if (!parentBranch) break;
-      breadcrumbs.unshift(parentBranch.title);
-      currentBranch = parentBranch;
-    }
+      if (this.migrationErrors.length > 0) {
+        this.storageError = `${this.migrationErrors.length} saved conversation(s) could not be upgraded and were not loaded. ` +
+          'Their original data is untouched.';
+      }
 
-    return breadcrumbs;
-  }
+      if (state && isConversationSort(state.listSort)) {
+        this.listSort = state.listSort;
+      }
+      this.collapsedFolders = new Set(state && Array.isArray(state.collapsedFolders) ? state.collapsedFolders : []);
 
-  closeBranch(branchId) {
-    const conversation = this.getCurrentConversation();
-    if (!conversation || branchId === 'main') return false;
+      if (this.conversations.size === 0) return false;
 
-    const branch = conversation.branches.get(branchId);
-    if (!branch) return false;
+      const conversationId = state && this.conversations.has(state.currentConversationId)
+        ? state.currentConversationId
+        : this.conversations.keys().next().value;
 
-    branch.isActive = false;
-    
-    // If we're closing the current branch, switch to parent
-    if (this.currentBranch === branchId) {
-      this.switchToBranch(branch.parentBranchId || 'main');
-    }
+      this.currentConversationId = conversationId;
+      this.currentBranch = (state && conversationId === state.currentConversationId && state.currentBranch) ||
+        this.conversations.get(conversationId).currentBranch || 'main';
 
-    this._saveToStorage();
-    return true;
+      if (!this.getCurrentBranch()) {
+        this.currentBranch = 'main';
+      }
+
+      return true;
+
+    } catch (error) {
+      logError(error, { operation: 'loadFromStorage', storage: this.storage.name });
+      this.storageError = error.message;
+      return false;
+    }
   }
 
-  getCurrentConversation() {
-    return this.currentConversationId ? this.conversations.get(this.currentConversationId) : null;
+  /**
+   * Runs schema migrations and the tree integrity check on a stored
+   * conversation. The original is backed up first and the upgraded or
+   * repaired copy written back; a conversation that fails to migrate is
+   * left untouched in storage and reported in migrationErrors.
+   */
+  async _upgradeStoredConversation(data) {
+    try {
+      const migrating = needsMigration(data);
+      if (migrating) {
+        await this.storage.saveBackup(`${data.id}@schema${getSchemaVersion(data)}`, data);
+      }
+
+      const { data: repaired, issues } = this._repairTree(migrateConversation(data));
+      if (issues.length > 0) {
+        await this.storage.saveBackup(`${data.id}@repair${Date.now()}`, data);
+      }
+
+      const conversation = this._deserializeMigrated(repaired);
+      if (migrating || issues.length > 0) {
+        this._replaceInStorage(conversation);
+      }
+      this._reportIntegrity(conversation, issues);
+      return conversation;
+
+    } catch (error) {
+      logError(error, { operation: '_upgradeStoredConversation', conversationId: data && data.id });
+      this.migrationErrors.push({
+        conversationId: data && data.id,
+        title: data && data.title,
+        fromVersion: data ? getSchemaVersion(data) : null,
+        error: error.message
+      });
+      return null;
+    }
   }
 
-  getCurrentBranch() {
-    const conversation = this.getCurrentConversation();
-    return conversation ? conversation.branches.get(this.currentBranch) : null;
+  /**
+   * Runs the tree integrity check on a migrated conversation. A repaired
+   * copy counts as changed now, so it is synced back to the server.
+   */
+  _repairTree(data) {
+    const { conversation, issues } = checkConversationIntegrity(data);
+    return {
+      data: issues.length > 0 ? { ...conversation, updatedAt: new Date().toISOString() } : conversation,
+      issues
+    };
   }
 
-  getAllActiveBranches() {
-    const conversation = this.getCurrentConversation();
-    if (!conversation) return [];
+  _reportIntegrity(conversation, issues) {
+    if (issues.length === 0) return;
 
-    return Array.from(conversation.branches.values()).filter(branch => branch.isActive);
+    this.integrityReports = this.integrityReports
+      .filter(report => report.conversationId !== conversation.id)
+      .concat({ conversationId: conversation.id, title: conversation.title, issues });
   }
 
-  getConversationTree() {
-    const conversation = this.getCurrentConversation();
-    if (!conversation) return null;
+  /**
+   * Rebuilds a migrated conversation and checks its structure
+   */
+  _deserializeMigrated(data) {
+    const conversation = deserializeConversation(data);
+    validateConversationData(conversation);
 
-    const buildTree = (branchId) => {
-      const branch = conversation.branches.get(branchId);
-      if (!branch || !branch.isActive) return null;
+    if (!conversation.branches.has('main')) {
+      throw new ValidationError('Conversation has no main branch', 'conversation.branches');
+    }
 
-      return {
-        id: branch.id,
-        title: branch.title,
-        isActive: this.currentBranch === branchId,
-        children: Array.from(branch.branches.keys()).map(buildTree).filter(Boolean)
-      };
-    };
+    return conversation;
+  }
+
+  /**
+   * Records a change to a conversation: bumps updatedAt, saves the
+   * conversation record plus the listed branches locally, re-indexes those
+   * branches for search and queues the matching remote update
+   */
+  _persist(conversation, remoteOperation = null, { branchIds = [] } = {}) {
+    conversation.updatedAt = new Date();
+    this._saveToStorage(conversation, branchIds);
+    this._updateSearchIndex(conversation, branchIds);
 
-    return buildTree('main');
+    if (remoteOperation) {
+      this._syncRemote(conversation.id, remoteOperation);
+    }
   }
 
   /**
-   * Saves conversation data to localStorage with error handling
+   * Queues a remote write so changes reach the server in order. After a
+   * failure the next write for that conversation uploads the whole tree,
+   * which also covers anything the server missed while unreachable.
    */
-  _saveToStorage() {
-    return safeAsync(async () => {
-      const data = {
-        conversations: Array.from(this.conversations.entries()),
-        currentConversationId: this.currentConversationId,
-        currentBranch: this.currentBranch,
-        version: '1.0', // For future migration support
-        timestamp: new Date().toISOString()
+  _syncRemote(conversationId, operation) {
+    if (!this.remote) {
+      return this._remoteQueue;
+    }
+
+    const run = async () => {
+      const pushFullTree = async () => {
+        const conversation = this._findConversation(conversationId);
+        if (conversation) {
+          await this.remote.saveConversation(serializeConversation(conversation));
+        }
       };
-      
-      const serialized = JSON.stringify(data, (_, value) => {
-        if (value instanceof Map) {
-          return Array.from(value.entries());
+
+      try {
+        if (this._unsyncedConversations.has(conversationId)) {
+          await pushFullTree();
+        } else {
+          await operation(this.remote);
         }
-        return value;
-      });
-      
-      localStorage.setItem('claudeBranchingData', serialized);
+      } catch (error) {
+        // The server doesn't have this conversation or branch yet
+        if (error.statusCode !== HTTP_STATUS.NOT_FOUND) {
+          throw error;
+        }
+        await pushFullTree();
+      }
+
+      this._unsyncedConversations.delete(conversationId);
+      this.remoteSyncError = null;
       return true;
-      
-    }, false);
+    };
+
+    this._remoteQueue = this._remoteQueue.then(run).catch(error => {
+      logError(error, { operation: '_syncRemote', conversationId });
+      this._unsyncedConversations.add(conversationId);
+      this.remoteSyncError = error.message;
+      return false;
+    });
+
+    return this._remoteQueue;
   }
 
   /**
-   * Loads conversation data from localStorage with validation
+   * Reconciles local data with the server store: the newer copy of each
+   * conversation wins and conversations the server lacks are uploaded
    */
-  loadFromStorage() {
-    return safeAsync(() => {
-      const data = localStorage.getItem('claudeBranchingData');
-      if (!data) return false;
+  async syncWithRemote() {
+    if (!this.remote) return false;
 
-      const parsed = JSON.parse(data, (key, value) => {
-        if (key === 'conversations' || key === 'branches') {
-          return new Map(value);
+    try {
+      const remoteConversations = await this.remote.listConversations();
+      const remoteIds = new Set();
+
+      for (const data of remoteConversations) {
+        remoteIds.add(data.id);
+        // Never replace a local copy that is waiting on a failed migration
+        if (this.migrationErrors.some(failure => failure.conversationId === data.id)) continue;
+
+        const local = this._findConversation(data.id);
+        const localTime = local ? new Date(local.updatedAt || local.createdAt).getTime() : 0;
+        const remoteTime = new Date(data.updatedAt || data.createdAt).getTime();
+
+        if (!local || remoteTime > localTime) {
+          let conversation;
+          let issues;
+          try {
+            const repaired = this._repairTree(migrateConversation(data));
+            issues = repaired.issues;
+            conversation = this._deserializeMigrated(repaired.data);
+          } catch (error) {
+            logError(error, { operation: 'syncWithRemote', conversationId: data.id });
+            continue;
+          }
+          this._setConversation(conversation);
+          this._replaceInStorage(conversation);
+          this._reportIntegrity(conversation, issues);
+          if (issues.length > 0) {
+            this._unsyncedConversations.add(data.id);
+            this._syncRemote(data.id, () => Promise.resolve());
+          }
+        } else if (localTime > remoteTime) {
+          this._unsyncedConversations.add(data.id);
+          this._syncRemote(data.id, () => Promise.resolve());
         }
-        return value;
-      });
-
-      // Validate loaded data structure
-      if (!parsed.conversations || !parsed.currentConversationId) {
-        throw new Error('Invalid stored data structure');
       }
 
-      this.conversations = parsed.conversations;
-      this.currentConversationId = parsed.currentConversationId;
-      this.currentBranch = parsed.currentBranch || 'main';
-      
-      // Add backward compatibility for existing messages without starred property
-      // and conversations without condensed items
-      for (const [, conversation] of this.conversations) {
-        // Add condensed items support to existing conversations
-        if (conversation.condensedItems === undefined) {
-          conversation.condensedItems = [];
-          conversation.lastSummarizedMessageId = null;
-          conversation.condensedLastUpdated = null;
-        }
-        
-        for (const [, branch] of conversation.branches) {
-          branch.messages.forEach(message => {
-            if (message.starred === undefined) {
-              message.starred = false;
-            }
-          });
+      for (const id of [...this.conversations.keys(), ...this.trashedConversations.keys()]) {
+        if (!remoteIds.has(id)) {
+          this._unsyncedConversations.add(id);
+          this._syncRemote(id, () => Promise.resolve());
         }
       }
-      
-      // Validate the loaded conversation exists
-      const currentConversation = this.getCurrentConversation();
-      if (!currentConversation) {
-        throw new Error('Current conversation not found in loaded data');
+
+      if (!this.getCurrentConversation()) {
+        const [first] = this.conversations.keys();
+        this.currentConversationId = first || null;
+        this.currentBranch = first ? this.conversations.get(first).currentBranch || 'main' : null;
+      } else if (!this.getCurrentBranch()) {
+        this.currentBranch = 'main';
       }
-      
+
+      this.purgeExpiredTrash();
+      this._saveToStorage();
+      this.remoteSyncError = null;
       return true;
-      
-    }, false);
+
+    } catch (error) {
+      logError(error, { operation: 'syncWithRemote' });
+      this.remoteSyncError = error.message;
+      return false;
+    }
   }
 
   /**
    * Clears all stored data (useful for testing/reset)
    */
   clearStorage() {
-    return safeAsync(() => {
-      localStorage.removeItem('claudeBranchingData');
+    return safeAsync(async () => {
+      this._pendingWrites.clear();
+      await this._queueStorageOperation(storage => storage.clear());
       this.conversations.clear();
+      this.trashedConversations.clear();
       this.currentConversationId = null;
       this.currentBranch = null;
       return true;
     }, false);
   }
 
-  deleteConversation(conversationId) {
-    console.log('🔍 Available conversations:', Array.from(this.conversations.keys()));
-    console.log('🎯 Trying to delete:', conversationId);
-    
-    if (!this.conversations.has(conversationId)) {
-      console.log('❌ Cannot delete - conversation not found:', conversationId);
+  /**
+   * Moves a conversation, with all its branches, to the trash. If it was
+   * the current conversation, nothing is selected afterwards.
+   */
+  trashConversation(conversationId) {
+    const conversation = this.conversations.get(conversationId);
+    if (!conversation) return false;
+
+    conversation.trashedAt = new Date();
+    this.conversations.delete(conversationId);
+    this.trashedConversations.set(conversationId, conversation);
+
+    if (this.currentConversationId === conversationId) {
+      this.currentConversationId = null;
+      this.currentBranch = 'main';
+    }
+
+    this._persist(conversation, remote => remote.updateConversation(conversationId, { trashedAt: conversation.trashedAt }));
+    return true;
+  }
+
+  /**
+   * Brings a trashed conversation back to the conversation list
+   */
+  restoreConversation(conversationId) {
+    try {
+      const conversation = this.trashedConversations.get(conversationId);
+      if (!conversation) {
+        throw new ValidationError('Conversation is not in the trash');
+      }
+
+      conversation.trashedAt = null;
+      this.trashedConversations.delete(conversationId);
+      this.conversations.set(conversationId, conversation);
+      this._persist(conversation, remote => remote.updateConversation(conversationId, { trashedAt: null }));
+      this._updateSearchIndex(conversation);
+      return conversation;
+
+    } catch (error) {
+      logError(error, { operation: 'restoreConversation', conversationId });
+      throw error;
+    }
+  }
+
+  /**
+   * Permanently deletes a conversation, trashed or not
+   */
+  purgeConversation(conversationId) {
+    if (!this.trashedConversations.delete(conversationId) && !this.conversations.delete(conversationId)) {
       return false;
     }
+    this.searchIndex.removeStaleBranches(id => id !== conversationId);
+
+    this._unsyncedConversations.delete(conversationId);
+    this._pendingWrites.delete(conversationId);
+    this._queueStorageOperation(storage => storage.deleteConversation(conversationId));
+    this._syncRemote(conversationId, remote => remote.deleteConversation(conversationId));
 
-    console.log('🗑️ Deleting conversation:', conversationId);
-    this.conversations.delete(conversationId);
-    
-    // If we deleted the current conversation, reset to null
     if (this.currentConversationId === conversationId) {
       this.currentConversationId = null;
       this.currentBranch = 'main';
     }
-    
+
     this._saveToStorage();
     return true;
   }
 
   /**
-   * Toggles the starred status of a message
+   * Everything in the trash, newest first: trashed conversations plus
+   * trashed branches of live conversations (descendants trashed along with
+   * a branch are counted in its entry). Each entry is { type, id,
+   * conversationId, title, conversationTitle, messageCount, branchCount,
+   * trashedAt, expiresAt }.
+   */
+  getTrash() {
+    const retentionMs = config.trash.retentionDays * 24 * 60 * 60 * 1000;
+    const entry = (type, conversation, item, messageCount, branchCount) => ({
+      type,
+      id: item.id,
+      conversationId: conversation.id,
+      title: item.title,
+      conversationTitle: conversation.title,
+      messageCount,
+      branchCount,
+      trashedAt: new Date(item.trashedAt),
+      expiresAt: new Date(new Date(item.trashedAt).getTime() + retentionMs)
+    });
+
+    const items = [];
+    this.trashedConversations.forEach(conversation => {
+      const messageCount = Array.from(conversation.branches.values())
+        .reduce((total, branch) => total + getOwnMessages(branch).length, 0);
+      items.push(entry(TRASH_ITEM_TYPES.CONVERSATION, conversation, conversation, messageCount, conversation.branches.size));
+    });
+    this.conversations.forEach(conversation => {
+      conversation.trashedBranches.forEach(branch => {
+        if (branch.trashedWith) return;
+        const group = [branch, ...this._getTrashGroup(conversation, branch.id)];
+        const messageCount = group.reduce((total, member) => total + getOwnMessages(member).length, 0);
+        items.push(entry(TRASH_ITEM_TYPES.BRANCH, conversation, branch, messageCount, group.length));
+      });
+    });
+
+    return items.sort((a, b) => b.trashedAt - a.trashedAt);
+  }
+
+  /**
+   * Restores a getTrash() entry
+   */
+  restoreTrashItem({ type, conversationId, id }) {
+    return type === TRASH_ITEM_TYPES.CONVERSATION
+      ? this.restoreConversation(conversationId)
+      : this.restoreBranch(conversationId, id);
+  }
+
+  /**
+   * Permanently deletes a getTrash() entry
+   */
+  purgeTrashItem({ type, conversationId, id }) {
+    return type === TRASH_ITEM_TYPES.CONVERSATION
+      ? this.purgeConversation(conversationId)
+      : this.purgeBranch(conversationId, id);
+  }
+
+  emptyTrash() {
+    const items = this.getTrash();
+    items.forEach(item => this.purgeTrashItem(item));
+    return items.length;
+  }
+
+  /**
+   * Purges trash older than the retention period. Returns how many items
+   * were removed.
+   */
+  purgeExpiredTrash(now = new Date()) {
+    const expired = this.getTrash().filter(item => item.expiresAt <= now);
+    expired.forEach(item => this.purgeTrashItem(item));
+    return expired.length;
+  }
+
+  /**
+   * A conversation by ID, whether live or trashed
+   */
+  _findConversation(conversationId) {
+    return this.conversations.get(conversationId) || this.trashedConversations.get(conversationId) || null;
+  }
+
+  /**
+   * Files a loaded conversation under the live list or the trash
+   */
+  _setConversation(conversation) {
+    const [target, other] = conversation.trashedAt
+      ? [this.trashedConversations, this.conversations]
+      : [this.conversations, this.trashedConversations];
+    other.delete(conversation.id);
+    target.set(conversation.id, conversation);
+    this._updateSearchIndex(conversation);
+  }
+
+  /**
+   * Toggles the starred status of a message. The star belongs to the
+   * branch that added the message; copies inherited by descendant branches
+   * mirror it, so it reads the same from every branch that shows it.
    */
   toggleMessageStar(messageId, branchId = null) {
     try {
@@ -409,21 +2115,30 @@ export class ConversationManager {
       }
 
       const targetBranch = branchId || this.currentBranch;
-      const branch = conversation.branches.get(targetBranch);
-      if (!branch) {
+      if (!conversation.branches.has(targetBranch)) {
         throw new ValidationError('Branch not found');
       }
 
-      const message = branch.messages.find(msg => msg.id === messageId);
-      if (!message) {
+      const owner = getMessageOwner(conversation, targetBranch, messageId);
+      if (!owner) {
         throw new ValidationError('Message not found');
       }
 
-      // Toggle starred status
-      message.starred = !message.starred;
-      this._saveToStorage();
-      
-      return message.starred;
+      const starred = !owner.messages.find(msg => msg.id === messageId).starred;
+      const copies = [];
+      for (const branch of conversation.branches.values()) {
+        const message = branch.messages.find(msg => msg.id === messageId);
+        if (message) {
+          message.starred = starred;
+          copies.push(branch.id);
+        }
+      }
+
+      this._persist(conversation, remote => Promise.all(copies.map(copyBranchId => (
+        remote.updateMessage(conversation.id, copyBranchId, messageId, { starred })
+      ))), { branchIds: copies });
+
+      return starred;
       
     } catch (error) {
       logError(error, { operation: 'toggleMessageStar', messageId, branchId });
@@ -432,7 +2147,8 @@ export class ConversationManager {
   }
 
   /**
-   * Gets all starred messages across all conversations
+   * Gets all starred messages across all conversations, each listed once
+   * under the branch that added it
    */
   getStarredMessages() {
     try {
@@ -440,7 +2156,7 @@ export class ConversationManager {
       
       for (const [conversationId, conversation] of this.conversations) {
         for (const [branchId, branch] of conversation.branches) {
-          const starredInBranch = branch.messages
+          const starredInBranch = getOwnMessages(branch)
             .filter(msg => msg.starred)
             .map(msg => ({
               ...msg,
@@ -462,9 +2178,233 @@ export class ConversationManager {
     }
   }
 
+  /**
+   * Searches every message in every live conversation and branch. See
+   * parseSearchQuery for the query syntax. filters narrows the results:
+   * { sender, conversationId, branchId, from, to, starred } where from and
+   * to are Dates bounding the message timestamp. Returns { results, total }
+   * with at most limit results, each carrying the conversation and branch
+   * titles and a highlighted snippet.
+   */
+  searchMessages(query, filters = {}, { limit = 50 } = {}) {
+    try {
+      const { sender, conversationId, branchId, from, to, starred } = filters;
+      const accept = ({ conversationId: docConversationId, branchId: docBranchId, message }) => {
+        if (sender && message.sender !== sender) return false;
+        if (conversationId && docConversationId !== conversationId) return false;
+        if (branchId && docBranchId !== branchId) return false;
+        if (starred && !message.starred) return false;
+        const timestamp = new Date(message.timestamp);
+        if (from && timestamp < from) return false;
+        if (to && timestamp > to) return false;
+        return true;
+      };
+
+      const { results, total } = this.searchIndex.search(query, { accept, limit });
+      return {
+        total,
+        results: results.map(({ conversationId: resultConversationId, branchId: resultBranchId, message, score, ranges }) => {
+          const conversation = this.conversations.get(resultConversationId);
+          return {
+            conversationId: resultConversationId,
+            conversationTitle: conversation.title,
+            branchId: resultBranchId,
+            branchTitle: conversation.branches.get(resultBranchId).title,
+            messageId: message.id,
+            sender: message.sender,
+            timestamp: message.timestamp,
+            starred: message.starred,
+            score,
+            snippet: buildSnippet(message.content, ranges)
+          };
+        })
+      };
+
+    } catch (error) {
+      logError(error, { operation: 'searchMessages', query });
+      return { results: [], total: 0 };
+    }
+  }
+
+  /**
+   * Brings the search index in line with a conversation's branches (all of
+   * them unless branchIds is given). Each branch indexes only its own
+   * messages, so copies inherited from a parent don't show up twice;
+   * unchanged messages are skipped, and branches or conversations that are
+   * trashed or gone are dropped.
+   */
+  _updateSearchIndex(conversation, branchIds = null) {
+    if (this.conversations.get(conversation.id) !== conversation) {
+      this.searchIndex.removeStaleBranches(conversationId => conversationId !== conversation.id);
+      return;
+    }
+
+    (branchIds || Array.from(conversation.branches.keys())).forEach(branchId => {
+      const branch = conversation.branches.get(branchId);
+      this.searchIndex.updateBranch(conversation.id, branchId, branch ? getOwnMessages(branch) : []);
+    });
+  }
+
+  /**
+   * Earlier messages on the same topic as a draft, from anywhere except
+   * the branch being viewed. At most one message per branch is returned,
+   * so each hint points at a different discussion. Returns
+   * [{ conversationId, conversationTitle, branchId, branchTitle,
+   * messageId, sender, excerpt, score }] best first.
+   */
+  findRelatedMessages(text, { limit = 3 } = {}) {
+    try {
+      const terms = termFrequencies(text);
+      // One or two words match too much by chance
+      if (terms.size < 3) return [];
+
+      this._refreshSimilarityIndex();
+
+      const current = this.getCurrentBranch();
+      const visibleIds = new Set(current ? current.messages.map(message => message.id) : []);
+      const matches = this.similarityIndex.query(terms, {
+        limit: limit * 5,
+        minScore: RELATED_MESSAGE_MIN_SCORE,
+        accept: (key, meta) => meta.type === 'message' &&
+          !(meta.conversationId === this.currentConversationId && visibleIds.has(meta.message.id))
+      });
+
+      const seenBranches = new Set();
+      const related = [];
+      for (const { meta, score } of matches) {
+        const branchKey = `${meta.conversationId}/${meta.branchId}`;
+        if (seenBranches.has(branchKey)) continue;
+        seenBranches.add(branchKey);
+
+        const conversation = this.conversations.get(meta.conversationId);
+        const content = meta.message.content.replace(/\s+/g, ' ').trim();
+        related.push({
+          conversationId: meta.conversationId,
+          conversationTitle: conversation.title,
+          branchId: meta.branchId,
+          branchTitle: conversation.branches.get(meta.branchId).title,
+          messageId: meta.message.id,
+          sender: meta.message.sender,
+          excerpt: content.length > 120 ? `${content.slice(0, 120)}…` : content,
+          score
+        });
+        if (related.length === limit) break;
+      }
+      return related;
+
+    } catch (error) {
+      logError(error, { operation: 'findRelatedMessages' });
+      return [];
+    }
+  }
+
+  /**
+   * Branches in any conversation whose content is closest to a branch
+   * (default: the current one). Its own ancestors are left out since the
+   * breadcrumbs already lead there. Returns [{ conversationId,
+   * conversationTitle, branchId, branchTitle, score }] best first.
+   */
+  getRelatedBranches(branchId = null, { limit = 5 } = {}) {
+    try {
+      const conversation = this.getCurrentConversation();
+      const targetId = branchId || this.currentBranch;
+      if (!conversation || !conversation.branches.has(targetId)) return [];
+
+      this._refreshSimilarityIndex();
+
+      const lineage = new Set(getLineage(conversation, targetId).map(branch => branch.id));
+      const matches = this.similarityIndex.query(
+        this.similarityIndex.getTerms(`branch:${conversation.id}/${targetId}`),
+        {
+          limit,
+          minScore: RELATED_BRANCH_MIN_SCORE,
+          accept: (key, meta) => meta.type === 'branch' &&
+            !(meta.conversationId === conversation.id && lineage.has(meta.branchId))
+        }
+      );
+
+      return matches.map(({ meta, score }) => {
+        const relatedConversation = this.conversations.get(meta.conversationId);
+        return {
+          conversationId: meta.conversationId,
+          conversationTitle: relatedConversation.title,
+          branchId: meta.branchId,
+          branchTitle: relatedConversation.branches.get(meta.branchId).title,
+          score
+        };
+      });
+
+    } catch (error) {
+      logError(error, { operation: 'getRelatedBranches', branchId });
+      return [];
+    }
+  }
+
+  /**
+   * Syncs the similarity index with live conversations: one document per
+   * own message and one per branch summary. Like the search index, only
+   * changed text is re-tokenized.
+   */
+  _refreshSimilarityIndex() {
+    const live = new Set();
+
+    for (const conversation of this.conversations.values()) {
+      for (const branch of conversation.branches.values()) {
+        const ownMessages = getOwnMessages(branch);
+        const branchKey = `branch:${conversation.id}/${branch.id}`;
+        this.similarityIndex.setDocument(branchKey, this._getBranchSummaryText(conversation, branch, ownMessages), {
+          type: 'branch',
+          conversationId: conversation.id,
+          branchId: branch.id
+        });
+        live.add(branchKey);
+
+        ownMessages.forEach(message => {
+          const messageKey = `message:${conversation.id}/${branch.id}/${message.id}`;
+          this.similarityIndex.setDocument(messageKey, message.content, {
+            type: 'message',
+            conversationId: conversation.id,
+            branchId: branch.id,
+            message
+          });
+          live.add(messageKey);
+        });
+      }
+    }
+
+    this.similarityIndex.removeDocuments(key => !live.has(key));
+  }
+
+  /**
+   * What a branch is about: its title, the passage it was started from,
+   * condensed-log headings and any merge synthesis for its messages, and
+   * the messages themselves
+   */
+  _getBranchSummaryText(conversation, branch, ownMessages) {
+    const ownIds = new Set(ownMessages.map(message => message.id));
+    const headings = [];
+    (conversation.condensedItems || []).forEach(item => {
+      [item, ...(item.children || [])].forEach(entry => {
+        if (ownIds.has(entry.sourceMessageId)) headings.push(entry.title);
+      });
+    });
+
+    let synthesis = null;
+    if (branch.mergedInto) {
+      const target = conversation.branches.get(branch.mergedInto.branchId);
+      const message = target && target.messages.find(msg => msg.id === branch.mergedInto.messageId);
+      synthesis = message ? message.content : null;
+    }
+
+    return [branch.title, branch.selectedText, ...headings, synthesis, ...ownMessages.map(message => message.content)]
+      .filter(Boolean)
+      .join('\n');
+  }
+
   /**
    * Gets messages from current conversation for condensing
-   * Handles branched conversations by collecting messages chronologically
+   * Handles branched conversations by collecting messages chronologically;
+   * each branch contributes only its own messages, not inherited copies
    */
   getMessagesForCondensing() {
     try {
@@ -477,7 +2417,7 @@ export class ConversationManager {
       const allMessages = [];
       
       for (const [branchId, branch] of conversation.branches) {
-        branch.messages.forEach(message => {
+        getOwnMessages(branch).forEach(message => {
           allMessages.push({
             ...message,
             branchId,
@@ -537,7 +2477,13 @@ export class ConversationManager {
       conversation.condensedLastUpdated = new Date().toISOString();
       
       // Save to storage
-      this._saveToStorage();
+      this._persist(conversation, remote => remote.updateConversation(conversation.id, {
+        condensedItems: conversation.condensedItems,
+        condensedParseError: conversation.condensedParseError,
+        condensedErrorMessage: conversation.condensedErrorMessage,
+        lastSummarizedMessageId: conversation.lastSummarizedMessageId,
+        condensedLastUpdated: conversation.condensedLastUpdated
+      }));
       
       return result;
       
@@ -645,10 +2591,18 @@ export class ConversationManager {
   }
 
   /**
-   * Switches to the branch containing a specific message
+   * Switches to the branch containing a specific message. Forks copy their
+   * parent's messages, so preferredBranchId picks which copy to open.
    */
-  switchToBranchContainingMessage(messageId) {
+  switchToBranchContainingMessage(messageId, preferredBranchId = null) {
     try {
+      const conversation = this.getCurrentConversation();
+      const preferred = preferredBranchId && conversation && conversation.branches.get(preferredBranchId);
+      if (preferred && preferred.messages.some(msg => msg.id === messageId)) {
+        this.switchToBranch(preferred.id);
+        return true;
+      }
+
       const result = this.findMessageById(messageId);
       if (result) {
         this.switchToBranch(result.branchId);
@@ -657,7 +2611,7 @@ export class ConversationManager {
       return false;
       
     } catch (error) {
-      logError(error, { operation: 'switchToBranchContainingMessage', messageId });
+      logError(error, { operation: 'switchToBranchContainingMessage', messageId, preferredBranchId });
       return false;
     }
   }
@@ -35,6 +35,22 @@ export class TimeoutError extends AppError {
   }
 }
 
+export class RequestAbortedError extends AppError {
+  constructor(message = ERROR_MESSAGES.REQUEST_ABORTED, partialText = '') {
+    super(message, HTTP_STATUS.CLIENT_CLOSED_REQUEST);
+    this.partialText = partialText;
+  }
+}
+
+export class MigrationError extends AppError {
+  constructor(message = ERROR_MESSAGES.MIGRATION_ERROR, details = {}) {
+    super(message, HTTP_STATUS.INTERNAL_SERVER_ERROR);
+    this.conversationId = details.conversationId || null;
+    this.fromVersion = details.fromVersion || null;
+    this.toVersion = details.toVersion || null;
+  }
+}
+
 export class BranchCreationError extends AppError {
   constructor(message = ERROR_MESSAGES.BRANCH_CREATION_ERROR) {
     super(message, HTTP_STATUS.BAD_REQUEST);
@@ -83,6 +99,11 @@ export async function withRetry(
         throw error;
       }
       
+      // Never retry a request the user cancelled
+      if (error instanceof RequestAbortedError || error.name === 'AbortError') {
+        throw error;
+      }
+      
       if (attempt === maxAttempts) {
         break;
       }
@@ -96,15 +117,39 @@ export async function withRetry(
 }
 
 /**
- * Timeout wrapper for promises
+ * Timeout wrapper for promises. When an AbortController is passed, the
+ * underlying request is aborted on timeout instead of being left running.
+ */
+export function withTimeout(promise, timeoutMs, errorMessage = ERROR_MESSAGES.TIMEOUT_ERROR, controller = null) {
+  let timeoutId;
+  
+  const timeout = new Promise((_, reject) => {
+    timeoutId = setTimeout(() => {
+      if (controller) {
+        controller.abort();
+      }
+      reject(new TimeoutError(errorMessage));
+    }, timeoutMs);
+  });
+  
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timeoutId));
+}
+
+/**
+ * Creates an AbortController that also aborts when the given signal does
  */
-export function withTimeout(promise, timeoutMs, errorMessage = ERROR_MESSAGES.TIMEOUT_ERROR) {
-  return Promise.race([
-    promise,
-    new Promise((_, reject) => 
-      setTimeout(() => reject(new TimeoutError(errorMessage)), timeoutMs)
-    )
-  ]);
+export function createLinkedAbortController(signal = null) {
+  const controller = new AbortController();
+  
+  if (signal) {
+    if (signal.aborted) {
+      controller.abort();
+    } else {
+      signal.addEventListener('abort', () => controller.abort(), { once: true });
+    }
+  }
+  
+  return controller;
 }
 
 /**
@@ -160,6 +205,10 @@ export function formatErrorForUser(error) {
     return ERROR_MESSAGES.TIMEOUT_ERROR;
   }
   
+  if (error instanceof RequestAbortedError) {
+    return ERROR_MESSAGES.REQUEST_ABORTED;
+  }
+  
   if (error instanceof BranchCreationError) {
     return ERROR_MESSAGES.BRANCH_CREATION_ERROR;
   }
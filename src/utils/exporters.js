@@ -0,0 +1,302 @@
+/**
+ * Tree-aware conversation export to Markdown, HTML and canonical JSON
+ */
+import { serializeConversationMeta, serializeBranch } from './serialization.js';
+import { CURRENT_SCHEMA_VERSION } from './storage/migrations.js';
+import { getChildBranches, getRootBranches, getOwnMessages, getLineage } from './branchTree.js';
+
+export const EXPORT_FORMAT_ID = 'claude-branching-export';
+export const EXPORT_FORMAT_VERSION = 1;
+
+export const EXPORT_FORMATS = {
+  MARKDOWN: 'markdown',
+  HTML: 'html',
+  JSON: 'json'
+};
+
+export const EXPORT_SCOPES = {
+  TREE: 'tree',
+  BRANCH: 'branch',
+  LINEAGE: 'lineage'
+};
+
+const SENDER_LABELS = {
+  user: 'You',
+  assistant: 'Claude'
+};
+
+const FILE_TYPES = {
+  [EXPORT_FORMATS.MARKDOWN]: { extension: 'md', mimeType: 'text/markdown' },
+  [EXPORT_FORMATS.HTML]: { extension: 'html', mimeType: 'text/html' },
+  [EXPORT_FORMATS.JSON]: { extension: 'json', mimeType: 'application/json' }
+};
+
+/**
+ * Resolves the export scope into an ordered list of sections, each with the
+ * branch, its nesting depth and the messages to print for it
+ */
+export function selectBranchSections(conversation, { scope = EXPORT_SCOPES.TREE, branchId = 'main' } = {}) {
+  if (scope !== EXPORT_SCOPES.TREE && !conversation.branches.has(branchId)) {
+    throw new Error(`Branch ${branchId} not found`);
+  }
+
+  if (scope === EXPORT_SCOPES.BRANCH) {
+    const branch = conversation.branches.get(branchId);
+    return [{ branch, depth: 0, messages: branch.messages }];
+  }
+
+  if (scope === EXPORT_SCOPES.LINEAGE) {
+    const lineage = getLineage(conversation, branchId);
+    return lineage.map((branch, depth) => {
+      const next = lineage[depth + 1];
+      let messages = depth === 0 ? branch.messages : getOwnMessages(branch);
+
+      // Ancestors only contribute the context up to where the path forks off
+      if (next && next.parentMessageId) {
+        const forkIndex = messages.findIndex(message => message.id === next.parentMessageId);
+        if (forkIndex !== -1) {
+          messages = messages.slice(0, forkIndex + 1);
+        }
+      }
+
+      return { branch, depth, messages };
+    });
+  }
+
+  const sections = [];
+  const visited = new Set();
+  const walk = (branch, depth) => {
+    if (visited.has(branch.id)) return;
+    visited.add(branch.id);
+    sections.push({ branch, depth, messages: depth === 0 ? branch.messages : getOwnMessages(branch) });
+    getChildBranches(conversation, branch.id).forEach(child => walk(child, depth + 1));
+  };
+  getRootBranches(conversation).forEach(root => walk(root, 0));
+
+  return sections;
+}
+
+/**
+ * Describes where a branch forked off its parent, or null for roots
+ */
+function describeFork(conversation, branch) {
+  const parent = branch.parentBranchId ? conversation.branches.get(branch.parentBranchId) : null;
+  if (!parent) return null;
+
+  const forkMessage = parent.messages.find(message => message.id === branch.parentMessageId) ||
+    branch.messages.find(message => message.id === branch.parentMessageId);
+
+  return {
+    parentTitle: parent.title,
+    excerpt: forkMessage ? truncate(forkMessage.content, 80) : null
+  };
+}
+
+function truncate(text, maxLength) {
+  const singleLine = String(text).replace(/\s+/g, ' ').trim();
+  return singleLine.length > maxLength ? `${singleLine.slice(0, maxLength - 1)}…` : singleLine;
+}
+
+function formatDate(value) {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? '' : date.toLocaleString();
+}
+
+/**
+ * Markdown with one heading level per branch depth and quoted fork markers
+ */
+export function exportToMarkdown(conversation, options = {}) {
+  const sections = selectBranchSections(conversation, options);
+  const lines = [`# ${conversation.title}`, ''];
+
+  lines.push(`_Exported ${formatDate(new Date())} · ${sections.length} branch${sections.length === 1 ? '' : 'es'}_`, '');
+
+  sections.forEach(({ branch, depth, messages }) => {
+    const level = Math.min(depth + 2, 6);
+    lines.push(`${'#'.repeat(level)} ${depth > 0 ? '↳ ' : ''}${branch.title}`, '');
+
+    const fork = describeFork(conversation, branch);
+    if (fork && depth > 0) {
+      lines.push(`> **Fork** from _${fork.parentTitle}_${fork.excerpt ? ` at: "${fork.excerpt}"` : ''}`, '');
+    }
+    if (branch.isActive === false) {
+      lines.push('> _This branch is closed._', '');
+    }
+    if (branch.mergedInto) {
+      const target = conversation.branches.get(branch.mergedInto.branchId);
+      lines.push(`> _Merged into ${target ? target.title : 'its parent'}._`, '');
+    }
+
+    if (messages.length === 0) {
+      lines.push('_No messages._', '');
+    }
+
+    messages.forEach(message => {
+      const label = SENDER_LABELS[message.sender] || message.sender;
+      const flags = [
+        message.starred ? '⭐' : '',
+        message.interrupted ? '_(stopped)_' : '',
+        message.mergedFrom ? `_(merged from ${message.mergedFrom.branchTitle})_` : ''
+      ].filter(Boolean).join(' ');
+      lines.push(`**${label}:**${flags ? ` ${flags}` : ''}`, '', message.content, '');
+    });
+  });
+
+  return `${lines.join('\n').trimEnd()}\n`;
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+const HTML_STYLES = `
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 860px; margin: 32px auto; padding: 0 16px; color: #333; background: #f8f9fa; }
+  h1 { font-size: 24px; margin-bottom: 4px; }
+  .meta { color: #666; font-size: 13px; margin-bottom: 24px; }
+  details { background: #fff; border: 1px solid #dee2e6; border-radius: 8px; margin: 12px 0; padding: 8px 16px; }
+  details details { margin-left: 8px; border-left: 3px solid #007bff; }
+  summary { cursor: pointer; font-weight: 600; padding: 6px 0; }
+  .fork { color: #666; font-size: 13px; border-left: 3px solid #dee2e6; padding-left: 8px; margin: 4px 0 12px; }
+  .message { border-radius: 8px; padding: 10px 14px; margin: 8px 0; white-space: pre-wrap; word-wrap: break-word; }
+  .message.user { background: #007bff; color: #fff; margin-left: 15%; }
+  .message.assistant { background: #f1f3f5; margin-right: 15%; }
+  .sender { display: block; font-size: 12px; font-weight: 600; opacity: 0.8; margin-bottom: 4px; }
+  .empty { color: #666; font-style: italic; }
+`;
+
+/**
+ * Self-contained HTML page with nested, collapsible <details> per branch
+ */
+export function exportToHtml(conversation, options = {}) {
+  const sections = selectBranchSections(conversation, options);
+
+  const renderMessages = (messages) => messages.length === 0
+    ? '<p class="empty">No messages.</p>'
+    : messages.map(message => {
+      const label = SENDER_LABELS[message.sender] || message.sender;
+      const flags = `${message.starred ? ' ⭐' : ''}${message.interrupted ? ' (stopped)' : ''}` +
+        `${message.mergedFrom ? ` (merged from ${message.mergedFrom.branchTitle})` : ''}`;
+      return `<div class="message ${escapeHtml(message.sender)}"><span class="sender">${escapeHtml(label + flags)}</span>${escapeHtml(message.content)}</div>`;
+    }).join('\n');
+
+  // Sections are in depth-first order, so nesting follows from the depths
+  let body = '';
+  let openDepth = -1;
+  sections.forEach(({ branch, depth, messages }) => {
+    while (openDepth >= depth) {
+      body += '</details>\n';
+      openDepth--;
+    }
+
+    const fork = depth > 0 ? describeFork(conversation, branch) : null;
+    body += `<details open id="${escapeHtml(branch.id)}">\n<summary>${depth > 0 ? '↳ ' : ''}${escapeHtml(branch.title)}${branch.isActive === false ? ' (closed)' : ''}</summary>\n`;
+    if (fork) {
+      body += `<p class="fork">Fork from <strong>${escapeHtml(fork.parentTitle)}</strong>${fork.excerpt ? ` at “${escapeHtml(fork.excerpt)}”` : ''}</p>\n`;
+    }
+    body += `${renderMessages(messages)}\n`;
+    openDepth = depth;
+  });
+  while (openDepth >= 0) {
+    body += '</details>\n';
+    openDepth--;
+  }
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(conversation.title)}</title>
+<style>${HTML_STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(conversation.title)}</h1>
+<p class="meta">Exported ${escapeHtml(formatDate(new Date()))} · ${sections.length} branch${sections.length === 1 ? '' : 'es'}</p>
+${body}</body>
+</html>
+`;
+}
+
+/**
+ * Canonical JSON document. Branches are exported whole (not trimmed to the
+ * fork point) so the result can be imported back without loss.
+ */
+export function exportToJson(conversation, { scope = EXPORT_SCOPES.TREE, branchId = 'main' } = {}) {
+  const branchIds = scope === EXPORT_SCOPES.TREE
+    ? Array.from(conversation.branches.keys())
+    : selectBranchSections(conversation, { scope, branchId }).map(section => section.branch.id);
+
+  return {
+    format: EXPORT_FORMAT_ID,
+    formatVersion: EXPORT_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    scope: { type: scope, branchId: scope === EXPORT_SCOPES.TREE ? null : branchId },
+    conversation: {
+      ...serializeConversationMeta(conversation),
+      schemaVersion: conversation.schemaVersion || CURRENT_SCHEMA_VERSION,
+      branches: branchIds.map(id => serializeBranch(conversation.branches.get(id)))
+    }
+  };
+}
+
+/**
+ * Lowercase, dash-separated file name from title parts
+ */
+export function toFileBaseName(...parts) {
+  return parts
+    .filter(Boolean)
+    .join(' - ')
+    .replace(/[^a-z0-9]+/gi, '-')
+    .replace(/^-+|-+$/g, '')
+    .toLowerCase() || 'conversation';
+}
+
+/**
+ * Builds a file for the chosen format and scope
+ */
+export function exportConversation(conversation, format, options = {}) {
+  const fileType = FILE_TYPES[format];
+  if (!fileType) {
+    throw new Error(`Unknown export format: ${format}`);
+  }
+
+  let content;
+  if (format === EXPORT_FORMATS.MARKDOWN) {
+    content = exportToMarkdown(conversation, options);
+  } else if (format === EXPORT_FORMATS.HTML) {
+    content = exportToHtml(conversation, options);
+  } else {
+    content = JSON.stringify(exportToJson(conversation, options), null, 2);
+  }
+
+  const scopeBranch = options.scope && options.scope !== EXPORT_SCOPES.TREE
+    ? conversation.branches.get(options.branchId)
+    : null;
+  const baseName = toFileBaseName(conversation.title, scopeBranch && scopeBranch.title);
+
+  return {
+    content,
+    filename: `${baseName}.${fileType.extension}`,
+    mimeType: fileType.mimeType
+  };
+}
+
+/**
+ * Triggers a browser download for generated content
+ */
+export function downloadFile({ content, filename, mimeType }) {
+  const blob = new Blob([content], { type: `${mimeType};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,497 @@
+/**
+ * Conversation import from our canonical JSON export and third-party chat exports.
+ *
+ * Supported inputs:
+ *   - canonical export (exporters.js exportToJson), single or as an array
+ *   - ChatGPT conversations.json (tree-shaped "mapping" of message nodes)
+ *   - Claude.ai conversations.json (chat_messages, tree-shaped when
+ *     parent_message_uuid is present)
+ *   - a plain list of { role | sender, content } messages, or { title, messages }
+ */
+import {
+  generateConversationId,
+  generateBranchId,
+  generateMessageId,
+  validateId
+} from './idGenerator.js';
+import {
+  sanitizeInput,
+  validateBranchTitle,
+  validateConversationData,
+  ValidationError
+} from './validation.js';
+import { API_CONFIG } from '../constants/api.js';
+import { deserializeConversation } from './serialization.js';
+import { CURRENT_SCHEMA_VERSION, migrateConversation } from './storage/migrations.js';
+import { EXPORT_FORMAT_ID } from './exporters.js';
+
+export const IMPORT_FORMATS = {
+  CANONICAL: 'canonical',
+  CHATGPT: 'chatgpt',
+  CLAUDE: 'claude',
+  MESSAGES: 'messages'
+};
+
+// Claude.ai marks the first message's parent with this all-zero UUID
+const CLAUDE_ROOT_PARENT = '00000000-0000-4000-8000-000000000000';
+
+const ROLE_TO_SENDER = {
+  user: 'user',
+  human: 'user',
+  assistant: 'assistant',
+  ai: 'assistant',
+  model: 'assistant',
+  claude: 'assistant'
+};
+
+function asArray(data) {
+  return Array.isArray(data) ? data : [data];
+}
+
+/**
+ * Works out which exporter produced the parsed file
+ */
+export function detectImportFormat(data) {
+  const first = asArray(data)[0];
+  if (!first || typeof first !== 'object') return null;
+
+  if (first.format === EXPORT_FORMAT_ID && first.conversation) return IMPORT_FORMATS.CANONICAL;
+  if (first.mapping && typeof first.mapping === 'object') return IMPORT_FORMATS.CHATGPT;
+  if (Array.isArray(first.chat_messages)) return IMPORT_FORMATS.CLAUDE;
+  if (Array.isArray(first.messages) || 'role' in first || 'sender' in first) return IMPORT_FORMATS.MESSAGES;
+
+  return null;
+}
+
+/**
+ * Normalizes message content that may be a string, a list of parts or
+ * a list of typed content blocks
+ */
+function extractText(content) {
+  if (typeof content === 'string') return content;
+  if (Array.isArray(content)) {
+    return content
+      .map(part => (typeof part === 'string' ? part : part && part.type === 'text' ? part.text : ''))
+      .filter(Boolean)
+      .join('\n\n');
+  }
+  if (content && typeof content === 'object') {
+    if (Array.isArray(content.parts)) return extractText(content.parts);
+    if (typeof content.text === 'string') return content.text;
+  }
+  return '';
+}
+
+function toDate(value) {
+  if (value === null || value === undefined || value === '') return null;
+  // ChatGPT uses epoch seconds
+  const date = typeof value === 'number' ? new Date(value < 1e12 ? value * 1000 : value) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+/**
+ * Builds a message in the app's shape, or null if it has no usable text
+ */
+function createMessage(sender, content, timestamp) {
+  const text = sanitizeInput(extractText(content));
+  if (!sender || !text) return null;
+
+  return {
+    id: generateMessageId(),
+    content: text,
+    sender,
+    timestamp: toDate(timestamp) || new Date().toISOString(),
+    branchPoint: sender === 'assistant',
+    availableBranches: [],
+    starred: false,
+    interrupted: false,
+    mergedFrom: null,
+    editedFrom: null,
+    variants: [],
+    activeVariant: 0,
+    mentions: []
+  };
+}
+
+/**
+ * Fits arbitrary text into a valid branch or conversation title
+ */
+function toTitle(text, fallback) {
+  const singleLine = sanitizeInput(String(text || '')).replace(/\s+/g, ' ');
+  const maxLength = API_CONFIG.BRANCH_NAME_MAX_LENGTH - 1;
+  const title = singleLine.length > maxLength ? `${singleLine.slice(0, maxLength - 1)}…` : singleLine;
+  try {
+    return validateBranchTitle(title);
+  } catch {
+    return fallback;
+  }
+}
+
+function createBranchRecord(id, title, parentBranchId, parentMessageId, messages, createdAt) {
+  return {
+    id,
+    title,
+    parentBranchId,
+    parentMessageId,
+    messages,
+    createdAt,
+    isActive: true,
+    mergedInto: null,
+    contextPolicy: 'full',
+    selectedText: null,
+    contextSummary: null,
+    systemPrompt: null,
+    persona: null,
+    trashedAt: null,
+    trashedWith: null,
+    trashedChildLinks: []
+  };
+}
+
+function createConversationRecord(title, createdAt, updatedAt, branches) {
+  const firstUserMessage = branches[0].messages.find(message => message.sender === 'user');
+
+  return {
+    id: generateConversationId(),
+    title: toTitle(title || (firstUserMessage && firstUserMessage.content), 'Imported Conversation'),
+    createdAt,
+    updatedAt: updatedAt || createdAt,
+    currentBranch: 'main',
+    breadcrumbs: [{ id: branches[0].id, title: branches[0].title }],
+    condensedItems: [],
+    lastSummarizedMessageId: null,
+    condensedLastUpdated: null,
+    model: null,
+    contextStrategy: null,
+    systemPrompt: null,
+    persona: null,
+    trashedAt: null,
+    tags: [],
+    folder: null,
+    pinned: false,
+    schemaVersion: CURRENT_SCHEMA_VERSION,
+    branches
+  };
+}
+
+/**
+ * Maps a message graph onto branches. Nodes are { id, parentId, sender,
+ * content, timestamp }; nodes without text (system or tool entries) are
+ * walked through but not emitted. The path to preferredLeafId (or the
+ * oldest child at every fork) becomes main, and every alternate child
+ * starts a branch whose parentMessageId is the last message before the
+ * fork - the same shape createBranchFromMessage produces.
+ */
+export function buildConversationFromTree({ title, createdAt, updatedAt, nodes, preferredLeafId = null }) {
+  const byId = new Map(nodes.map(node => [node.id, { ...node, children: [], message: null }]));
+  const roots = [];
+
+  byId.forEach(node => {
+    node.message = createMessage(node.sender, node.content, node.timestamp);
+    const parent = node.parentId ? byId.get(node.parentId) : null;
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  const byTime = (a, b) => (toDate(a.timestamp) || '').localeCompare(toDate(b.timestamp) || '');
+  byId.forEach(node => node.children.sort(byTime));
+  roots.sort(byTime);
+
+  const preferredPath = new Set();
+  for (let node = byId.get(preferredLeafId); node && !preferredPath.has(node.id); node = byId.get(node.parentId)) {
+    preferredPath.add(node.id);
+  }
+
+  const pickNext = (node) => node.children.find(child => preferredPath.has(child.id)) || node.children[0] || null;
+  const conversationCreatedAt = toDate(createdAt) || new Date().toISOString();
+  const branches = [];
+
+  const walkBranch = (startNode, branch) => {
+    const forks = [];
+    const visited = new Set();
+
+    for (let node = startNode; node && !visited.has(node.id); node = pickNext(node)) {
+      visited.add(node.id);
+      if (node.message) {
+        branch.messages.push(node.message);
+      }
+
+      const next = pickNext(node);
+      node.children
+        .filter(child => child !== next)
+        .forEach(child => forks.push({ child, inherited: branch.messages.slice() }));
+    }
+
+    forks.forEach(({ child, inherited }) => {
+      const forkMessage = inherited[inherited.length - 1] || null;
+      const alternate = createBranchRecord(
+        generateBranchId(),
+        null,
+        branch.id,
+        forkMessage ? forkMessage.id : null,
+        inherited.map(message => ({ ...message, availableBranches: [] })),
+        toDate(child.timestamp) || conversationCreatedAt
+      );
+      branches.push(alternate);
+      walkBranch(child, alternate);
+
+      const firstOwn = alternate.messages[inherited.length];
+      alternate.title = toTitle(firstOwn && firstOwn.content, `Alternative ${branches.length - 1}`);
+    });
+  };
+
+  const preferredRoot = roots.find(root => preferredPath.has(root.id)) || roots[0];
+  if (!preferredRoot) {
+    throw new ValidationError('Conversation has no messages');
+  }
+
+  const main = createBranchRecord('main', 'Main Channel', null, null, [], conversationCreatedAt);
+  branches.push(main);
+
+  // Extra roots hang off main from the very start
+  [preferredRoot, ...roots.filter(root => root !== preferredRoot)].forEach((root, index) => {
+    if (index === 0) {
+      walkBranch(root, main);
+      return;
+    }
+    const alternate = createBranchRecord(generateBranchId(), null, 'main', null, [], toDate(root.timestamp) || conversationCreatedAt);
+    branches.push(alternate);
+    walkBranch(root, alternate);
+    alternate.title = toTitle(alternate.messages[0] && alternate.messages[0].content, `Alternative ${branches.length - 1}`);
+  });
+
+  if (branches.every(branch => branch.messages.length === 0)) {
+    throw new ValidationError('Conversation has no messages');
+  }
+
+  return createConversationRecord(title, conversationCreatedAt, toDate(updatedAt), branches);
+}
+
+function fromChatGpt(entry) {
+  const nodes = Object.values(entry.mapping).map(node => ({
+    id: node.id,
+    parentId: node.parent || null,
+    sender: node.message ? ROLE_TO_SENDER[node.message.author && node.message.author.role] || null : null,
+    content: node.message ? node.message.content : null,
+    timestamp: node.message ? node.message.create_time : null
+  }));
+
+  return buildConversationFromTree({
+    title: entry.title,
+    createdAt: entry.create_time,
+    updatedAt: entry.update_time,
+    nodes,
+    preferredLeafId: entry.current_node || null
+  });
+}
+
+function fromClaude(entry) {
+  const messages = entry.chat_messages;
+  const isTree = messages.some(message => message.parent_message_uuid && message.parent_message_uuid !== CLAUDE_ROOT_PARENT);
+
+  const nodes = messages.map((message, index) => ({
+    id: message.uuid || `node-${index}`,
+    // Linear exports have no parent links; chain the messages in order
+    parentId: isTree
+      ? (message.parent_message_uuid === CLAUDE_ROOT_PARENT ? null : message.parent_message_uuid || null)
+      : index > 0 ? messages[index - 1].uuid || `node-${index - 1}` : null,
+    sender: ROLE_TO_SENDER[message.sender] || null,
+    content: message.content && message.content.length ? message.content : message.text,
+    timestamp: message.created_at
+  }));
+
+  return buildConversationFromTree({
+    title: entry.name,
+    createdAt: entry.created_at,
+    updatedAt: entry.updated_at,
+    nodes,
+    preferredLeafId: isTree ? nodes[nodes.length - 1].id : null
+  });
+}
+
+function fromMessageList(entry) {
+  const messages = Array.isArray(entry) ? entry : entry.messages;
+  const nodes = messages.map((message, index) => ({
+    id: `node-${index}`,
+    parentId: index > 0 ? `node-${index - 1}` : null,
+    sender: ROLE_TO_SENDER[message.role || message.sender] || null,
+    content: message.content !== undefined ? message.content : message.text,
+    timestamp: message.timestamp || message.created_at || null
+  }));
+
+  return buildConversationFromTree({
+    title: Array.isArray(entry) ? null : entry.title,
+    createdAt: Array.isArray(entry) ? null : entry.createdAt || entry.created_at,
+    nodes
+  });
+}
+
+/**
+ * Makes sure a canonical export has a main branch and that every other
+ * branch hangs off a branch that exists (partial-scope exports may not)
+ */
+function normalizeCanonical(data) {
+  const conversation = JSON.parse(JSON.stringify(data));
+  if (!Array.isArray(conversation.branches) || conversation.branches.length === 0) {
+    throw new ValidationError('Export contains no branches');
+  }
+
+  const ids = new Set(conversation.branches.map(branch => branch.id));
+  if (!ids.has('main')) {
+    const root = conversation.branches.find(branch => !ids.has(branch.parentBranchId)) || conversation.branches[0];
+    const oldId = root.id;
+    conversation.branches.forEach(branch => {
+      if (branch.parentBranchId === oldId) branch.parentBranchId = 'main';
+    });
+    Object.assign(root, { id: 'main', parentBranchId: null, parentMessageId: null });
+    ids.add('main');
+  }
+
+  const mainMessageIds = new Set(conversation.branches.find(branch => branch.id === 'main').messages.map(m => m.id));
+  conversation.branches.forEach(branch => {
+    if (branch.id !== 'main' && !ids.has(branch.parentBranchId)) {
+      branch.parentBranchId = 'main';
+      branch.parentMessageId = mainMessageIds.has(branch.parentMessageId) ? branch.parentMessageId : null;
+    }
+  });
+
+  if (!ids.has(conversation.currentBranch)) {
+    conversation.currentBranch = 'main';
+  }
+
+  return conversation;
+}
+
+/**
+ * Gives a conversation fresh conversation, branch and message IDs while
+ * keeping every link between them intact: tree parents, merges, mentions,
+ * trash groups, condensed-log sources and edit origins
+ */
+function reassignIds(conversation) {
+  const conversationId = generateConversationId();
+  const branchIds = new Map([['main', 'main']]);
+  const messageIds = new Map();
+
+  conversation.branches.forEach(branch => {
+    if (!branchIds.has(branch.id)) branchIds.set(branch.id, generateBranchId());
+    // Inherited messages share IDs with their originals, so map once per ID
+    branch.messages.forEach(message => {
+      if (!messageIds.has(message.id)) messageIds.set(message.id, generateMessageId());
+    });
+  });
+
+  // References to IDs outside this conversation are left as they are
+  const mapBranch = id => branchIds.get(id) || id;
+  const mapMessage = id => messageIds.get(id) || id;
+
+  const mapMention = mention => (mention.conversationId === conversation.id
+    ? { ...mention, conversationId, branchId: mapBranch(mention.branchId) }
+    : mention);
+
+  const mapCondensedItem = item => ({
+    ...item,
+    sourceMessageId: mapMessage(item.sourceMessageId),
+    ...(item.children ? { children: item.children.map(mapCondensedItem) } : {})
+  });
+
+  const mapMessageLinks = message => ({
+    ...message,
+    id: messageIds.get(message.id),
+    editedFrom: message.editedFrom ? mapMessage(message.editedFrom) : null,
+    mergedFrom: message.mergedFrom ? { ...message.mergedFrom, branchId: mapBranch(message.mergedFrom.branchId) } : null,
+    mentions: (message.mentions || []).map(mapMention)
+  });
+
+  return {
+    ...conversation,
+    id: conversationId,
+    currentBranch: branchIds.get(conversation.currentBranch) || 'main',
+    condensedItems: (conversation.condensedItems || []).map(mapCondensedItem),
+    branches: conversation.branches.map(branch => ({
+      ...branch,
+      id: branchIds.get(branch.id),
+      parentBranchId: branch.parentBranchId ? branchIds.get(branch.parentBranchId) || 'main' : null,
+      parentMessageId: branch.parentMessageId ? messageIds.get(branch.parentMessageId) || null : null,
+      mergedInto: branch.mergedInto
+        ? { ...branch.mergedInto, branchId: mapBranch(branch.mergedInto.branchId), messageId: mapMessage(branch.mergedInto.messageId) }
+        : null,
+      trashedWith: branch.trashedWith ? mapBranch(branch.trashedWith) : null,
+      trashedChildLinks: (branch.trashedChildLinks || []).map(link => ({
+        ...link,
+        id: mapBranch(link.id),
+        parentMessageId: link.parentMessageId ? mapMessage(link.parentMessageId) : null
+      })),
+      messages: branch.messages.map(mapMessageLinks)
+    }))
+  };
+}
+
+/**
+ * Whether any ID would clash with existing data or break the app's ID formats
+ */
+function needsFreshIds(conversation, existingIds) {
+  if (existingIds.has(conversation.id) || !validateId(conversation.id, 'conversation')) return true;
+
+  return conversation.branches.some(branch =>
+    (branch.id !== 'main' && !validateId(branch.id, 'branch')) ||
+    branch.messages.some(message => !validateId(message.id, 'message'))
+  );
+}
+
+/**
+ * Parses import file text into ready-to-add conversations. Each entry is
+ * converted independently; failures are reported without aborting the rest.
+ */
+export function parseImportFile(text, existingIds = new Set()) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new ValidationError('Import file is not valid JSON');
+  }
+
+  const format = detectImportFormat(data);
+  if (!format) {
+    throw new ValidationError('Unrecognized import format');
+  }
+
+  // A bare message list is one conversation, not many
+  const entries = format === IMPORT_FORMATS.MESSAGES && Array.isArray(data) && !data[0].messages ? [data] : asArray(data);
+  const usedIds = new Set(existingIds);
+  const conversations = [];
+  const errors = [];
+
+  entries.forEach((entry, index) => {
+    try {
+      let record;
+      if (format === IMPORT_FORMATS.CANONICAL) {
+        record = normalizeCanonical(migrateConversation(entry.conversation));
+      } else if (format === IMPORT_FORMATS.CHATGPT) {
+        record = fromChatGpt(entry);
+      } else if (format === IMPORT_FORMATS.CLAUDE) {
+        record = fromClaude(entry);
+      } else {
+        record = fromMessageList(entry);
+      }
+
+      if (needsFreshIds(record, usedIds)) {
+        record = reassignIds(record);
+      }
+
+      const conversation = deserializeConversation(record);
+      conversation.currentBranch = 'main';
+      conversation.breadcrumbs = [{ id: 'main', title: conversation.branches.get('main').title }];
+      validateConversationData(conversation);
+
+      usedIds.add(conversation.id);
+      conversations.push(conversation);
+    } catch (error) {
+      errors.push({ index, title: entry && (entry.title || entry.name || (entry.conversation && entry.conversation.title)), error: error.message });
+    }
+  });
+
+  return { format, conversations, errors };
+}
@@ -0,0 +1,39 @@
+/**
+ * Markdown helpers for rendering responses that are still streaming in
+ */
+
+/**
+ * Closes dangling markdown syntax so a partial response renders cleanly.
+ * Only the tail of the text is touched; completed content is left as-is.
+ */
+export function closePartialMarkdown(text) {
+  if (!text || typeof text !== 'string') {
+    return '';
+  }
+
+  // An unterminated code fence swallows everything after it - close it first
+  const fenceCount = (text.match(/^\s*(```|~~~)/gm) || []).length;
+  if (fenceCount % 2 === 1) {
+    return `${text}\n\`\`\``;
+  }
+
+  const lines = text.split('\n');
+  let lastLine = lines[lines.length - 1];
+
+  // Drop a trailing emphasis marker that has no content yet (e.g. "Some **")
+  lastLine = lastLine.replace(/(\s)[*_]{1,3}$/, '$1');
+
+  // Balance inline code and bold markers on the line being written
+  const backticks = (lastLine.match(/`/g) || []).length;
+  if (backticks % 2 === 1) {
+    lastLine += '`';
+  }
+
+  const boldMarkers = (lastLine.match(/\*\*/g) || []).length;
+  if (boldMarkers % 2 === 1) {
+    lastLine = lastLine.replace(/\s+$/, '') + '**';
+  }
+
+  lines[lines.length - 1] = lastLine;
+  return lines.join('\n');
+}
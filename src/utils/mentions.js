@@ -0,0 +1,134 @@
+/**
+ * Cross-branch @mentions: "@branch-name" refers to a branch of the current
+ * conversation, "@conversation/branch" to a branch of another one
+ */
+
+// Transcripts longer than this are sent as a summary instead
+export const MENTION_TRANSCRIPT_MAX_LENGTH = 6000;
+
+// The server accepts at most this many referenced branches per request
+export const MAX_MENTION_REFERENCES = 5;
+
+const MENTION_PATTERN = /@([a-z0-9][a-z0-9-]*(?:\/[a-z0-9][a-z0-9-]*)?)/gi;
+
+/**
+ * Lowercase, dash-separated form of a title used in mention tokens
+ */
+export function toMentionSlug(title) {
+  return String(title || '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '') || 'untitled';
+}
+
+/**
+ * Everything that can be mentioned: the current conversation's active
+ * branches by bare slug, and active branches of the other conversations as
+ * "conversation/branch". Returns [{ token, label, conversationId, branchId }].
+ */
+export function getMentionCandidates({ activeBranches = [], conversations, currentConversationId, currentBranchId = null }) {
+  const candidates = [];
+  const seen = new Set();
+
+  const add = (token, label, conversationId, branchId) => {
+    // First match wins when two titles share a slug
+    if (seen.has(token)) return;
+    seen.add(token);
+    candidates.push({ token, label, conversationId, branchId });
+  };
+
+  activeBranches
+    .filter(branch => branch.id !== currentBranchId)
+    .forEach(branch => add(toMentionSlug(branch.title), branch.title, currentConversationId, branch.id));
+
+  conversations.forEach(conversation => {
+    if (conversation.id === currentConversationId) return;
+    const conversationSlug = toMentionSlug(conversation.title);
+    Array.from(conversation.branches.values())
+      .filter(branch => branch.isActive)
+      .forEach(branch => add(
+        `${conversationSlug}/${toMentionSlug(branch.title)}`,
+        `${conversation.title} › ${branch.title}`,
+        conversation.id,
+        branch.id
+      ));
+  });
+
+  return candidates;
+}
+
+/**
+ * The partial mention being typed at the caret, e.g. { query: 'fue', start: 12 },
+ * or null when the caret isn't inside a mention
+ */
+export function getMentionQuery(text, caret = text.length) {
+  const match = /(^|\s)@([a-z0-9-/]*)$/i.exec(text.slice(0, caret));
+  if (!match) return null;
+  return { query: match[2].toLowerCase(), start: caret - match[2].length - 1 };
+}
+
+/**
+ * Candidates whose token or label matches a partial mention, best first
+ */
+export function filterMentionCandidates(candidates, query, limit = 8) {
+  const normalized = query.toLowerCase();
+  return candidates
+    .filter(candidate => candidate.token.includes(normalized) || candidate.label.toLowerCase().includes(normalized))
+    .sort((a, b) => Number(!a.token.startsWith(normalized)) - Number(!b.token.startsWith(normalized)))
+    .slice(0, limit);
+}
+
+/**
+ * Resolves the mentions in a message against the candidates. Unknown
+ * tokens are ignored; each branch is listed once.
+ * Returns [{ token, conversationId, branchId }].
+ */
+export function parseMentions(text, candidates) {
+  const byToken = new Map(candidates.map(candidate => [candidate.token, candidate]));
+  const mentions = [];
+  const seen = new Set();
+
+  for (const match of String(text).matchAll(MENTION_PATTERN)) {
+    const candidate = byToken.get(match[1].toLowerCase());
+    if (!candidate) continue;
+
+    const key = `${candidate.conversationId}:${candidate.branchId}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    mentions.push({ token: candidate.token, conversationId: candidate.conversationId, branchId: candidate.branchId });
+  }
+
+  return mentions;
+}
+
+/**
+ * Splits message text into plain strings and { mention } parts for rendering
+ */
+export function splitMentions(text, mentions = []) {
+  if (!mentions || mentions.length === 0) return [text];
+
+  const byToken = new Map(mentions.map(mention => [mention.token, mention]));
+  const parts = [];
+  let lastIndex = 0;
+
+  for (const match of String(text).matchAll(MENTION_PATTERN)) {
+    const mention = byToken.get(match[1].toLowerCase());
+    if (!mention) continue;
+
+    if (match.index > lastIndex) parts.push(text.slice(lastIndex, match.index));
+    parts.push({ mention, text: match[0] });
+    lastIndex = match.index + match[0].length;
+  }
+  if (lastIndex < text.length) parts.push(text.slice(lastIndex));
+
+  return parts;
+}
+
+/**
+ * Plain-text transcript of a branch for use as referenced context
+ */
+export function formatBranchTranscript(branch) {
+  return branch.messages
+    .map(message => `${message.sender === 'user' ? 'User' : 'Claude'}: ${message.content}`)
+    .join('\n\n');
+}
@@ -0,0 +1,109 @@
+/**
+ * Remote storage backend - syncs conversations with the server's REST store
+ */
+import { config } from '../config/index.js';
+import { HTTP_STATUS } from '../constants/api.js';
+import { ApiError, withTimeout } from './errorHandling.js';
+import { serializeBranch } from './serialization.js';
+
+export class RemoteStorageBackend {
+  constructor(backendUrl = config.api.backendUrl) {
+    this.baseUrl = `${backendUrl}/conversations`;
+    this.timeout = config.api.timeout;
+  }
+
+  /**
+   * Performs a JSON request against the conversations API
+   */
+  async _request(method, path = '', body = undefined) {
+    const controller = new AbortController();
+
+    const requestPromise = fetch(`${this.baseUrl}${path}`, {
+      method,
+      signal: controller.signal,
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'application/json'
+      },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+
+    const response = await withTimeout(requestPromise, this.timeout, undefined, controller);
+
+    if (!response.ok) {
+      let errorData;
+      try {
+        errorData = await response.json();
+      } catch {
+        errorData = { error: response.statusText };
+      }
+
+      throw new ApiError(
+        `Storage Error: ${response.status} - ${errorData.error || response.statusText}`,
+        response.status
+      );
+    }
+
+    return response.status === 204 ? null : response.json();
+  }
+
+  /**
+   * Builds a URL path from ID segments
+   */
+  _path(...segments) {
+    return segments.map(segment => `/${encodeURIComponent(segment)}`).join('');
+  }
+
+  /**
+   * Fetches every stored conversation tree
+   */
+  listConversations() {
+    return this._request('GET', '?expand=full');
+  }
+
+  /**
+   * Creates or replaces a whole conversation (already serialized)
+   */
+  saveConversation(data) {
+    return this._request('PUT', this._path(data.id), data);
+  }
+
+  updateConversation(conversationId, fields) {
+    return this._request('PATCH', this._path(conversationId), fields);
+  }
+
+  /**
+   * Deletes a conversation - already being gone counts as success
+   */
+  async deleteConversation(conversationId) {
+    try {
+      await this._request('DELETE', this._path(conversationId));
+    } catch (error) {
+      if (error.statusCode !== HTTP_STATUS.NOT_FOUND) {
+        throw error;
+      }
+    }
+  }
+
+  saveBranch(conversationId, branch) {
+    return this._request('PUT', this._path(conversationId, 'branches', branch.id), serializeBranch(branch));
+  }
+
+  updateBranch(conversationId, branchId, fields) {
+    return this._request('PATCH', this._path(conversationId, 'branches', branchId), fields);
+  }
+
+  deleteBranch(conversationId, branchId) {
+    return this._request('DELETE', this._path(conversationId, 'branches', branchId));
+  }
+
+  addMessage(conversationId, branchId, message) {
+    return this._request('POST', this._path(conversationId, 'branches', branchId, 'messages'), message);
+  }
+
+  updateMessage(conversationId, branchId, messageId, fields) {
+    return this._request('PATCH', this._path(conversationId, 'branches', branchId, 'messages', messageId), fields);
+  }
+}
+
+export default RemoteStorageBackend;
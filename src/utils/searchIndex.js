@@ -0,0 +1,294 @@
+/**
+ * In-memory inverted index over message text for global search. Each
+ * indexed message is a document keyed by conversation, branch and message
+ * ID; postings record token positions so phrases can be matched. Branches
+ * are diffed against what was indexed before, so only new or changed
+ * messages are re-tokenized.
+ */
+
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Characters of context shown either side of the first match in a snippet
+const SNIPPET_RADIUS = 80;
+
+const branchKey = (conversationId, branchId) => `${conversationId}/${branchId}`;
+
+/**
+ * Splits text into lowercase word tokens with their character offsets
+ */
+export function tokenize(text) {
+  const tokens = [];
+  for (const match of String(text || '').matchAll(TOKEN_PATTERN)) {
+    tokens.push({ term: match[0].toLowerCase(), start: match.index, end: match.index + match[0].length });
+  }
+  return tokens;
+}
+
+/**
+ * Parses a search query into clauses that must all match. "Quoted text" is
+ * a phrase, a trailing * makes a word a prefix (also inside quotes), and
+ * anything else is a whole word. Each clause is a list of
+ * { term, prefix } parts matched at consecutive positions.
+ */
+export function parseSearchQuery(query) {
+  const clauses = [];
+  const pattern = /"([^"]*)"?|(\S+)/g;
+
+  for (const match of String(query || '').matchAll(pattern)) {
+    const text = match[1] !== undefined ? match[1] : match[2];
+    const words = text.split(/\s+/).filter(Boolean);
+    const parts = [];
+
+    words.forEach(word => {
+      const tokens = tokenize(word);
+      tokens.forEach((token, index) => {
+        parts.push({ term: token.term, prefix: index === tokens.length - 1 && word.endsWith('*') });
+      });
+    });
+
+    if (parts.length > 0) clauses.push(parts);
+  }
+
+  return clauses;
+}
+
+/**
+ * Cuts a window of text around the first highlighted range and splits it
+ * into [{ text, match }] segments for rendering. ranges are
+ * { start, end } character offsets into content.
+ */
+export function buildSnippet(content, ranges, radius = SNIPPET_RADIUS) {
+  const text = String(content || '');
+  const sorted = [...ranges].sort((a, b) => a.start - b.start);
+  const first = sorted[0] || { start: 0, end: 0 };
+
+  let windowStart = Math.max(0, first.start - radius);
+  let windowEnd = Math.min(text.length, first.end + radius * 2);
+  // Don't cut words in half at the edges
+  if (windowStart > 0) {
+    const space = text.indexOf(' ', windowStart);
+    if (space !== -1 && space < first.start) windowStart = space + 1;
+  }
+  if (windowEnd < text.length) {
+    const space = text.lastIndexOf(' ', windowEnd);
+    if (space > first.end) windowEnd = space;
+  }
+
+  const segments = [];
+  const push = (segmentText, match) => {
+    const collapsed = segmentText.replace(/\s+/g, ' ');
+    if (collapsed) segments.push({ text: collapsed, match });
+  };
+
+  if (windowStart > 0) segments.push({ text: '…', match: false });
+  let cursor = windowStart;
+  sorted.forEach(range => {
+    if (range.start < cursor || range.end > windowEnd) return;
+    push(text.slice(cursor, range.start), false);
+    push(text.slice(range.start, range.end), true);
+    cursor = range.end;
+  });
+  push(text.slice(cursor, windowEnd), false);
+  if (windowEnd < text.length) segments.push({ text: '…', match: false });
+
+  return segments;
+}
+
+export class SearchIndex {
+  constructor() {
+    // docKey -> { conversationId, branchId, message, content, terms }
+    this.docs = new Map();
+    // term -> Map<docKey, positions[]>
+    this.postings = new Map();
+    // branchKey -> Set<docKey>
+    this.branches = new Map();
+  }
+
+  get size() {
+    return this.docs.size;
+  }
+
+  /**
+   * Brings one branch's documents in line with its messages. Messages that
+   * are new or whose content changed are (re)indexed; ones that are gone
+   * are dropped. messages should be the branch's own messages, so text
+   * copied into child branches is only indexed once.
+   */
+  updateBranch(conversationId, branchId, messages) {
+    const key = branchKey(conversationId, branchId);
+    const previous = this.branches.get(key) || new Set();
+    const current = new Set();
+
+    messages.forEach(message => {
+      const docKey = `${key}/${message.id}`;
+      current.add(docKey);
+
+      const doc = this.docs.get(docKey);
+      if (doc && doc.content === message.content) {
+        // Keep the live object so starred and other flags are read fresh
+        doc.message = message;
+        return;
+      }
+      if (doc) this._removeDoc(docKey);
+      this._addDoc(docKey, conversationId, branchId, message);
+    });
+
+    previous.forEach(docKey => {
+      if (!current.has(docKey)) this._removeDoc(docKey);
+    });
+
+    if (current.size > 0) {
+      this.branches.set(key, current);
+    } else {
+      this.branches.delete(key);
+    }
+  }
+
+  /**
+   * Drops every branch for which isLive(conversationId, branchId) is false
+   */
+  removeStaleBranches(isLive) {
+    for (const [key, docKeys] of this.branches) {
+      const { conversationId, branchId } = this.docs.get(docKeys.values().next().value);
+      if (isLive(conversationId, branchId)) continue;
+
+      docKeys.forEach(docKey => this._removeDoc(docKey));
+      this.branches.delete(key);
+    }
+  }
+
+  _addDoc(docKey, conversationId, branchId, message) {
+    const terms = tokenize(message.content).map(token => token.term);
+    this.docs.set(docKey, { conversationId, branchId, message, content: message.content, terms });
+
+    terms.forEach((term, position) => {
+      let docs = this.postings.get(term);
+      if (!docs) {
+        docs = new Map();
+        this.postings.set(term, docs);
+      }
+      const positions = docs.get(docKey);
+      if (positions) {
+        positions.push(position);
+      } else {
+        docs.set(docKey, [position]);
+      }
+    });
+  }
+
+  _removeDoc(docKey) {
+    const doc = this.docs.get(docKey);
+    if (!doc) return;
+
+    new Set(doc.terms).forEach(term => {
+      const docs = this.postings.get(term);
+      if (!docs) return;
+      docs.delete(docKey);
+      if (docs.size === 0) this.postings.delete(term);
+    });
+    this.docs.delete(docKey);
+  }
+
+  /**
+   * docKey -> Set of positions where a query part occurs. Prefix parts
+   * collect every indexed term that starts with them.
+   */
+  _positionsFor(part) {
+    const terms = part.prefix
+      ? [...this.postings.keys()].filter(term => term.startsWith(part.term))
+      : [part.term];
+
+    const hits = new Map();
+    terms.forEach(term => {
+      const docs = this.postings.get(term);
+      if (!docs) return;
+      docs.forEach((positions, docKey) => {
+        const set = hits.get(docKey) || new Set();
+        positions.forEach(position => set.add(position));
+        hits.set(docKey, set);
+      });
+    });
+    return hits;
+  }
+
+  /**
+   * docKey -> start positions where every part of a clause occurs in order
+   */
+  _matchClause(clause) {
+    let matches = null;
+
+    clause.forEach((part, offset) => {
+      const hits = this._positionsFor(part);
+      if (!matches) {
+        matches = new Map([...hits].map(([docKey, positions]) => [docKey, [...positions]]));
+        return;
+      }
+
+      for (const [docKey, starts] of matches) {
+        const positions = hits.get(docKey);
+        const kept = positions ? starts.filter(start => positions.has(start + offset)) : [];
+        if (kept.length > 0) {
+          matches.set(docKey, kept);
+        } else {
+          matches.delete(docKey);
+        }
+      }
+    });
+
+    return matches || new Map();
+  }
+
+  /**
+   * Finds documents matching every clause of a query. options.accept(doc)
+   * filters documents before scoring and options.limit caps how many are
+   * returned. Returns { results, total }: results are [{ conversationId,
+   * branchId, message, score, ranges }] best first, where ranges are the
+   * character offsets of each match for highlighting.
+   */
+  search(query, { accept = () => true, limit = Infinity } = {}) {
+    const clauses = parseSearchQuery(query);
+    if (clauses.length === 0) return { results: [], total: 0 };
+
+    let candidates = null;
+    const clauseMatches = clauses.map(clause => {
+      const matches = this._matchClause(clause);
+      candidates = candidates
+        ? new Set([...candidates].filter(docKey => matches.has(docKey)))
+        : new Set(matches.keys());
+      return { length: clause.length, matches };
+    });
+
+    const scored = [];
+    candidates.forEach(docKey => {
+      const doc = this.docs.get(docKey);
+      if (!accept(doc)) return;
+
+      let score = 0;
+      clauseMatches.forEach(({ matches }) => {
+        // Rarer clauses weigh more; repeats help with diminishing returns
+        const idf = Math.log(1 + this.docs.size / matches.size);
+        score += idf * (1 + Math.log(matches.get(docKey).length));
+      });
+      scored.push({ docKey, doc, score });
+    });
+
+    scored.sort((a, b) => (
+      b.score - a.score || new Date(b.doc.message.timestamp) - new Date(a.doc.message.timestamp)
+    ));
+
+    // Highlight offsets need a second tokenizer pass, so only for returned results
+    const results = scored.slice(0, limit).map(({ docKey, doc, score }) => {
+      const tokens = tokenize(doc.content);
+      const ranges = [];
+      clauseMatches.forEach(({ length, matches }) => {
+        matches.get(docKey).forEach(start => {
+          ranges.push({ start: tokens[start].start, end: tokens[start + length - 1].end });
+        });
+      });
+
+      return { conversationId: doc.conversationId, branchId: doc.branchId, message: doc.message, score, ranges };
+    });
+
+    return { results, total: scored.length };
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * Conversion between in-memory conversations and their flat JSON form
+ */
+
+/**
+ * Deep-copies a value through JSON so Dates become ISO strings
+ */
+function toPlain(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Plain copy of a branch. Branches link to their parent only through
+ * parentBranchId; a nested branches Map left by older versions is dropped.
+ */
+export function serializeBranch(branch) {
+  const { branches, ...rest } = branch;
+  return toPlain(rest);
+}
+
+/**
+ * Conversation-level fields only, for stores that keep branches separately
+ */
+export function serializeConversationMeta(conversation) {
+  const { branches, trashedBranches, ...meta } = conversation;
+  return toPlain(meta);
+}
+
+/**
+ * Flattens a conversation into plain JSON with branches as an array.
+ * Trashed branches are included and keep their trashedAt.
+ */
+export function serializeConversation(conversation) {
+  return {
+    ...serializeConversationMeta(conversation),
+    branches: [
+      ...conversation.branches.values(),
+      ...(conversation.trashedBranches ? conversation.trashedBranches.values() : [])
+    ].map(serializeBranch)
+  };
+}
+
+/**
+ * Rebuilds a conversation from its flat JSON form, restoring the branches
+ * Map keyed by branch ID. Branches with a trashedAt go to trashedBranches.
+ */
+export function deserializeConversation(data) {
+  const branches = new Map();
+  const trashedBranches = new Map();
+
+  (data.branches || []).forEach(branch => {
+    const { branches: legacyChildren, ...rest } = branch;
+    (branch.trashedAt ? trashedBranches : branches).set(branch.id, {
+      ...rest,
+      messages: Array.isArray(branch.messages) ? branch.messages : []
+    });
+  });
+
+  return { ...data, branches, trashedBranches };
+}
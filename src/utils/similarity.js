@@ -0,0 +1,159 @@
+/**
+ * Local text similarity for finding related discussions. Documents are
+ * TF-IDF vectors compared by cosine similarity, so scores run from 0 (no
+ * words in common) to 1 and can be held to a fixed threshold. Everything
+ * runs in memory; nothing is sent to the network.
+ */
+import { tokenize } from './searchIndex.js';
+
+// Words too common to say anything about the topic
+const STOP_WORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'all', 'also', 'am', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by',
+  'can', 'could', 'did', 'do', 'does', 'doing', 'don', 'down', 'during', 'each', 'few', 'for', 'from', 'further',
+  'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'him', 'his', 'how',
+  'i', 'if', 'in', 'into', 'is', 'it', 'its', 'itself', 'just', 'let', 'like', 'll', 'me', 'might', 'more', 'most', 'my',
+  'no', 'nor', 'not', 'now', 'of', 'off', 'on', 'once', 'only', 'or', 'other', 'our', 'out', 'over', 'own',
+  're', 's', 'same', 'she', 'should', 'so', 'some', 'such', 't', 'than', 'that', 'the', 'their', 'them', 'then',
+  'there', 'these', 'they', 'this', 'those', 'through', 'to', 'too', 'under', 'until', 'up', 'us', 'use', 'using',
+  've', 'very', 'want', 'was', 'we', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'whom', 'why',
+  'will', 'with', 'would', 'you', 'your', 'yours'
+]);
+
+// Minimum similarity for a past message to count as the same topic
+export const RELATED_MESSAGE_MIN_SCORE = 0.3;
+// Branches are longer and share more incidental words, so the bar is lower
+export const RELATED_BRANCH_MIN_SCORE = 0.15;
+
+/**
+ * Counts the meaningful words in a text: term -> occurrences
+ */
+export function termFrequencies(text) {
+  const frequencies = new Map();
+  tokenize(text).forEach(({ term }) => {
+    if (term.length < 2 || STOP_WORDS.has(term) || /^\d+$/.test(term)) return;
+    frequencies.set(term, (frequencies.get(term) || 0) + 1);
+  });
+  return frequencies;
+}
+
+export class SimilarityIndex {
+  constructor() {
+    // key -> { text, meta, terms: Map<term, count> }
+    this.docs = new Map();
+    // term -> Map<key, count>
+    this.postings = new Map();
+    // Vector lengths depend on every document's IDF weights, so they are
+    // recomputed lazily after the index changes
+    this._norms = null;
+  }
+
+  get size() {
+    return this.docs.size;
+  }
+
+  /**
+   * Adds or updates a document. The text is only re-tokenized when it
+   * changed; meta is always replaced.
+   */
+  setDocument(key, text, meta = {}) {
+    const doc = this.docs.get(key);
+    if (doc && doc.text === text) {
+      doc.meta = meta;
+      return;
+    }
+
+    if (doc) this._removeTerms(key, doc);
+    const terms = termFrequencies(text);
+    this.docs.set(key, { text, meta, terms });
+    terms.forEach((count, term) => {
+      if (!this.postings.has(term)) this.postings.set(term, new Map());
+      this.postings.get(term).set(key, count);
+    });
+    this._norms = null;
+  }
+
+  /**
+   * Drops every document for which shouldRemove(key, meta) is true
+   */
+  removeDocuments(shouldRemove) {
+    for (const [key, doc] of this.docs) {
+      if (!shouldRemove(key, doc.meta)) continue;
+      this._removeTerms(key, doc);
+      this.docs.delete(key);
+      this._norms = null;
+    }
+  }
+
+  /**
+   * Term counts of an indexed document, for finding documents like it
+   */
+  getTerms(key) {
+    const doc = this.docs.get(key);
+    return doc ? doc.terms : new Map();
+  }
+
+  _removeTerms(key, doc) {
+    doc.terms.forEach((count, term) => {
+      const keys = this.postings.get(term);
+      keys.delete(key);
+      if (keys.size === 0) this.postings.delete(term);
+    });
+  }
+
+  _idf(term) {
+    const documentFrequency = this.postings.has(term) ? this.postings.get(term).size : 0;
+    return Math.log((this.docs.size + 1) / (documentFrequency + 1)) + 1;
+  }
+
+  _weight(count, term) {
+    return (1 + Math.log(count)) * this._idf(term);
+  }
+
+  _getNorms() {
+    if (!this._norms) {
+      this._norms = new Map();
+      this.docs.forEach((doc, key) => {
+        let sum = 0;
+        doc.terms.forEach((count, term) => {
+          sum += this._weight(count, term) ** 2;
+        });
+        this._norms.set(key, Math.sqrt(sum));
+      });
+    }
+    return this._norms;
+  }
+
+  /**
+   * Documents most similar to a term -> count map (see termFrequencies).
+   * options.accept(key, meta) filters candidates; results below minScore
+   * are dropped. Returns [{ key, meta, score }] best first.
+   */
+  query(terms, { accept = () => true, limit = 10, minScore = 0 } = {}) {
+    const norms = this._getNorms();
+    const dots = new Map();
+    let queryNorm = 0;
+
+    terms.forEach((count, term) => {
+      const weight = this._weight(count, term);
+      queryNorm += weight ** 2;
+
+      const keys = this.postings.get(term);
+      if (!keys) return;
+      keys.forEach((docCount, key) => {
+        dots.set(key, (dots.get(key) || 0) + weight * this._weight(docCount, term));
+      });
+    });
+    queryNorm = Math.sqrt(queryNorm);
+
+    const results = [];
+    dots.forEach((dot, key) => {
+      const doc = this.docs.get(key);
+      if (!accept(key, doc.meta)) return;
+      const score = dot / (queryNorm * norms.get(key));
+      if (score >= minScore) results.push({ key, meta: doc.meta, score });
+    });
+
+    return results.sort((a, b) => b.score - a.score).slice(0, limit);
+  }
+}
@@ -0,0 +1,100 @@
+/**
+ * Storage adapters for ConversationManager.
+ *
+ * Every adapter implements the same async interface:
+ *   isAvailable()                          -> boolean
+ *   loadAll()                              -> { conversations, state }
+ *   saveConversation(conversation)         conversation fields without branches
+ *   saveBranch(conversationId, branch)     one serialized branch
+ *   deleteBranch(conversationId, branchId)
+ *   deleteConversation(conversationId)     also removes its branches
+ *   saveState(state)                       { currentConversationId, currentBranch, listSort, collapsedFolders }
+ *   saveBackup(key, data)                  pre-migration copies, kept by clear()
+ *   loadBackup(key)                        -> data or null
+ *   clear()
+ */
+import { config } from '../../config/index.js';
+import { logError, MigrationError } from '../errorHandling.js';
+import { serializeBranch, serializeConversationMeta } from '../serialization.js';
+import { LocalStorageAdapter } from './localStorageAdapter.js';
+import { IndexedDbAdapter } from './indexedDbAdapter.js';
+
+export { LocalStorageAdapter, IndexedDbAdapter };
+export { CURRENT_SCHEMA_VERSION, migrateConversation, needsMigration, getSchemaVersion } from './migrations.js';
+
+// Single-blob format used before storage adapters existed
+export const LEGACY_STORAGE_KEY = 'claudeBranchingData';
+
+/**
+ * Creates the configured adapter, preferring IndexedDB when the browser has it
+ */
+export function createStorageAdapter(backend = config.storage.backend) {
+  if (backend === 'indexedDB' && globalThis.indexedDB) {
+    return new IndexedDbAdapter();
+  }
+  return new LocalStorageAdapter();
+}
+
+/**
+ * Moves a legacy claudeBranchingData blob into the adapter as-is (schema
+ * migrations run afterwards on load). The per-conversation records are
+ * written first and the blob is only removed once they all landed. Adapters
+ * that keep their records in the same localStorage skip the backup copy,
+ * since blob, records and backup together would not fit a nearly full
+ * quota. Returns true when a migration happened; throws MigrationError when
+ * the store is full, after removing the records it wrote.
+ */
+export async function migrateLegacyData(adapter, storage = globalThis.localStorage) {
+  const raw = storage.getItem(LEGACY_STORAGE_KEY);
+  if (!raw) return false;
+
+  const written = [];
+  try {
+    const parsed = JSON.parse(raw, (key, value) => {
+      if (key === 'conversations' || key === 'branches') {
+        return new Map(value);
+      }
+      return value;
+    });
+
+    if (!(parsed.conversations instanceof Map)) {
+      throw new Error('Invalid stored data structure');
+    }
+
+    for (const [, conversation] of parsed.conversations) {
+      written.push(conversation.id);
+      await adapter.saveConversation(serializeConversationMeta(conversation));
+      for (const [, branch] of conversation.branches) {
+        await adapter.saveBranch(conversation.id, serializeBranch(branch));
+      }
+    }
+
+    await adapter.saveState({
+      currentConversationId: parsed.currentConversationId || null,
+      currentBranch: parsed.currentBranch || 'main'
+    });
+
+    if (adapter.storage !== storage) {
+      await adapter.saveBackup(LEGACY_STORAGE_KEY, raw);
+    }
+
+    storage.removeItem(LEGACY_STORAGE_KEY);
+    return true;
+
+  } catch (error) {
+    // Leave the blob in place so no data is lost
+    logError(error, { operation: 'migrateLegacyData', adapter: adapter.name });
+
+    if (error.name === 'QuotaExceededError') {
+      // Half-migrated records would load next to the blob's copy on the retry
+      for (const conversationId of written) {
+        await adapter.deleteConversation(conversationId).catch(() => {});
+      }
+      throw new MigrationError(
+        'Local storage is too full to upgrade your saved conversations. They are untouched; ' +
+        'free up space for this site (or use a browser with IndexedDB) and reload.'
+      );
+    }
+    return false;
+  }
+}
@@ -0,0 +1,177 @@
+/**
+ * IndexedDB storage adapter - conversations and branches live in separate
+ * object stores and are written asynchronously, without localStorage's ~5MB quota
+ */
+const DB_NAME = 'claudeBranching';
+const DB_VERSION = 2;
+const CONVERSATIONS = 'conversations';
+const BRANCHES = 'branches';
+const STATE = 'state';
+const BACKUPS = 'backups';
+const STATE_KEY = 'current';
+
+/**
+ * Wraps an IDBRequest in a promise
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+export class IndexedDbAdapter {
+  constructor(indexedDB = globalThis.indexedDB) {
+    this.name = 'indexedDB';
+    this.indexedDB = indexedDB;
+    this._dbPromise = null;
+  }
+
+  /**
+   * Opens (and on first use creates) the database once
+   */
+  _open() {
+    if (!this._dbPromise) {
+      this._dbPromise = new Promise((resolve, reject) => {
+        if (!this.indexedDB) {
+          reject(new Error('IndexedDB is not supported'));
+          return;
+        }
+
+        const request = this.indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = (event) => {
+          const db = request.result;
+          if (event.oldVersion < 1) {
+            db.createObjectStore(CONVERSATIONS, { keyPath: 'id' });
+            const branches = db.createObjectStore(BRANCHES, { keyPath: ['conversationId', 'id'] });
+            branches.createIndex('conversationId', 'conversationId');
+            db.createObjectStore(STATE);
+          }
+          if (event.oldVersion < 2) {
+            db.createObjectStore(BACKUPS);
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another tab'));
+      });
+
+      // Let a later call retry after a failed open
+      this._dbPromise.catch(() => {
+        this._dbPromise = null;
+      });
+    }
+    return this._dbPromise;
+  }
+
+  /**
+   * Runs work inside a transaction and resolves once it commits
+   */
+  async _transaction(storeNames, mode, work) {
+    const db = await this._open();
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(storeNames, mode);
+      let result;
+
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+
+      Promise.resolve(work(transaction)).then(value => {
+        result = value;
+      }, reject);
+    });
+  }
+
+  async isAvailable() {
+    try {
+      await this._open();
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Returns every stored conversation with its branches as an array,
+   * plus the saved selection state
+   */
+  async loadAll() {
+    return this._transaction([CONVERSATIONS, BRANCHES, STATE], 'readonly', async (transaction) => {
+      const [conversations, branches, state] = await Promise.all([
+        promisify(transaction.objectStore(CONVERSATIONS).getAll()),
+        promisify(transaction.objectStore(BRANCHES).getAll()),
+        promisify(transaction.objectStore(STATE).get(STATE_KEY))
+      ]);
+
+      return {
+        conversations: conversations.map(conversation => ({
+          ...conversation,
+          branches: branches
+            .filter(branch => branch.conversationId === conversation.id)
+            .map(({ conversationId, ...branch }) => branch)
+        })),
+        state: state || null
+      };
+    });
+  }
+
+  async saveConversation(conversation) {
+    await this._transaction(CONVERSATIONS, 'readwrite', (transaction) => {
+      transaction.objectStore(CONVERSATIONS).put(conversation);
+    });
+  }
+
+  async saveBranch(conversationId, branch) {
+    await this._transaction(BRANCHES, 'readwrite', (transaction) => {
+      transaction.objectStore(BRANCHES).put({ ...branch, conversationId });
+    });
+  }
+
+  async deleteBranch(conversationId, branchId) {
+    await this._transaction(BRANCHES, 'readwrite', (transaction) => {
+      transaction.objectStore(BRANCHES).delete([conversationId, branchId]);
+    });
+  }
+
+  async deleteConversation(conversationId) {
+    await this._transaction([CONVERSATIONS, BRANCHES], 'readwrite', async (transaction) => {
+      transaction.objectStore(CONVERSATIONS).delete(conversationId);
+      const index = transaction.objectStore(BRANCHES).index('conversationId');
+      const keys = await promisify(index.getAllKeys(conversationId));
+      keys.forEach(key => transaction.objectStore(BRANCHES).delete(key));
+    });
+  }
+
+  async saveState(state) {
+    await this._transaction(STATE, 'readwrite', (transaction) => {
+      transaction.objectStore(STATE).put(state, STATE_KEY);
+    });
+  }
+
+  async saveBackup(key, data) {
+    await this._transaction(BACKUPS, 'readwrite', (transaction) => {
+      transaction.objectStore(BACKUPS).put(data, key);
+    });
+  }
+
+  async loadBackup(key) {
+    return this._transaction(BACKUPS, 'readonly', async (transaction) => {
+      const backup = await promisify(transaction.objectStore(BACKUPS).get(key));
+      return backup === undefined ? null : backup;
+    });
+  }
+
+  /**
+   * Clears conversations and state; migration backups are kept
+   */
+  async clear() {
+    await this._transaction([CONVERSATIONS, BRANCHES, STATE], 'readwrite', (transaction) => {
+      [CONVERSATIONS, BRANCHES, STATE].forEach(name => transaction.objectStore(name).clear());
+    });
+  }
+}
+
+export default IndexedDbAdapter;
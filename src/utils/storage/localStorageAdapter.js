@@ -0,0 +1,101 @@
+/**
+ * localStorage storage adapter - one key per conversation and per branch,
+ * so a change only re-serializes the records it touches
+ */
+const PREFIX = 'claudeBranching';
+const STATE_KEY = `${PREFIX}:state`;
+const CONVERSATION_PREFIX = `${PREFIX}:conversation:`;
+const BRANCH_PREFIX = `${PREFIX}:branch:`;
+const BACKUP_PREFIX = `${PREFIX}:backup:`;
+
+export class LocalStorageAdapter {
+  constructor(storage = globalThis.localStorage) {
+    this.name = 'localStorage';
+    this.storage = storage;
+  }
+
+  async isAvailable() {
+    try {
+      const probe = `${PREFIX}:probe`;
+      this.storage.setItem(probe, '1');
+      this.storage.removeItem(probe);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  _branchKey(conversationId, branchId) {
+    return `${BRANCH_PREFIX}${conversationId}:${branchId}`;
+  }
+
+  _keys(prefix) {
+    const keys = [];
+    for (let i = 0; i < this.storage.length; i++) {
+      const key = this.storage.key(i);
+      if (key && key.startsWith(prefix)) {
+        keys.push(key);
+      }
+    }
+    return keys;
+  }
+
+  _read(key) {
+    const value = this.storage.getItem(key);
+    return value ? JSON.parse(value) : null;
+  }
+
+  /**
+   * Returns every stored conversation with its branches as an array,
+   * plus the saved selection state
+   */
+  async loadAll() {
+    const conversations = this._keys(CONVERSATION_PREFIX).map(key => {
+      const conversation = this._read(key);
+      const branches = this._keys(`${BRANCH_PREFIX}${conversation.id}:`).map(branchKey => this._read(branchKey));
+      return { ...conversation, branches };
+    });
+
+    return { conversations, state: this._read(STATE_KEY) };
+  }
+
+  async saveConversation(conversation) {
+    this.storage.setItem(`${CONVERSATION_PREFIX}${conversation.id}`, JSON.stringify(conversation));
+  }
+
+  async saveBranch(conversationId, branch) {
+    this.storage.setItem(this._branchKey(conversationId, branch.id), JSON.stringify(branch));
+  }
+
+  async deleteBranch(conversationId, branchId) {
+    this.storage.removeItem(this._branchKey(conversationId, branchId));
+  }
+
+  async deleteConversation(conversationId) {
+    this._keys(`${BRANCH_PREFIX}${conversationId}:`).forEach(key => this.storage.removeItem(key));
+    this.storage.removeItem(`${CONVERSATION_PREFIX}${conversationId}`);
+  }
+
+  async saveState(state) {
+    this.storage.setItem(STATE_KEY, JSON.stringify(state));
+  }
+
+  async saveBackup(key, data) {
+    this.storage.setItem(`${BACKUP_PREFIX}${key}`, JSON.stringify(data));
+  }
+
+  async loadBackup(key) {
+    return this._read(`${BACKUP_PREFIX}${key}`);
+  }
+
+  /**
+   * Clears conversations and state; migration backups are kept
+   */
+  async clear() {
+    this._keys(`${PREFIX}:`)
+      .filter(key => !key.startsWith(BACKUP_PREFIX))
+      .forEach(key => this.storage.removeItem(key));
+  }
+}
+
+export default LocalStorageAdapter;
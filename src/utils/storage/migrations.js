@@ -0,0 +1,215 @@
+/**
+ * Versioned schema migrations for stored conversations.
+ *
+ * Every stored conversation carries a schemaVersion. MIGRATIONS[n] upgrades
+ * a conversation from version n to n + 1, working on the plain serialized
+ * form (branches as an array). New message or branch fields get a
+ * migration here instead of a patch at load time.
+ */
+import { MigrationError } from '../errorHandling.js';
+
+// Conversations saved before versioning (the '1.0' blob) count as version 1
+const UNVERSIONED_SCHEMA = 1;
+
+const MIGRATIONS = {
+  // 1 -> 2: message stars and the condensed log
+  1: (conversation) => ({
+    ...conversation,
+    condensedItems: conversation.condensedItems || [],
+    lastSummarizedMessageId: conversation.lastSummarizedMessageId || null,
+    condensedLastUpdated: conversation.condensedLastUpdated || null,
+    branches: conversation.branches.map(branch => ({
+      ...branch,
+      messages: branch.messages.map(message => ({
+        ...message,
+        starred: Boolean(message.starred)
+      }))
+    }))
+  }),
+
+  // 2 -> 3: per-conversation model, interrupted replies and sync timestamps
+  2: (conversation) => ({
+    ...conversation,
+    model: conversation.model || null,
+    updatedAt: conversation.updatedAt || conversation.createdAt,
+    branches: conversation.branches.map(branch => ({
+      ...branch,
+      messages: branch.messages.map(message => ({
+        ...message,
+        interrupted: Boolean(message.interrupted)
+      }))
+    }))
+  }),
+
+  // 3 -> 4: branch merging (merged branches and the synthesis messages they produce)
+  3: (conversation) => ({
+    ...conversation,
+    branches: conversation.branches.map(branch => ({
+      ...branch,
+      mergedInto: branch.mergedInto || null,
+      messages: branch.messages.map(message => ({
+        ...message,
+        mergedFrom: message.mergedFrom || null
+      }))
+    }))
+  }),
+
+  // 4 -> 5: edited messages remember the message they replace on the sibling path
+  4: (conversation) => ({
+    ...conversation,
+    branches: conversation.branches.map(branch => ({
+      ...branch,
+      messages: branch.messages.map(message => ({
+        ...message,
+        editedFrom: message.editedFrom || null
+      }))
+    }))
+  }),
+
+  // 5 -> 6: regenerated replies kept as selectable variants of one message
+  5: (conversation) => ({
+    ...conversation,
+    branches: conversation.branches.map(branch => ({
+      ...branch,
+      messages: branch.messages.map(message => ({
+        ...message,
+        variants: Array.isArray(message.variants) ? message.variants : [],
+        activeVariant: Number.isInteger(message.activeVariant) ? message.activeVariant : 0
+      }))
+    }))
+  }),
+
+  // 6 -> 7: per-branch context policies. Older branches always sent their full history.
+  6: (conversation) => ({
+    ...conversation,
+    branches: conversation.branches.map(branch => ({
+      ...branch,
+      contextPolicy: branch.contextPolicy || 'full',
+      selectedText: branch.selectedText || null,
+      contextSummary: branch.contextSummary || null
+    }))
+  }),
+
+  // 7 -> 8: branches referenced from a message with @mentions
+  7: (conversation) => ({
+    ...conversation,
+    branches: conversation.branches.map(branch => ({
+      ...branch,
+      messages: branch.messages.map(message => ({
+        ...message,
+        mentions: Array.isArray(message.mentions) ? message.mentions : []
+      }))
+    }))
+  }),
+
+  // 8 -> 9: per-conversation context-window strategy (null = configured default)
+  8: (conversation) => ({
+    ...conversation,
+    contextStrategy: conversation.contextStrategy || null
+  }),
+
+  // 9 -> 10: system prompts and personas, inherited down the branch tree when null
+  9: (conversation) => ({
+    ...conversation,
+    systemPrompt: typeof conversation.systemPrompt === 'string' ? conversation.systemPrompt : null,
+    persona: conversation.persona || null,
+    branches: conversation.branches.map(branch => ({
+      ...branch,
+      systemPrompt: typeof branch.systemPrompt === 'string' ? branch.systemPrompt : null,
+      persona: branch.persona || null
+    }))
+  }),
+
+  // 10 -> 11: breadcrumbs carry branch IDs ({ id, title }) instead of bare titles
+  10: (conversation) => {
+    const branchesById = new Map(conversation.branches.map(branch => [branch.id, branch]));
+    const breadcrumbs = [];
+    let branch = branchesById.get(conversation.currentBranch) || branchesById.get('main');
+
+    while (branch && !breadcrumbs.some(crumb => crumb.id === branch.id)) {
+      breadcrumbs.unshift({ id: branch.id, title: branch.title });
+      branch = branch.parentBranchId ? branchesById.get(branch.parentBranchId) : null;
+    }
+
+    return { ...conversation, breadcrumbs };
+  },
+
+  // 11 -> 12: soft delete - trashed conversations and branches keep their data until purged
+  11: (conversation) => ({
+    ...conversation,
+    trashedAt: conversation.trashedAt || null,
+    branches: conversation.branches.map(branch => ({
+      ...branch,
+      trashedAt: branch.trashedAt || null,
+      trashedChildLinks: Array.isArray(branch.trashedChildLinks) ? branch.trashedChildLinks : []
+    }))
+  }),
+
+  // 12 -> 13: branches trashed along with an ancestor point at it, so they restore and purge together
+  12: (conversation) => ({
+    ...conversation,
+    branches: conversation.branches.map(branch => ({
+      ...branch,
+      trashedWith: branch.trashedWith || null
+    }))
+  }),
+
+  // 13 -> 14: conversation list organization - tags, a folder path and pinning
+  13: (conversation) => ({
+    ...conversation,
+    tags: Array.isArray(conversation.tags) ? conversation.tags : [],
+    folder: conversation.folder || null,
+    pinned: Boolean(conversation.pinned)
+  })
+};
+
+export const CURRENT_SCHEMA_VERSION = 14;
+
+/**
+ * Reads a conversation's schema version, treating legacy values as version 1
+ */
+export function getSchemaVersion(conversation) {
+  const version = Number(conversation.schemaVersion);
+  return Number.isInteger(version) && version > 0 ? version : UNVERSIONED_SCHEMA;
+}
+
+/**
+ * Runs every migration between the conversation's version and the current
+ * one. Returns the upgraded copy; the input is never modified.
+ */
+export function migrateConversation(data) {
+  const fromVersion = getSchemaVersion(data);
+  const context = { conversationId: data.id, fromVersion, toVersion: CURRENT_SCHEMA_VERSION };
+
+  if (fromVersion > CURRENT_SCHEMA_VERSION) {
+    throw new MigrationError(
+      `Conversation was saved by a newer version of the app (schema ${fromVersion})`,
+      context
+    );
+  }
+
+  if (!Array.isArray(data.branches)) {
+    throw new MigrationError('Conversation has no branch list', context);
+  }
+
+  let conversation = data;
+  for (let version = fromVersion; version < CURRENT_SCHEMA_VERSION; version++) {
+    try {
+      conversation = { ...MIGRATIONS[version](conversation), schemaVersion: version + 1 };
+    } catch (error) {
+      throw new MigrationError(
+        `Migration from schema ${version} to ${version + 1} failed: ${error.message}`,
+        { ...context, failedVersion: version }
+      );
+    }
+  }
+
+  return conversation;
+}
+
+/**
+ * Whether a conversation needs migrating before use
+ */
+export function needsMigration(conversation) {
+  return getSchemaVersion(conversation) < CURRENT_SCHEMA_VERSION;
+}
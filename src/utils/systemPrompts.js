@@ -0,0 +1,56 @@
+/**
+ * System prompts set on a conversation or on any branch apply to that
+ * branch's descendants until one of them sets its own. A null systemPrompt
+ * inherits; an empty one explicitly uses the server's default alone.
+ */
+
+export const SYSTEM_PROMPT_SCOPES = {
+  BRANCH: 'branch',
+  CONVERSATION: 'conversation'
+};
+
+/**
+ * The system prompt in effect for a branch and where it was set.
+ * Returns { systemPrompt, persona, source: { type, id, title } } where type
+ * is 'branch', 'conversation' or 'default'.
+ */
+export function resolveSystemPrompt(conversation, branchId) {
+  const visited = new Set();
+  let branch = conversation.branches.get(branchId);
+
+  while (branch && !visited.has(branch.id)) {
+    visited.add(branch.id);
+    if (typeof branch.systemPrompt === 'string') {
+      return {
+        systemPrompt: branch.systemPrompt,
+        persona: branch.persona || null,
+        source: { type: SYSTEM_PROMPT_SCOPES.BRANCH, id: branch.id, title: branch.title }
+      };
+    }
+    branch = branch.parentBranchId ? conversation.branches.get(branch.parentBranchId) : null;
+  }
+
+  return resolveConversationPrompt(conversation);
+}
+
+/**
+ * What a branch would use without a system prompt of its own
+ */
+export function getInheritedSystemPrompt(conversation, branchId) {
+  const branch = conversation.branches.get(branchId);
+  return branch && branch.parentBranchId
+    ? resolveSystemPrompt(conversation, branch.parentBranchId)
+    : resolveConversationPrompt(conversation);
+}
+
+function resolveConversationPrompt(conversation) {
+  if (typeof conversation.systemPrompt === 'string') {
+    return {
+      systemPrompt: conversation.systemPrompt,
+      persona: conversation.persona || null,
+      source: { type: SYSTEM_PROMPT_SCOPES.CONVERSATION, id: conversation.id, title: conversation.title }
+    };
+  }
+
+  return { systemPrompt: '', persona: null, source: { type: 'default', id: null, title: null } };
+}
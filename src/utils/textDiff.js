@@ -0,0 +1,110 @@
+/**
+ * Word-level text diff based on the longest common subsequence
+ */
+
+// Above this many LCS cells the diff falls back to whole lines
+const MAX_WORD_DIFF_CELLS = 4000000;
+
+/**
+ * Splits text into words and the whitespace between them, so joining the
+ * tokens gives back the original text
+ */
+export function tokenizeWords(text) {
+  return String(text || '').match(/\s+|[^\s]+/g) || [];
+}
+
+function tokenizeLines(text) {
+  return String(text || '').match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+/**
+ * Appends a token to the segment list, merging runs of the same type
+ */
+function pushSegment(segments, type, text) {
+  const last = segments[segments.length - 1];
+  if (last && last.type === type) {
+    last.text += text;
+  } else {
+    segments.push({ type, text });
+  }
+}
+
+function diffTokens(a, b) {
+  // Common prefix and suffix need no LCS work
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const segments = [];
+  if (start > 0) pushSegment(segments, 'equal', a.slice(0, start).join(''));
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const rows = midA.length + 1;
+  const cols = midB.length + 1;
+
+  // lengths[i * cols + j] = LCS length of midA[i..] and midB[j..]
+  const lengths = new Uint32Array(rows * cols);
+  for (let i = midA.length - 1; i >= 0; i--) {
+    for (let j = midB.length - 1; j >= 0; j--) {
+      lengths[i * cols + j] = midA[i] === midB[j]
+        ? lengths[(i + 1) * cols + j + 1] + 1
+        : Math.max(lengths[(i + 1) * cols + j], lengths[i * cols + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < midA.length && j < midB.length) {
+    if (midA[i] === midB[j]) {
+      pushSegment(segments, 'equal', midA[i]);
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * cols + j] >= lengths[i * cols + j + 1]) {
+      pushSegment(segments, 'removed', midA[i]);
+      i++;
+    } else {
+      pushSegment(segments, 'added', midB[j]);
+      j++;
+    }
+  }
+  while (i < midA.length) pushSegment(segments, 'removed', midA[i++]);
+  while (j < midB.length) pushSegment(segments, 'added', midB[j++]);
+
+  if (endA < a.length) pushSegment(segments, 'equal', a.slice(endA).join(''));
+
+  return segments;
+}
+
+/**
+ * Diffs two texts into [{ type: 'equal' | 'added' | 'removed', text }]
+ * segments describing how to get from `before` to `after`
+ */
+export function diffWords(before, after) {
+  const a = tokenizeWords(before);
+  const b = tokenizeWords(after);
+
+  if (a.length * b.length > MAX_WORD_DIFF_CELLS) {
+    return diffTokens(tokenizeLines(before), tokenizeLines(after));
+  }
+  return diffTokens(a, b);
+}
+
+/**
+ * Counts added and removed words in a diff
+ */
+export function summarizeDiff(segments) {
+  const countWords = (text) => (text.match(/[^\s]+/g) || []).length;
+
+  return segments.reduce((totals, segment) => {
+    if (segment.type === 'added') totals.added += countWords(segment.text);
+    if (segment.type === 'removed') totals.removed += countWords(segment.text);
+    return totals;
+  }, { added: 0, removed: 0 });
+}
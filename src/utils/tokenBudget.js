@@ -0,0 +1,143 @@
+/**
+ * Token estimation and context-window budgeting for /api/chat requests.
+ * Estimates are a characters/4 heuristic, close enough to keep requests
+ * under the window without shipping a tokenizer.
+ */
+
+import { foldPreamble } from './branchContext.js';
+
+export const CONTEXT_STRATEGIES = {
+  DROP_OLDEST: 'drop-oldest',
+  ROLLING_SUMMARY: 'rolling-summary',
+  PIN_STARRED: 'pin-starred'
+};
+
+export const CONTEXT_STRATEGY_LABELS = {
+  [CONTEXT_STRATEGIES.DROP_OLDEST]: 'Drop oldest',
+  [CONTEXT_STRATEGIES.ROLLING_SUMMARY]: 'Rolling summary',
+  [CONTEXT_STRATEGIES.PIN_STARRED]: 'Keep starred'
+};
+
+// Used until the server reports the window of its chat model
+export const DEFAULT_CONTEXT_WINDOW = 200000;
+
+// Role markers and separators around each message
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+// The server's default system prompt, sent with every chat request
+const BASE_SYSTEM_PROMPT_TOKENS = 150;
+
+// Room kept free for the rolling summary that replaces dropped messages
+const ROLLING_SUMMARY_TOKENS = 1000;
+
+export function isContextStrategy(strategy) {
+  return Object.values(CONTEXT_STRATEGIES).includes(strategy);
+}
+
+export function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+export function estimateMessageTokens(message) {
+  return estimateTokens(message.content) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+export function estimateHistoryTokens(history) {
+  return history.reduce((total, message) => total + estimateMessageTokens(message), 0);
+}
+
+/**
+ * Tokens taken by @mention references in the system prompt
+ */
+export function estimateReferenceTokens(references = []) {
+  return references.reduce(
+    (total, reference) => total + estimateTokens(reference.label) + estimateTokens(reference.content) + MESSAGE_OVERHEAD_TOKENS,
+    0
+  );
+}
+
+/**
+ * The server's default system prompt plus the conversation's own and any references
+ */
+export function estimateSystemTokens({ systemPrompt = '', references = [] } = {}) {
+  return BASE_SYSTEM_PROMPT_TOKENS + estimateTokens(systemPrompt) + estimateReferenceTokens(references);
+}
+
+/**
+ * Whole-request estimate: system prompt, references, history and the reply
+ */
+export function estimateRequestTokens(history, { references = [], systemPrompt = '', maxTokens = 0 } = {}) {
+  return estimateSystemTokens({ systemPrompt, references }) + estimateHistoryTokens(history) + maxTokens;
+}
+
+/**
+ * Tokens left for history once the system prompt, references and reply are accounted for
+ */
+export function getHistoryBudget({ contextWindow, maxTokens, references = [], systemPrompt = '' }) {
+  return Math.max(0, contextWindow - maxTokens - estimateSystemTokens({ systemPrompt, references }));
+}
+
+/**
+ * Splits a history into turns that each open with a user message, so
+ * dropping whole turns keeps roles alternating
+ */
+function groupTurns(history) {
+  const turns = [];
+  history.forEach(message => {
+    if (message.sender === 'user' || turns.length === 0) {
+      turns.push([message]);
+    } else {
+      turns[turns.length - 1].push(message);
+    }
+  });
+  return turns;
+}
+
+/**
+ * Drops the oldest turns until the history fits the budget. The latest turn
+ * is always kept. With 'pin-starred', turns holding a starred message go
+ * last. Returns { messages, omitted, tokens, overBudget }.
+ */
+export function fitHistoryToBudget(history, budget, strategy = CONTEXT_STRATEGIES.DROP_OLDEST) {
+  const turns = groupTurns(history).map(messages => ({
+    messages,
+    tokens: estimateHistoryTokens(messages),
+    pinned: strategy === CONTEXT_STRATEGIES.PIN_STARRED && messages.some(message => message.starred),
+    kept: true
+  }));
+  let tokens = turns.reduce((total, turn) => total + turn.tokens, 0);
+
+  const dropOldest = (candidates) => {
+    for (const turn of candidates) {
+      if (tokens <= budget) return;
+      turn.kept = false;
+      tokens -= turn.tokens;
+    }
+  };
+
+  const droppable = turns.slice(0, -1);
+  dropOldest(droppable.filter(turn => !turn.pinned));
+  // Starred turns only give way when nothing else is left to drop
+  dropOldest(droppable.filter(turn => turn.pinned));
+
+  return {
+    messages: turns.filter(turn => turn.kept).flatMap(turn => turn.messages),
+    omitted: turns.filter(turn => !turn.kept).flatMap(turn => turn.messages),
+    tokens,
+    overBudget: tokens > budget
+  };
+}
+
+/**
+ * Budget to fit against when dropped messages will be replaced by a summary
+ */
+export function getRollingSummaryBudget(budget) {
+  return Math.max(0, budget - ROLLING_SUMMARY_TOKENS);
+}
+
+/**
+ * Folds a summary of the dropped messages into the first kept message
+ */
+export function applyRollingSummary(messages, summary, fallbackId = 'rolling_summary') {
+  return foldPreamble(messages, `Summary of the earlier part of this conversation:\n\n${summary}`, fallbackId);
+}
@@ -0,0 +1,159 @@
+/**
+ * Structural checks for a conversation tree, run on the plain (serialized)
+ * form whenever conversations are loaded. Problems are repaired where the
+ * intent is clear; records that can't be placed safely are quarantined in
+ * the trash, where they can be inspected, restored or left to expire.
+ */
+import { generateBranchId, generateMessageId } from './idGenerator.js';
+import { reattachBranch } from './branchTree.js';
+
+export const INTEGRITY_ISSUES = {
+  DUPLICATE_BRANCH_ID: 'duplicate-branch-id',
+  DUPLICATE_MESSAGE_ID: 'duplicate-message-id',
+  ORPHAN_BRANCH: 'orphan-branch',
+  PARENT_CYCLE: 'parent-cycle',
+  DANGLING_FORK: 'dangling-fork'
+};
+
+export const INTEGRITY_ACTIONS = {
+  REPAIRED: 'repaired',
+  QUARANTINED: 'quarantined'
+};
+
+/**
+ * Nearest live branch above branchId, following parent links through
+ * trashed and missing-parent branches; main when there is none
+ */
+function findLiveAncestor(branchId, allBranches, liveBranches) {
+  const visited = new Set();
+  let id = branchId;
+
+  while (id && !visited.has(id)) {
+    visited.add(id);
+    if (liveBranches.has(id)) return liveBranches.get(id);
+    id = allBranches.has(id) ? allBranches.get(id).parentBranchId : null;
+  }
+
+  return liveBranches.get('main');
+}
+
+/**
+ * Whether following parent links from a branch leads back to the branch
+ * itself. Branches that merely hang off a loop are not part of it.
+ */
+function isInParentCycle(branch, liveBranches) {
+  const visited = new Set();
+  let current = branch.parentBranchId ? liveBranches.get(branch.parentBranchId) : null;
+
+  while (current && !visited.has(current.id)) {
+    if (current === branch) return true;
+    visited.add(current.id);
+    current = current.parentBranchId ? liveBranches.get(current.parentBranchId) : null;
+  }
+
+  return false;
+}
+
+/**
+ * Checks a serialized conversation for duplicate branch or message IDs,
+ * orphaned branches, parent cycles and fork points that no longer exist.
+ * Returns { conversation, issues }: the repaired copy (the input itself
+ * when nothing was wrong) and one { type, action, branchId, branchTitle,
+ * detail } entry per problem found.
+ */
+export function checkConversationIntegrity(data, now = new Date()) {
+  const issues = [];
+  const report = (type, action, branch, detail) => {
+    issues.push({ type, action, branchId: branch.id, branchTitle: branch.title, detail });
+  };
+
+  // Work on copies so the stored original is left alone
+  const branches = [];
+  const branchIds = new Set();
+  (data.branches || []).forEach(original => {
+    const branch = { ...original, messages: (original.messages || []).map(message => ({ ...message })) };
+
+    if (branchIds.has(branch.id)) {
+      const duplicateId = branch.id;
+      branch.id = generateBranchId();
+      branch.title = `${branch.title} (duplicate)`;
+      branch.trashedAt = branch.trashedAt || now.toISOString();
+      branch.trashedWith = null;
+      report(INTEGRITY_ISSUES.DUPLICATE_BRANCH_ID, INTEGRITY_ACTIONS.QUARANTINED, branch,
+        `Another branch already had the ID ${duplicateId}. This copy was moved to the trash.`);
+    }
+
+    branchIds.add(branch.id);
+    branches.push(branch);
+  });
+
+  branches.forEach(branch => {
+    const messageIds = new Set();
+    branch.messages.forEach(message => {
+      if (messageIds.has(message.id)) {
+        const duplicateId = message.id;
+        message.id = generateMessageId();
+        report(INTEGRITY_ISSUES.DUPLICATE_MESSAGE_ID, INTEGRITY_ACTIONS.REPAIRED, branch,
+          `Message ID ${duplicateId} appeared twice in this branch. The later copy got a new ID.`);
+      }
+      messageIds.add(message.id);
+    });
+  });
+
+  const allBranches = new Map(branches.map(branch => [branch.id, branch]));
+  const liveBranches = new Map(branches.filter(branch => !branch.trashedAt).map(branch => [branch.id, branch]));
+  const main = liveBranches.get('main');
+
+  // Without a live main branch there is nothing to attach to; loading reports that separately
+  if (main) {
+    liveBranches.forEach(branch => {
+      if (branch === main || liveBranches.has(branch.parentBranchId)) return;
+
+      const formerParent = allBranches.get(branch.parentBranchId);
+      const parent = findLiveAncestor(branch.parentBranchId, allBranches, liveBranches);
+      reattachBranch(branch, parent);
+      report(INTEGRITY_ISSUES.ORPHAN_BRANCH, INTEGRITY_ACTIONS.REPAIRED, branch, formerParent
+        ? `Its parent "${formerParent.title}" is in the trash. It now hangs off "${parent.title}".`
+        : `Its parent branch is missing. It now hangs off "${parent.title}".`);
+    });
+
+    liveBranches.forEach(branch => {
+      if (branch === main || !isInParentCycle(branch, liveBranches)) return;
+
+      reattachBranch(branch, main);
+      report(INTEGRITY_ISSUES.PARENT_CYCLE, INTEGRITY_ACTIONS.REPAIRED, branch,
+        `Its parent links went round in a loop. It now hangs off "${main.title}".`);
+    });
+
+    liveBranches.forEach(branch => {
+      const parent = liveBranches.get(branch.parentBranchId);
+      if (!parent || !branch.parentMessageId) return;
+
+      const inBranch = branch.messages.some(message => message.id === branch.parentMessageId);
+      const inParent = parent.messages.some(message => message.id === branch.parentMessageId);
+      if (inBranch && inParent) return;
+
+      reattachBranch(branch, parent);
+      report(INTEGRITY_ISSUES.DANGLING_FORK, INTEGRITY_ACTIONS.REPAIRED, branch,
+        `The message it forked from no longer exists in ${inBranch ? `"${parent.title}"` : 'the branch'}. ` +
+        'Its fork point is now the last message it shares with its parent.');
+    });
+  }
+
+  // Descendants trashed with a branch that is no longer in the trash
+  branches.forEach(branch => {
+    if (!branch.trashedAt || !branch.trashedWith) return;
+
+    const group = allBranches.get(branch.trashedWith);
+    if (group && group.trashedAt && !group.trashedWith) return;
+
+    branch.trashedWith = null;
+    report(INTEGRITY_ISSUES.ORPHAN_BRANCH, INTEGRITY_ACTIONS.REPAIRED, branch,
+      'It was trashed along with a branch that is no longer in the trash. It is now listed in the trash on its own.');
+  });
+
+  return {
+    conversation: issues.length > 0 ? { ...data, branches } : data,
+    issues
+  };
+}
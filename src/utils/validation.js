@@ -71,6 +71,52 @@ export function validateBranchTitle(title) {
   return sanitized;
 }
 
+/**
+ * Validates a conversation tag. Tags are compared case-insensitively, so
+ * they are stored lowercase with spaces turned into dashes; a leading #
+ * is dropped.
+ */
+export function validateTag(tag) {
+  if (!tag || typeof tag !== 'string') {
+    throw new ValidationError('Tag is required', 'tag');
+  }
+
+  const normalized = sanitizeInput(tag).replace(/^#+/, '').trim().toLowerCase().replace(/\s+/g, '-');
+
+  if (normalized.length === 0) {
+    throw new ValidationError('Tag cannot be empty', 'tag');
+  }
+
+  if (normalized.length > API_CONFIG.TAG_MAX_LENGTH) {
+    throw new ValidationError(`Tag must be less than ${API_CONFIG.TAG_MAX_LENGTH} characters`, 'tag');
+  }
+
+  return normalized;
+}
+
+/**
+ * Validates a folder path such as "Work/Clients". Empty segments are
+ * dropped; an empty path means the top level and returns null.
+ */
+export function validateFolderPath(path) {
+  if (path === null || path === undefined) return null;
+  if (typeof path !== 'string') {
+    throw new ValidationError('Folder must be text', 'folder');
+  }
+
+  const segments = path.split('/').map(segment => sanitizeInput(segment)).filter(Boolean);
+
+  if (segments.some(segment => segment.length > API_CONFIG.FOLDER_NAME_MAX_LENGTH)) {
+    throw new ValidationError(`Folder names must be less than ${API_CONFIG.FOLDER_NAME_MAX_LENGTH} characters`, 'folder');
+  }
+
+  if (segments.length > API_CONFIG.MAX_FOLDER_DEPTH) {
+    throw new ValidationError(`Folders can be nested at most ${API_CONFIG.MAX_FOLDER_DEPTH} deep`, 'folder');
+  }
+
+  return segments.length > 0 ? segments.join('/') : null;
+}
+
 /**
  * Validates message ID format
  */
@@ -109,6 +155,24 @@ export function validateSelectedText(text) {
   return sanitized;
 }
 
+/**
+ * Validates a conversation or branch system prompt. It's only ever sent to
+ * the model, never rendered as HTML, so it isn't sanitized; empty is allowed.
+ */
+export function validateSystemPrompt(prompt) {
+  if (typeof prompt !== 'string') {
+    throw new ValidationError('System prompt must be text', 'systemPrompt');
+  }
+  
+  const trimmed = prompt.trim();
+  
+  if (trimmed.length > API_CONFIG.MAX_SYSTEM_PROMPT_LENGTH) {
+    throw new ValidationError(`System prompt must be less than ${API_CONFIG.MAX_SYSTEM_PROMPT_LENGTH} characters`, 'systemPrompt');
+  }
+  
+  return trimmed;
+}
+
 /**
  * Validates conversation data structure
  */
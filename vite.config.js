@@ -1,6 +1,14 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 
-export default defineConfig({
-  plugins: [react()],
-})
\ No newline at end of file
+export default defineConfig(({ mode }) => {
+  // src/config reads REACT_APP_* settings from process.env, which only exists in Node
+  const env = loadEnv(mode, process.cwd(), 'REACT_APP_')
+
+  return {
+    plugins: [react()],
+    define: {
+      'process.env': JSON.stringify({ ...env, NODE_ENV: mode })
+    }
+  }
+})